@@ -0,0 +1,125 @@
+/* ============================================================
+   ai.js – Computer opponents (move selection per difficulty)
+   ============================================================ */
+(function () {
+    'use strict';
+
+    const { Tiles } = window.Trikono;
+
+    /** Difficulty levels, in increasing strength. */
+    const LEVELS = {
+        easy: 'Easy',
+        medium: 'Medium',
+        hard: 'Hard',
+    };
+
+    // How many of the greedy best moves the lookahead level re-examines.
+    const LOOKAHEAD_WIDTH = 6;
+
+    /**
+     * Every legal placement for every tile in `hand`, scored.
+     * Returns [{tileIdx, row, col, rotation, values, score}].
+     */
+    function listMoves(board, hand) {
+        const moves = [];
+        hand.forEach((tile, tileIdx) => {
+            for (const p of board.getValidPlacements(tile.values)) {
+                moves.push({
+                    tileIdx,
+                    row: p.row,
+                    col: p.col,
+                    rotation: p.rotation,
+                    values: p.values,
+                    score: board.calcScore(p.row, p.col, p.values),
+                });
+            }
+        });
+        return moves;
+    }
+
+    /** Tiles the player cannot see: not on the board and not in their hand. */
+    function unseenTiles(board, hand) {
+        const seen = new Set(hand.map(t => t.id));
+        for (const cell of board.cells.values()) seen.add(cell.tileId);
+        return Tiles.generateAll().filter(t => !seen.has(t.id));
+    }
+
+    /** Best score any of `tiles` could make on `board`. */
+    function bestReply(board, tiles) {
+        let best = 0;
+        for (const t of tiles) {
+            for (const p of board.getValidPlacements(t.values)) {
+                const s = board.calcScore(p.row, p.col, p.values);
+                if (s > best) best = s;
+            }
+        }
+        return best;
+    }
+
+    function pickRandom(moves, random) {
+        return moves[Math.floor(random() * moves.length)];
+    }
+
+    function pickGreedy(moves) {
+        let best = moves[0];
+        for (const m of moves) if (m.score > best.score) best = m;
+        return best;
+    }
+
+    /**
+     * Re-rank the strongest greedy moves by what they leave open:
+     * a placement that hands the next player a bridge or hexagon
+     * is worth its own score minus the best reply it enables.
+     */
+    function pickLookahead(board, hand, moves) {
+        const unseen = unseenTiles(board, hand);
+        const top = moves.slice().sort((a, b) => b.score - a.score).slice(0, LOOKAHEAD_WIDTH);
+        let best = null, bestVal = -Infinity;
+        for (const m of top) {
+            const next = board.clone();
+            next.place(m.row, m.col, m.values, -1, -1);
+            const val = m.score - bestReply(next, unseen);
+            if (val > bestVal) { best = m; bestVal = val; }
+        }
+        return best;
+    }
+
+    /**
+     * The highest-scoring move for `hand`, with its score itemised, or null
+     * when nothing fits. Used for player hints.
+     */
+    function suggest(board, hand) {
+        const moves = listMoves(board, hand);
+        if (moves.length === 0) return null;
+        const m = pickGreedy(moves);
+        return { ...m, breakdown: board.scoreBreakdown(m.row, m.col, m.values) };
+    }
+
+    /**
+     * Decide the next action for `playerIdx` in `game`.
+     * Returns {type:'place', tileIdx, row, col, rotation} | {type:'draw'} | {type:'pass'}.
+     */
+    function chooseMove(game, playerIdx, level) {
+        const player = game.players[playerIdx];
+        const moves = listMoves(game.board, player.tiles);
+
+        if (moves.length === 0) {
+            if (game.canDraw()) return { type: 'draw' };
+            return { type: 'pass' };
+        }
+
+        let m;
+        if (level === 'easy') m = pickRandom(moves, game.rng); // seeded, so bot games replay too
+        else if (level === 'hard') m = pickLookahead(game.board, player.tiles, moves);
+        else m = pickGreedy(moves);
+
+        return { type: 'place', tileIdx: m.tileIdx, row: m.row, col: m.col, rotation: m.rotation };
+    }
+
+    window.Trikono.AI = {
+        LEVELS,
+        listMoves,
+        suggest,
+        chooseMove,
+    };
+})();
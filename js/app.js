@@ -4,18 +4,40 @@
 (function () {
     'use strict';
 
-    const { Tiles, Board, Renderer, Game, Network } = window.Trikono;
+    const { Tiles, Board, Renderer, Game, Match, Clock, Network, AI, Storage, Replay, Daily, Puzzles, Editor, Protocol, Host, Fair, Servers, Direct } = window.Trikono;
+
+    const BOT_DELAY = 700;     // ms before a computer player moves
+    const SESSION_KEY = 'trikono_session';
+    const SESSION_LIMIT = 10;  // games whose reconnect tokens are remembered
+    const REPLAY_STEP = 800;   // ms per move during replay autoplay
+    const SCORE_POP_TIME = 1600; // ms a floating score label stays on the board
+    const CLOCK_LOW = 10000;   // ms left when a clock turns red
+    const FAIR_TIMEOUT = 15000; // ms to wait for players' fair-deal shares before dealing without them
+
+    const SEAT_COLORS = ['#4361ee', '#ef233c', '#2dc653', '#ff9500'];
+
+    // Chat limits and reactions are host rules, in host.js
+    const CHAT_LOG_SIZE = 100;
+    const CHAT_MUTE_KEY = 'trikono_chat_muted';
 
     class App {
         constructor() {
             this.renderer = null;
             this.game = null;
+            this.match = null;
             this.network = null;
+            this.serverFile = {};       // trikono.config.json, once loaded
 
             // Mode: 'local' | 'host' | 'client'
             this.mode = null;
+            this.daily = null;          // {date, bots, result} for a local daily deal
+            this.puzzle = null;         // {index, data, solved, revealed} while solving a puzzle
+            this.editor = null;         // Editor while setting up a position
+            this.editorTile = -1;       // tile id picked in the editor palette
+            this.editorConflicts = new Set(); // "r,c" of editor tiles that break the rules
             this.myIndex = -1;          // index in players array
             this.myPeerId = null;
+            this.directView = null;     // open direct-connect dialog: 'choose' | 'invite' | 'join'
 
             // Client-side view state (populated from host broadcasts)
             this.viewState = null;
@@ -26,11 +48,56 @@
             this.hoverCell = null;
             this.rotationOffset = 0;      // cycles through valid rotations at hover
 
+            // Replay viewer: {view: Replay, index, board, timer} while active
+            this.replay = null;
+
+            // Suggested move on show: an AI.suggest result
+            this.hint = null;
+
+            // Floating score labels {row, col, text, born}; moves already announced
+            this.scorePops = [];
+            this.seenMoves = 0;
+
             // Player registry for host
             this.peerToPlayer = new Map(); // peerId -> playerIndex
+            this.seatTokens = new Map();   // reconnect token -> playerIndex
+            this.formerGameId = null;      // host: the code a resumed game was saved under, if it now has another
+            this.resumeAsked = new Set();  // host: peers already told that former code
+            this.awaySeats = new Set();    // playerIndex of dropped remote players
+            this.guard = new Protocol.Guard(); // host: screens what remote peers send
+
+            // Fair deal (see fair.js): host option, and the current hand's commit–reveal round
+            this.fairDeal = false;
+            this.fair = null;
+
+            // Spectators: host keeps peerId -> name; a watching client has no seat
+            this.spectators = new Map();
+            this.spectatorReveal = 0;   // host: ms before watchers see all hands (0 = never)
+            this.spectating = false;
+
+            // Host: pending take-back vote {requester, pending:Set<playerIndex>, historyLength, round, timer}
+            this.undoVote = null;
+
+            // Host migration
+            this.migration = null;      // {successor, gameId} – who takes over, under which code
+            this.hostSnapshot = null;   // successor only: latest full state from the host
             this.localPlayerCount = 2;
+            this.botCount = 0;
+
+            // Time control (host / local); clockStamp is when viewState.clock was taken
+            this.clock = null;
+            this.clockStamp = 0;
+            this._timeoutTimer = null;
+            this._clockTicker = null;
+
+            // Chat
+            this.chatTimes = new Map();    // host: peerId -> recent message times
+            this.chatMuted = false;
+            this.chatUnread = 0;
 
             this._raf = null;
+            this._botTimer = null;
+            this._awayTimer = null;
         }
 
         /* ================================================================
@@ -42,6 +109,9 @@
             this._bindHome();
             this._bindLobby();
             this._bindGame();
+            this._bindChat();
+            this._bindEditor();
+            this._bindDirect();
 
             // Restore saved TURN key
             const savedKey = localStorage.getItem('trikono_turn_key') || '';
@@ -53,12 +123,28 @@
                 else localStorage.removeItem('trikono_turn_key');
             });
 
-            // Pre-fill from URL hash (format: #GAMECODE or #GAMECODE:TURNKEY)
+            this._initServers();
+
+            // A shared deal: ?seed=… fills in the lobby's shuffle seed
+            const seed = new URLSearchParams(location.search).get('seed');
+            if (seed && Tiles.isSeed(seed)) {
+                this.els.gameSeed.value = seed;
+                this.els.rulesSetup.open = true;
+            }
+
+            // Pre-fill from URL hash (format: #GAMECODE or #GAMECODE:TURNKEY, or #direct=INVITE)
             const hash = location.hash.replace('#', '').trim();
             this._showScreen('home');
-            if (hash) {
+            if (hash.startsWith('direct=')) {
+                this._openDirect('join', hash.slice('direct='.length));
+            } else if (hash) {
                 const [code, turnKey] = hash.split(':');
                 this.els.gameCode.value = code;
+                // Returning to a game we sat in: same name, so the seat is recognisable
+                const session = this._loadSession(code.toUpperCase());
+                if (session && session.name) {
+                    this.els.playerName.value = session.name;
+                }
                 if (turnKey) {
                     this.els.turnKey.value = turnKey;
                     localStorage.setItem('trikono_turn_key', turnKey);
@@ -72,6 +158,44 @@
             return (this.els.turnKey.value || '').trim();
         }
 
+        /** Signaling / ICE settings: site config file, then this browser's, with a link's taking over. */
+        _initServers() {
+            const linked = Servers.fromQuery(location.search);
+            if (linked.peer || linked.iceServers || linked.relay) Servers.save(Servers.resolve(Servers.loadSaved(), linked));
+            const saved = Servers.loadSaved();
+            this.els.peerServer.value = Servers.formatPeerServer(saved.peer);
+            this.els.iceServers.value = Servers.formatIce(saved.iceServers);
+            this.els.relayServer.value = saved.relay || '';
+
+            const onChange = () => {
+                try {
+                    const peer = Servers.parsePeerServer(this.els.peerServer.value);
+                    const iceServers = Servers.parseIce(this.els.iceServers.value);
+                    const relay = Servers.parseRelay(this.els.relayServer.value);
+                    Servers.save({ peer, iceServers, relay });
+                    this.els.serversError.textContent = '';
+                } catch (e) {
+                    this.els.serversError.textContent = e.message;
+                }
+            };
+            this.els.peerServer.addEventListener('change', onChange);
+            this.els.iceServers.addEventListener('change', onChange);
+            this.els.relayServer.addEventListener('change', onChange);
+
+            Servers.loadFile().then(file => {
+                this.serverFile = file;
+                if (file.peer) this.els.peerServer.placeholder = Servers.formatPeerServer(file.peer) + ' (site default)';
+                if (file.iceServers) this.els.iceServers.placeholder = Servers.formatIce(file.iceServers);
+                if (file.relay) this.els.relayServer.placeholder = file.relay + ' (site default)';
+                if (file.turnApiKey && !this.els.turnKey.value) this.els.turnKey.value = file.turnApiKey;
+            });
+        }
+
+        /** The servers a new connection should use. */
+        _servers() {
+            return Servers.resolve(this.serverFile, Servers.loadSaved());
+        }
+
         _cacheDOM() {
             const $ = id => document.getElementById(id);
             this.els = {
@@ -83,27 +207,95 @@
                 playerName: $('player-name'),
                 createBtn: $('create-btn'),
                 joinBtn: $('join-btn'),
+                directBtn: $('direct-btn'),
                 localBtn: $('local-btn'),
                 gameCode: $('game-code'),
                 turnKey: $('turn-key'),
+                peerServer: $('peer-server'),
+                iceServers: $('ice-servers'),
+                relayServer: $('relay-server'),
+                serversError: $('servers-error'),
                 homeError: $('home-error'),
+                resumeBtn: $('resume-btn'),
+                dailyBtn: $('daily-btn'),
+                puzzlesBtn: $('puzzles-btn'),
+                editorBtn: $('editor-btn'),
+                importBtn: $('import-btn'),
+                importFile: $('import-file'),
                 // Lobby
                 lobbyTitle: $('lobby-title'),
                 shareBox: $('share-box'),
                 shareUrl: $('share-url'),
                 copyBtn: $('copy-btn'),
+                directInviteBtn: $('direct-invite-btn'),
                 qrCode: $('qr-code'),
                 playerList: $('player-list'),
                 startBtn: $('start-btn'),
                 lobbyStatus: $('lobby-status'),
                 localSetup: $('local-setup'),
+                dailySetup: $('daily-setup'),
+                dailyBots: $('daily-bots'),
+                dailyHistory: $('daily-history'),
+                puzzleSetup: $('puzzle-setup'),
+                puzzleList: $('puzzle-list'),
+                puzzleImportBtn: $('puzzle-import-btn'),
+                puzzleFile: $('puzzle-file'),
+                puzzleBar: $('puzzle-bar'),
+                puzzleLabel: $('puzzle-label'),
+                puzzleReveal: $('puzzle-reveal'),
+                puzzleNext: $('puzzle-next'),
+                puzzleExit: $('puzzle-exit'),
                 localCount: $('local-count'),
                 localNames: $('local-names'),
+                botSetup: $('bot-setup'),
+                botLevel: $('bot-level'),
+                addBotBtn: $('add-bot-btn'),
+                matchSetup: $('match-setup'),
+                targetScore: $('target-score'),
+                rulesSetup: $('rules-setup'),
+                ruleMaxDraws: $('rule-max-draws'),
+                ruleDrawPenalty: $('rule-draw-penalty'),
+                rulePassPenalty: $('rule-pass-penalty'),
+                ruleHandSize: $('rule-hand-size'),
+                ruleCornerMatch: $('rule-corner-match'),
+                timeControl: $('time-control'),
+                ruleHints: $('rule-hints'),
+                gameSeed: $('game-seed'),
+                spectatorSetup: $('spectator-setup'),
+                fairSetup: $('fair-setup'),
+                ruleFair: $('rule-fair'),
+                spectatorReveal: $('spectator-reveal'),
+                spectatorList: $('spectator-list'),
                 // Game
                 boardCanvas: $('board-canvas'),
+                editorPanel: $('editor-panel'),
+                editorTool: $('editor-tool'),
+                editorOwner: $('editor-owner'),
+                editorPalette: $('editor-palette'),
+                editorSend: $('editor-send'),
+                editorSeats: $('editor-seats'),
+                editorAddSeat: $('editor-add-seat'),
+                editorPool: $('editor-pool'),
+                editorStatus: $('editor-status'),
+                editorCornerMatch: $('editor-corner-match'),
+                editorPlay: $('editor-play'),
+                editorExport: $('editor-export'),
+                editorPuzzle: $('editor-puzzle'),
+                editorLoad: $('editor-load'),
+                editorFile: $('editor-file'),
+                editorExit: $('editor-exit'),
                 handContainer: $('hand-tiles'),
                 drawBtn: $('draw-btn'),
                 passBtn: $('pass-btn'),
+                undoBtn: $('undo-btn'),
+                hintBtn: $('hint-btn'),
+                undoModal: $('undo-modal'),
+                undoText: $('undo-text'),
+                undoAllow: $('undo-allow'),
+                undoDecline: $('undo-decline'),
+                fairModal: $('fair-modal'),
+                fairProblems: $('fair-problems'),
+                fairClose: $('fair-close'),
                 rotateBtn: $('rotate-btn'),
                 turnInfo: $('turn-info'),
                 poolInfo: $('pool-info'),
@@ -112,6 +304,20 @@
                 gameOverOverlay: $('game-over'),
                 gameOverText: $('game-over-text'),
                 gameOverScores: $('game-over-scores'),
+                nextRoundBtn: $('next-round-btn'),
+                replayBtn: $('replay-btn'),
+                dailyShareBtn: $('daily-share-btn'),
+                // Replay
+                replayBar: $('replay-bar'),
+                replayStart: $('replay-start'),
+                replayBack: $('replay-back'),
+                replayPlay: $('replay-play'),
+                replayFwd: $('replay-fwd'),
+                replayEnd: $('replay-end'),
+                replayScrub: $('replay-scrub'),
+                replayLabel: $('replay-label'),
+                replayExport: $('replay-export'),
+                replayExit: $('replay-exit'),
                 newGameBtn: $('new-game-btn'),
                 // Settings
                 settingsBtn: $('settings-btn'),
@@ -119,12 +325,42 @@
                 settingsClose: $('settings-close'),
                 sizeSlider: $('size-slider'),
                 sizePreview: $('size-preview'),
+                exportBtn: $('export-btn'),
+                settingsInvite: $('settings-invite'),
+                // Direct connect
+                directModal: $('direct-modal'),
+                directTitle: $('direct-title'),
+                directHelp: $('direct-help'),
+                directChoose: $('direct-choose'),
+                directHostBtn: $('direct-host-btn'),
+                directJoinBtn: $('direct-join-btn'),
+                directOut: $('direct-out'),
+                directQr: $('direct-qr'),
+                directCodeOut: $('direct-code-out'),
+                directCopy: $('direct-copy'),
+                directIn: $('direct-in'),
+                directCodeIn: $('direct-code-in'),
+                directConnect: $('direct-connect'),
+                directStatus: $('direct-status'),
+                directClose: $('direct-close'),
+                // Chat
+                chatPanel: $('chat-panel'),
+                chatToggle: $('chat-toggle'),
+                chatUnread: $('chat-unread'),
+                chatMute: $('chat-mute'),
+                chatLog: $('chat-log'),
+                chatReactions: $('chat-reactions'),
+                chatForm: $('chat-form'),
+                chatInput: $('chat-input'),
+                boardArea: document.querySelector('.board-area'),
             };
         }
 
         _showScreen(name) {
             for (const s of document.querySelectorAll('.screen')) s.classList.add('hidden');
             document.getElementById(name + '-screen').classList.remove('hidden');
+            const online = this.mode === 'host' || this.mode === 'client';
+            this.els.chatPanel.classList.toggle('hidden', !online || name === 'home');
             if (name === 'game') {
                 this._initRenderer();
                 this._startLoop();
@@ -139,14 +375,45 @@
             this.els.createBtn.addEventListener('click', () => this._createOnline());
             this.els.joinBtn.addEventListener('click', () => this._joinOnline());
             this.els.localBtn.addEventListener('click', () => this._setupLocal());
+            this.els.dailyBtn.addEventListener('click', () => this._setupDaily());
+            this.els.puzzlesBtn.addEventListener('click', () => this._setupPuzzles());
+            this.els.editorBtn.addEventListener('click', () => this._openEditor());
             this.els.playerName.addEventListener('keydown', e => { if (e.key === 'Enter') this._joinOnline(); });
             this.els.gameCode.addEventListener('keydown', e => { if (e.key === 'Enter') this._joinOnline(); });
+            this.els.resumeBtn.addEventListener('click', () => {
+                const save = Storage.loadAutosave();
+                if (save) this._resumeGame(save).catch(e => {
+                    this.els.homeError.textContent = 'Could not resume: ' + e.message;
+                });
+            });
+            this.els.importBtn.addEventListener('click', () => this.els.importFile.click());
+            this.els.importFile.addEventListener('change', async () => {
+                const file = this.els.importFile.files[0];
+                this.els.importFile.value = '';
+                if (!file) return;
+                try {
+                    await this._resumeGame(await Storage.importFile(file));
+                } catch (e) {
+                    this.els.homeError.textContent = 'Could not load save: ' + e.message;
+                }
+            });
+            this._updateResumeButton();
+        }
+
+        _updateResumeButton() {
+            const save = Storage.loadAutosave();
+            this.els.resumeBtn.classList.toggle('hidden', !save);
+            if (save) {
+                const kind = save.daily ? `daily deal ${save.daily.date}` : save.mode === 'host' ? 'online' : 'hot-seat';
+                const names = save.game.players.map(p => p.name).join(', ');
+                this.els.resumeBtn.title = `${kind} game: ${names}`;
+            }
         }
 
         async _createOnline() {
             const name = this.els.playerName.value.trim() || 'Player 1';
             this.mode = 'host';
-            this.network = new Network();
+            this.network = new Network(this._servers());
             this.game = new Game();
 
             try {
@@ -156,14 +423,7 @@
                 this.myIndex = this.game.addPlayer('host', name);
                 this.peerToPlayer.set('host', 0);
 
-                // Network callbacks
-                this.network.onPeerConnected = peerId => this._hostOnPeerConnected(peerId);
-                this.network.onMessage = (data, from) => this._hostOnMessage(data, from);
-                this.network.onPeerDisconnected = peerId => this._hostOnPeerDisconnected(peerId);
-                this.network.onError = err => {
-                    this._notify('Connection error: ' + err.type, true);
-                    this._updateHostStatus();
-                };
+                this._bindHostNetwork();
 
                 this._showLobbyOnline(gameId, name);
                 this._startHostStatusMonitor();
@@ -176,30 +436,29 @@
             }
         }
 
+        _bindHostNetwork() {
+            this.network.onPeerConnected = peerId => this._hostOnPeerConnected(peerId);
+            this.network.onMessage = (data, from) => this._hostOnMessage(data, from);
+            this.network.onPeerDisconnected = peerId => this._hostOnPeerDisconnected(peerId);
+            this.network.onError = err => {
+                this._notify('Connection error: ' + (err.message || err.type), true);
+                this._updateHostStatus();
+            };
+        }
+
         async _joinOnline() {
             const name = this.els.playerName.value.trim() || 'Player';
             const code = this.els.gameCode.value.trim().toUpperCase();
             if (!code) { this.els.homeError.textContent = 'Enter a game code.'; return; }
 
             this.mode = 'client';
-            this.network = new Network();
+            this.network = new Network(this._servers());
 
             try {
                 this.els.joinBtn.disabled = true;
                 this.els.joinBtn.textContent = 'Connecting…';
                 await this.network.joinGame(code, this._getTurnKey());
-
-                this.network.onMessage = (data) => this._clientOnMessage(data);
-                this.network.onPeerDisconnected = () => this._notify('Host disconnected!', true);
-                this.network.onError = err => this._notify('Connection error: ' + err.type, true);
-
-                // Send join request
-                this.network.sendToHost({ type: 'join', name });
-                this._showScreen('lobby');
-                this.els.lobbyTitle.textContent = 'Joining game…';
-                this.els.shareBox.classList.add('hidden');
-                this.els.startBtn.classList.add('hidden');
-                this.els.localSetup.classList.add('hidden');
+                this._clientJoined(name);
             } catch (e) {
                 if (this.network) this.network.destroy();
                 const detail = e.message || e.type || 'Unknown error';
@@ -210,6 +469,32 @@
             }
         }
 
+        /** Client: connected to the host – ask for a seat and wait in the lobby. */
+        _clientJoined(name) {
+            this.network.onMessage = (data) => this._clientOnMessage(data);
+            this.network.onPeerDisconnected = () => this._clientOnHostLost();
+            this.network.onError = err => this._notify('Connection error: ' + (err.message || err.type), true);
+
+            // Send join request with our reconnect token for this game, if we sat in it.
+            // Tokens stay with their game: another host never sees them.
+            this.joinName = name.slice(0, Protocol.NAME_MAX);
+            const session = this._loadSession(this.network.gameId);
+            this._sendJoin(session ? session.token : undefined);
+            this._showScreen('lobby');
+            this.els.lobbyTitle.textContent = 'Joining game…';
+            this.els.shareBox.classList.add('hidden');
+            this.els.directInviteBtn.classList.add('hidden');
+            this.els.startBtn.classList.add('hidden');
+            this.els.localSetup.classList.add('hidden');
+            this.els.matchSetup.classList.add('hidden');
+            this.els.rulesSetup.classList.add('hidden');
+        }
+
+        /** Client: ask the host for a seat, presenting our reconnect token if we have one. */
+        _sendJoin(token) {
+            this.network.sendToHost({ type: 'join', name: this.joinName, token, version: Protocol.VERSION });
+        }
+
         _setupLocal() {
             this.mode = 'local';
             this.game = new Game();
@@ -220,6 +505,10 @@
             this.els.startBtn.classList.remove('hidden');
             this.els.startBtn.disabled = false;
             this.els.localSetup.classList.remove('hidden');
+            this.els.matchSetup.classList.remove('hidden');
+            this.els.rulesSetup.classList.remove('hidden');
+            this.els.spectatorSetup.classList.add('hidden');
+            this.els.fairSetup.classList.add('hidden');
             this.els.lobbyStatus.textContent = '';
             this._updateLocalNames();
             // Avoid duplicate listeners
@@ -234,12 +523,93 @@
             this.localPlayerCount = n;
             this.els.localNames.innerHTML = '';
             for (let i = 0; i < n; i++) {
+                const row = document.createElement('div');
+                row.className = 'local-seat';
                 const inp = document.createElement('input');
                 inp.type = 'text';
                 inp.placeholder = `Player ${i + 1}`;
                 inp.className = 'local-name-input';
                 inp.value = `Player ${i + 1}`;
-                this.els.localNames.appendChild(inp);
+                row.appendChild(inp);
+                row.appendChild(this._seatTypeSelect());
+                this.els.localNames.appendChild(row);
+            }
+        }
+
+        /** Human / bot selector for a local seat. */
+        _seatTypeSelect() {
+            const sel = document.createElement('select');
+            sel.className = 'local-seat-type';
+            sel.innerHTML = '<option value="">Human</option>' +
+                Object.entries(AI.LEVELS)
+                    .map(([lvl, label]) => `<option value="${lvl}">Bot – ${label}</option>`)
+                    .join('');
+            return sel;
+        }
+
+        /** Today's deal, solo or against medium bots, with past results listed. */
+        _setupDaily() {
+            this.mode = 'local';
+            this.game = new Game();
+            this.daily = { date: Daily.dateKey(), bots: 0, result: null };
+            this._showScreen('lobby');
+            this.els.lobbyTitle.textContent = `Daily Deal – ${this.daily.date}`;
+            this.els.shareBox.classList.add('hidden');
+            this.els.playerList.innerHTML = '';
+            this.els.localSetup.classList.add('hidden');
+            this.els.matchSetup.classList.add('hidden');
+            this.els.rulesSetup.classList.add('hidden');
+            this.els.dailySetup.classList.remove('hidden');
+            this.els.startBtn.classList.remove('hidden');
+            this.els.startBtn.disabled = false;
+            this.els.lobbyStatus.textContent = 'Everyone gets the same tiles today. Official rules, no take-backs.';
+
+            const history = Daily.loadHistory().slice(0, 10);
+            this.els.dailyHistory.innerHTML = history.map(r => `<li>${this._esc(r.date)} · <strong>${r.score}</strong> pts · ${
+                r.bots ? `vs ${r.bots} bot${r.bots > 1 ? 's' : ''}` : 'solo'}${r.first ? '' : ' <small>(replay)</small>'}</li>`).join('');
+        }
+
+        /** The bundled puzzles with progress, plus loading one from a file. */
+        _setupPuzzles() {
+            this.mode = 'local';
+            this.puzzle = null;
+            this.els.puzzleBar.classList.add('hidden');
+            this.els.gameScreen.classList.remove('puzzle');
+            this._showScreen('lobby');
+            this.els.lobbyTitle.textContent = 'Puzzles';
+            this.els.shareBox.classList.add('hidden');
+            this.els.playerList.innerHTML = '';
+            this.els.localSetup.classList.add('hidden');
+            this.els.matchSetup.classList.add('hidden');
+            this.els.rulesSetup.classList.add('hidden');
+            this.els.startBtn.classList.add('hidden');
+            this.els.puzzleSetup.classList.remove('hidden');
+            this.els.lobbyStatus.textContent = 'Find the move that scores the most.';
+
+            const progress = Puzzles.loadProgress();
+            this.els.puzzleList.innerHTML = Puzzles.pack().map((p, i) => {
+                const pr = progress[p.id];
+                const mark = pr ? (pr.solved ? '✓' : `${pr.attempts} tr${pr.attempts === 1 ? 'y' : 'ies'}`) : '';
+                return `<li><button data-index="${i}" class="${pr && pr.solved ? 'solved' : ''}">${i + 1}. ${this._esc(p.title)}<span>${mark}</span></button></li>`;
+            }).join('');
+
+            if (!this._puzzlesBound) {
+                this._puzzlesBound = true;
+                this.els.puzzleList.addEventListener('click', e => {
+                    const btn = e.target.closest('button[data-index]');
+                    if (btn) this._startPuzzle(parseInt(btn.dataset.index));
+                });
+                this.els.puzzleImportBtn.addEventListener('click', () => this.els.puzzleFile.click());
+                this.els.puzzleFile.addEventListener('change', async () => {
+                    const file = this.els.puzzleFile.files[0];
+                    this.els.puzzleFile.value = '';
+                    if (!file) return;
+                    try {
+                        this._startPuzzle(-1, JSON.parse(await file.text()));
+                    } catch (e) {
+                        this._notify('Could not load puzzle: ' + (e instanceof SyntaxError ? 'not valid JSON.' : e.message), true);
+                    }
+                });
             }
         }
 
@@ -249,6 +619,7 @@
 
         _bindLobby() {
             this.els.startBtn.addEventListener('click', () => this._startGame());
+            this.els.addBotBtn.addEventListener('click', () => this._hostAddBot());
             this.els.copyBtn.addEventListener('click', () => {
                 navigator.clipboard.writeText(this.els.shareUrl.value).then(() => {
                     this.els.copyBtn.textContent = 'Copied!';
@@ -260,11 +631,21 @@
         _showLobbyOnline(gameId, hostName) {
             this._showScreen('lobby');
             this.els.lobbyTitle.textContent = 'Game Lobby';
-            this.els.shareBox.classList.remove('hidden');
-            const shareUrl = this.network.getShareUrl(this._getTurnKey());
-            this.els.shareUrl.value = shareUrl;
-            this._generateQR(shareUrl);
+            // Direct games have no link: each player needs an invite of their own
+            const direct = !!this.network.direct;
+            this.els.shareBox.classList.toggle('hidden', direct);
+            this.els.directInviteBtn.classList.toggle('hidden', !direct);
+            if (!direct) {
+                const shareUrl = this.network.getShareUrl(this._getTurnKey());
+                this.els.shareUrl.value = shareUrl;
+                this._generateQR(shareUrl);
+            }
             this.els.localSetup.classList.add('hidden');
+            this.els.matchSetup.classList.remove('hidden');
+            this.els.rulesSetup.classList.remove('hidden');
+            this.els.spectatorSetup.classList.remove('hidden');
+            this.els.fairSetup.classList.toggle('hidden', !Fair.supported());
+            this.els.botSetup.classList.remove('hidden');
             this.els.startBtn.classList.remove('hidden');
             this.els.startBtn.disabled = true;
             this._renderPlayerList();
@@ -305,8 +686,7 @@
             }, 3000);
         }
 
-        _generateQR(url) {
-            const container = this.els.qrCode;
+        _generateQR(url, container = this.els.qrCode) {
             container.innerHTML = '';
             if (typeof qrcode === 'undefined') return;
             try {
@@ -324,39 +704,246 @@
             }
         }
 
+        /* ================================================================
+           Direct connect (no signaling server, see direct.js)
+           ================================================================ */
+
+        _bindDirect() {
+            this.els.directBtn.addEventListener('click', () => this._openDirect('choose'));
+            this.els.directHostBtn.addEventListener('click', () => this._createDirect());
+            this.els.directJoinBtn.addEventListener('click', () => this._openDirect('join'));
+            this.els.directInviteBtn.addEventListener('click', () => this._openDirect('invite'));
+            this.els.settingsInvite.addEventListener('click', () => {
+                this.els.settingsModal.classList.add('hidden');
+                this._openDirect('invite');
+            });
+            this.els.directConnect.addEventListener('click', () => this._directConnect());
+            this.els.directCopy.addEventListener('click', () => {
+                navigator.clipboard.writeText(this.els.directCodeOut.value).then(() => {
+                    this.els.directCopy.textContent = 'Copied!';
+                    setTimeout(() => this.els.directCopy.textContent = 'Copy', 1500);
+                });
+            });
+            this.els.directClose.addEventListener('click', () => this._closeDirect());
+        }
+
+        /** Direct games use the configured ICE servers only if there are some: a LAN needs none. */
+        _newDirectNetwork() {
+            return new Direct.DirectNetwork({ iceServers: this._servers().iceServers });
+        }
+
+        /**
+         * Show the direct-connect dialog. Views: 'choose' (host or join),
+         * 'invite' (host: make an invite, take the reply) and 'join'
+         * (guest: take an invite, hand back the reply).
+         */
+        _openDirect(view, invite = '') {
+            const els = this.els;
+            this.directView = view;
+            els.directModal.classList.remove('hidden');
+            els.directChoose.classList.toggle('hidden', view !== 'choose');
+            els.directOut.classList.add('hidden');
+            els.directIn.classList.toggle('hidden', view === 'choose');
+            // An invite from a link stays filled in if the dialog is closed to enter a name first
+            if (view !== 'join' || invite) els.directCodeIn.value = invite;
+            els.directCodeIn.disabled = false;
+            els.directConnect.disabled = false;
+            this._directStatus('');
+
+            if (view === 'choose') {
+                els.directTitle.textContent = 'Direct connect';
+                els.directHelp.textContent = 'Play on the same network with no internet and no server. ' +
+                    'One device hosts; every other player swaps a pair of codes with it.';
+            } else if (view === 'join') {
+                els.directTitle.textContent = 'Join a direct game';
+                els.directHelp.textContent = 'Paste the invite the host gave you (or open its QR code), then hand your reply back to the host.';
+                els.directCodeIn.placeholder = 'Paste the host\'s invite here';
+                if (!this.els.playerName.value.trim()) {
+                    this._directStatus('Your name is taken from the home screen – close this to enter it first.');
+                }
+            } else {
+                els.directTitle.textContent = 'Invite a player';
+                els.directHelp.textContent = 'Have the player scan or copy this invite, then paste their reply below. Each invite admits one player.';
+                els.directCodeIn.placeholder = 'Paste the player\'s reply here';
+                this._directShowInvite();
+            }
+        }
+
+        _closeDirect() {
+            this.els.directModal.classList.add('hidden');
+            // A guest that gives up before the host answered starts over
+            if (this.directView === 'join' && this.mode === 'client' && this.network && !this.network.hostConn) {
+                this.network.destroy();
+                this.network = null;
+                this.mode = null;
+            }
+            this.directView = null;
+        }
+
+        _directStatus(text, isError) {
+            this.els.directStatus.textContent = text;
+            this.els.directStatus.classList.toggle('error', !!isError);
+        }
+
+        /** Put a code (and its QR) on screen for the other device. */
+        _directShowCode(code, qrText) {
+            this.els.directOut.classList.remove('hidden');
+            this.els.directCodeOut.value = code;
+            this._generateQR(qrText, this.els.directQr);
+        }
+
+        async _createDirect() {
+            const name = this.els.playerName.value.trim() || 'Player 1';
+            this.mode = 'host';
+            this.network = this._newDirectNetwork();
+            this.game = new Game();
+            const gameId = await this.network.createGame();
+            this.myIndex = this.game.addPlayer('host', name);
+            this.peerToPlayer.set('host', 0);
+            this._bindHostNetwork();
+            this._showLobbyOnline(gameId, name);
+            this._openDirect('invite');
+        }
+
+        async _directShowInvite() {
+            this._directStatus('Preparing an invite…');
+            try {
+                const code = await this.network.createInvite();
+                if (this.directView !== 'invite') return;
+                this._directShowCode(code, Direct.inviteUrl(code));
+                this._directStatus('');
+            } catch (e) {
+                this._directStatus('Could not make an invite: ' + e.message, true);
+            }
+        }
+
+        /** The Connect button: the host takes a reply, a guest an invite. */
+        async _directConnect() {
+            const code = this.els.directCodeIn.value.trim();
+            if (!code) return;
+            this.els.directConnect.disabled = true;
+            try {
+                if (this.directView === 'invite') {
+                    this._directStatus('Connecting…');
+                    await this.network.acceptReply(code);
+                    this._closeDirect();
+                } else {
+                    await this._joinDirect(code);
+                }
+            } catch (e) {
+                this._directStatus(e.message, true);
+                this.els.directCodeIn.disabled = false;
+                this.els.directConnect.disabled = false;
+            }
+        }
+
+        async _joinDirect(invite) {
+            const name = this.els.playerName.value.trim() || 'Player';
+            if (this.network) this.network.destroy();
+            this.mode = 'client';
+            this.network = this._newDirectNetwork();
+            this._directStatus('Preparing your reply…');
+            let joined;
+            try {
+                joined = await this.network.joinGame(invite);
+            } catch (e) {
+                this.network.destroy();
+                this.network = null;
+                this.mode = null;
+                throw e;
+            }
+            const network = this.network;
+            this.els.directCodeIn.disabled = true;
+            this._directShowCode(joined.reply, joined.reply);
+            this._directStatus('Now give this reply to the host. Waiting for them to connect…');
+            await joined.connected;
+            if (this.network !== network) return; // closed and started over meanwhile
+            this.els.directModal.classList.add('hidden');
+            this.directView = null;
+            this._clientJoined(name);
+        }
+
         _renderPlayerList() {
             const ul = this.els.playerList;
             ul.innerHTML = '';
             const players = this.game ? this.game.players : [];
             for (const p of players) {
-                const li = document.createElement('li');
-                li.innerHTML = `<span class="dot"></span> ${this._esc(p.name)}`;
-                if (p.id === 'host') li.innerHTML += ' <small>(host)</small>';
+                const li = this._playerListItem(p);
+                if (this.mode === 'host' && p.bot) {
+                    const rm = document.createElement('button');
+                    rm.className = 'remove-bot';
+                    rm.title = 'Remove bot';
+                    rm.textContent = '✕';
+                    rm.addEventListener('click', () => this._hostRemoveBot(p.id));
+                    li.appendChild(rm);
+                }
                 ul.appendChild(li);
             }
             this.els.lobbyStatus.textContent = `${players.length} / 4 players`;
+            this._renderSpectators([...this.spectators.values()]);
             if (this.mode === 'host') {
                 this.els.startBtn.disabled = players.length < 2;
+                this.els.addBotBtn.disabled = players.length >= 4;
             }
         }
 
+        _renderSpectators(names) {
+            this.els.spectatorList.textContent = names.length ? `Watching: ${names.join(', ')}` : '';
+            this.els.spectatorList.classList.toggle('hidden', names.length === 0);
+        }
+
+        _playerListItem(p) {
+            const li = document.createElement('li');
+            li.innerHTML = `<span class="dot${p.bot ? ' bot' : ''}"></span> ${this._esc(p.name)}`;
+            if (p.id === 'host') li.innerHTML += ' <small>(host)</small>';
+            if (p.bot) li.innerHTML += ` <small>(bot – ${this._esc(AI.LEVELS[p.bot] || p.bot)})</small>`;
+            return li;
+        }
+
         /* ================================================================
            Host networking
            ================================================================ */
 
         _hostOnPeerConnected(peerId) {
-            // Wait for their 'join' message
+            // Known seat coming back (e.g. after host migration): resend the game
+            const idx = this.peerToPlayer.get(peerId);
+            if (idx !== undefined && this.game.phase !== 'waiting') {
+                this.awaySeats.delete(idx);
+                this._syncAfterAction();
+                return;
+            }
+            if (this.spectators.has(peerId) && this.game.phase !== 'waiting') {
+                this._sendSpectatorState(peerId);
+                return;
+            }
+            // Otherwise wait for their 'join' message
         }
 
         _hostOnMessage(data, from) {
+            const verdict = this.guard.check(from, data);
+            if (!verdict.ok) {
+                console.warn('[Trikono] Bad message from', from + ':', verdict.error);
+                if (verdict.kick) this._kickPeer(from, verdict.error, verdict.code);
+                else this.network.sendToPeer(from, { type: 'error', message: verdict.error });
+                return;
+            }
             switch (data.type) {
                 case 'join': {
-                    if (this.game.players.length >= 4) {
-                        this.network.sendToPeer(from, { type: 'error', message: 'Game is full.' });
+                    // One join per connection
+                    if (this.peerToPlayer.has(from) || this.spectators.has(from)) return;
+                    if (data.token && this.seatTokens.has(data.token)) {
+                        this._hostReclaimSeat(from, data.token);
+                        return;
+                    }
+                    // Resumed under a new code: a returning player's token is filed under the old one
+                    if (this.formerGameId && this.game.phase !== 'waiting' && !this.resumeAsked.has(from)) {
+                        this.resumeAsked.add(from);
+                        this.network.sendToPeer(from, { type: 'resumed', gameId: this.formerGameId });
                         return;
                     }
-                    if (this.game.phase !== 'waiting') {
-                        this.network.sendToPeer(from, { type: 'error', message: 'Game already started.' });
+                    // Full or already under way: watch instead
+                    if (this.game.players.length >= 4 || this.game.phase !== 'waiting') {
+                        this._hostAddSpectator(from, data.name || 'Spectator');
                         return;
                     }
                     const idx = this.game.addPlayer(from, data.name || 'Player');
@@ -373,53 +960,367 @@
                     if (!res.success) {
                         this.network.sendToPeer(from, { type: 'error', message: res.error });
                     }
-                    this._broadcastState();
-                    this._updateLocalGame();
+                    this._syncAfterAction();
                     break;
                 }
                 case 'draw': {
                     const pIdx = this.peerToPlayer.get(from);
                     if (pIdx === undefined) return;
                     this.game.drawTile(pIdx);
-                    this._broadcastState();
-                    this._updateLocalGame();
+                    this._syncAfterAction();
                     break;
                 }
                 case 'pass': {
                     const pIdx = this.peerToPlayer.get(from);
                     if (pIdx === undefined) return;
                     this.game.passTurn(pIdx);
-                    this._broadcastState();
-                    this._updateLocalGame();
+                    this._syncAfterAction();
+                    break;
+                }
+                case 'chat': {
+                    this._hostRelayChat(from, data);
+                    break;
+                }
+                case 'hint': {
+                    const pIdx = this.peerToPlayer.get(from);
+                    if (pIdx === undefined) return;
+                    if (this.game.useHint(pIdx).success) this._syncAfterAction();
+                    break;
+                }
+                case 'undo-request': {
+                    const pIdx = this.peerToPlayer.get(from);
+                    if (pIdx === undefined) return;
+                    const err = this._hostStartUndoVote(pIdx);
+                    if (err) this.network.sendToPeer(from, { type: 'error', message: err });
+                    break;
+                }
+                case 'undo-response': {
+                    const pIdx = this.peerToPlayer.get(from);
+                    if (pIdx === undefined) return;
+                    this._hostOnUndoResponse(pIdx, !!data.approve);
+                    break;
+                }
+                case 'fair-commit': {
+                    const pIdx = this.peerToPlayer.get(from);
+                    const f = this.fair;
+                    if (!f || f.stage !== 'commit' || !f.waiting.has(pIdx)) return;
+                    f.commits.set(pIdx, data.commit);
+                    f.waiting.delete(pIdx);
+                    if (!f.waiting.size) f.done();
+                    break;
+                }
+                case 'fair-reveal': {
+                    const pIdx = this.peerToPlayer.get(from);
+                    const f = this.fair;
+                    if (!f || f.stage !== 'reveal' || !f.waiting.has(pIdx)) return;
+                    // A share that cannot be checked counts as one that does not match
+                    Fair.commit(data.share).catch(() => null).then(commit => {
+                        if (f.stage !== 'reveal' || !f.waiting.has(pIdx)) return;
+                        f.waiting.delete(pIdx);
+                        if (commit === f.commits.get(pIdx)) f.shares.set(pIdx, data.share);
+                        else this._kickPeer(from, 'Your revealed share does not match your commitment.');
+                        if (!f.waiting.size) f.done();
+                    });
                     break;
                 }
             }
         }
 
+        /**
+         * Host: agree a seed for the next hand by commit–reveal (see fair.js).
+         * Players who are away or do not answer in time are dealt without.
+         */
+        async _hostFairSeed() {
+            const share = Fair.newShare();
+            const f = this.fair = {
+                shares: new Map([[this.myIndex, share]]),   // seat -> revealed share
+                commits: new Map([[this.myIndex, await Fair.commit(share)]]),
+                stage: null, waiting: new Set(), done: null, timer: null,
+                starter: null, dealt: false, revealed: false,
+            };
+            const present = [...this.peerToPlayer]
+                .filter(([id, i]) => id !== 'host' && !this.awaySeats.has(i) && this.network.connections.has(id))
+                .map(([, i]) => i);
+
+            this.network.broadcast({ type: 'fair-start' });
+            await this._fairCollect('commit', present);
+            this.network.broadcast({ type: 'fair-commits', commits: [...f.commits].map(([seat, commit]) => ({ seat, commit })) });
+            await this._fairCollect('reveal', [...f.commits.keys()].filter(i => i !== this.myIndex));
+            f.stage = null;
+            return Fair.seedFrom([...f.shares].map(([seat, share]) => ({ seat, share })));
+        }
+
+        /** Host: wait until every seat in `seats` has answered `stage`, or the timeout. */
+        _fairCollect(stage, seats) {
+            const f = this.fair;
+            return new Promise(resolve => {
+                f.stage = stage;
+                f.waiting = new Set(seats);
+                f.done = () => {
+                    clearTimeout(f.timer);
+                    f.done = () => {};
+                    resolve();
+                };
+                f.timer = setTimeout(f.done, FAIR_TIMEOUT);
+                if (!f.waiting.size) f.done();
+            });
+        }
+
+        /** Host: once a fairly dealt hand is over, publish the shares so everyone can check it. */
+        _hostRevealFairDeal() {
+            const f = this.fair;
+            if (!f || !f.dealt || f.revealed || this.game.phase !== 'finished') return;
+            f.revealed = true;
+            this.network.broadcast({
+                type: 'fair-result',
+                shares: [...f.shares].map(([seat, share]) => ({ seat, share })),
+                starter: f.starter,
+            });
+        }
+
+        /** Host: send a peer a last error and close its connection. */
+        _kickPeer(peerId, message, code) {
+            this.network.sendToPeer(peerId, code ? { type: 'error', message, code } : { type: 'error', message });
+            setTimeout(() => this.network.disconnect(peerId), Host.KICK_DELAY);
+        }
+
+        _hostAddBot() {
+            if (this.game.players.length >= 4 || this.game.phase !== 'waiting') return;
+            const level = this.els.botLevel.value;
+            this.botCount++;
+            this.game.addPlayer('bot-' + this.botCount, `Bot ${this.botCount}`, level);
+            this._renderPlayerList();
+            this._broadcastLobby();
+        }
+
+        _hostRemoveBot(id) {
+            if (this.game.phase !== 'waiting') return;
+            this.game.removePlayer(id);
+            // Seats after the removed one shift down
+            for (const peerId of this.peerToPlayer.keys()) {
+                this.peerToPlayer.set(peerId, this.game.players.findIndex(p => p.id === peerId));
+            }
+            this._renderPlayerList();
+            this._broadcastLobby();
+        }
+
         _hostOnPeerDisconnected(peerId) {
+            this.guard.forget(peerId);
+            this.resumeAsked.delete(peerId);
+            if (this.spectators.delete(peerId)) {
+                if (this.game.phase === 'waiting') {
+                    this._renderPlayerList();
+                    this._broadcastLobby();
+                }
+                return;
+            }
             const idx = this.peerToPlayer.get(peerId);
             if (idx !== undefined) {
                 this._notify(`${this.game.players[idx].name} disconnected.`, true);
             }
+            if (this.game.phase === 'waiting') return;
+            // Hold the seat for a reconnect; this also re-elects a lost successor
+            if (idx !== undefined) this.awaySeats.add(idx);
+            this._syncAfterAction();
+            // A take-back cannot be agreed with someone who has left
+            if (idx !== undefined && this.undoVote && this.undoVote.involves(idx)) {
+                this._hostCancelUndo(`Take-back cancelled: ${this.game.players[idx].name} left.`);
+            }
+        }
+
+        /** Host: a returning player presented a valid token – give them their seat back. */
+        _hostReclaimSeat(peerId, token) {
+            const idx = Host.reclaimSeat(this, peerId, token);
+            this.network.sendToPeer(peerId, { type: 'welcome', token, gameId: this.network.gameId });
+            this._notify(`${this.game.players[idx].name} reconnected.`);
+            this._syncAfterAction();
+        }
+
+        /** Host: hand each remote seat a token it can use to reclaim the seat later. */
+        _issueSeatTokens() {
+            for (const [peerId, token] of Host.issueSeatTokens(this)) {
+                this.network.sendToPeer(peerId, { type: 'welcome', token, gameId: this.network.gameId });
+            }
+        }
+
+        /** Host: skip an absent player's turn once the grace period runs out. */
+        _scheduleAwaySkip() {
+            clearTimeout(this._awayTimer);
+            this._awayTimer = null;
+            const idx = this.game.currentPlayerIndex;
+            if (this.game.phase !== 'playing' || !this.awaySeats.has(idx)) return;
+            this._awayTimer = setTimeout(() => {
+                this._awayTimer = null;
+                if (this.game.currentPlayerIndex !== idx || !this.awaySeats.has(idx)) return;
+                const res = this.game.skipTurn(idx);
+                if (res.success) {
+                    this._notify(`${this.game.players[idx].name} is away – turn skipped.`);
+                    this._syncAfterAction();
+                }
+            }, Host.AWAY_GRACE);
         }
 
         _broadcastLobby() {
-            const lobby = {
-                type: 'lobby',
-                players: this.game.players.map(p => ({ name: p.name, id: p.id })),
-            };
-            this.network.broadcast(lobby);
+            this.network.broadcast(Host.lobbyMessage(this, Protocol.VERSION));
         }
 
         _broadcastState() {
+            this._syncClock();
+            this._electSuccessor();
             // Send personalised state to each remote player
             for (const [peerId, pIdx] of this.peerToPlayer) {
                 if (peerId === 'host') continue;
-                this.network.sendToPeer(peerId, {
-                    type: 'state',
-                    state: this.game.serializeForPlayer(pIdx),
-                });
+                const state = this._playerState(pIdx);
+                state.migration = this.migration;
+                this.network.sendToPeer(peerId, { type: 'state', state });
+            }
+            for (const peerId of this.spectators.keys()) this._sendSpectatorState(peerId);
+            this._replicateSnapshot();
+        }
+
+        /** Host: accept a watcher. They get the public state only, never a seat. */
+        _hostAddSpectator(peerId, name) {
+            this.spectators.set(peerId, String(name).slice(0, 20));
+            this.network.sendToPeer(peerId, { type: 'spectate', delay: this.spectatorReveal });
+            if (this.game.phase === 'waiting') {
+                this._renderPlayerList();
+                this._broadcastLobby();
+            } else {
+                this._notify(`${this.spectators.get(peerId)} is watching.`);
+                this._sendSpectatorState(peerId);
+            }
+        }
+
+        /**
+         * Host: push the game to one watcher. With hands revealed the state is
+         * held back by `spectatorReveal` so a stream cannot tip off the players.
+         */
+        _sendSpectatorState(peerId) {
+            const reveal = this.spectatorReveal > 0;
+            const state = this._withTableInfo(this.game.serializeForSpectator(reveal));
+            state.migration = this.migration;
+            const send = () => this.network.sendToPeer(peerId, { type: 'state', state });
+            if (reveal) setTimeout(send, this.spectatorReveal);
+            else send();
+        }
+
+        /* ================================================================
+           Host migration
+           ================================================================ */
+
+        /** Host: pick the first connected remote player as successor. */
+        _electSuccessor() {
+            if (this.network.direct) return; // no broker for the others to find a successor through
+            if (!this.migration) this.migration = { successor: null, gameId: this.network.newGameId() };
+            const connected = [...this.peerToPlayer.keys()]
+                .filter(id => id !== 'host' && this.network.connections.has(id));
+            if (!connected.includes(this.migration.successor)) {
+                this.migration.successor = connected[0] || null;
+            }
+        }
+
+        /** Host: keep the successor's copy of the full game up to date. */
+        _replicateSnapshot() {
+            const successor = this.migration && this.migration.successor;
+            if (!successor) return;
+            this.network.sendToPeer(successor, {
+                type: 'snapshot',
+                game: this.game.serializeFull(),
+                match: this.match ? this.match.serialize() : null,
+                seats: [...this.peerToPlayer],
+                tokens: [...this.seatTokens],
+                away: [...this.awaySeats],
+                spectators: [...this.spectators],
+                spectatorReveal: this.spectatorReveal,
+                clock: this.clock ? this.clock.serialize() : null,
+                botCount: this.botCount,
+                fairDeal: this.fairDeal,
+            });
+        }
+
+        /** Client: the host connection closed. */
+        _clientOnHostLost() {
+            const m = this.migration;
+            if (!m || !this.game || this.game.phase === 'waiting') {
+                this._notify(this.network.direct ? 'Host disconnected – ask them for a new invite to rejoin.' : 'Host disconnected!', true);
+                return;
+            }
+            if (m.successor === this.network.peer.id && this.hostSnapshot) {
+                this._takeOverAsHost();
+            } else {
+                this._reconnectToNewHost();
+            }
+        }
+
+        async _reconnectToNewHost() {
+            this._notify('Host left – reconnecting to the new host…', true);
+            const oldGameId = this.network.gameId;
+            try {
+                await this.network.reconnectToHost(this.migration.gameId);
+                const session = this._loadSession(oldGameId);
+                if (session) this._saveSession({ ...session, gameId: this.migration.gameId });
+                this._notify('Reconnected to the new host.');
+            } catch (e) {
+                this._notify('Could not reach the new host: ' + e.message, true);
+            }
+        }
+
+        /**
+         * Successor: become the authoritative host from the replicated snapshot.
+         * The departed host's seat is taken over by a bot so play can continue.
+         */
+        async _takeOverAsHost() {
+            const snap = this.hostSnapshot;
+            const myPeerId = this.network.peer.id;
+            const gameId = this.migration.gameId;
+
+            this.mode = 'host';
+            this.game = new Game();
+            this.game.loadFull(snap.game);
+            this.match = null;
+            if (snap.match) {
+                this.match = new Match(this.game, snap.match.targetScore);
+                this.match.load(snap.match);
+            }
+            this.botCount = snap.botCount || 0;
+            this.fairDeal = !!snap.fairDeal;
+            this.fair = null; // the shares of the hand under way left with the old host
+            this.seatTokens = new Map(snap.tokens || []);
+            this.awaySeats = new Set(snap.away || []);
+            this.spectators = new Map(snap.spectators || []);
+            this.spectatorReveal = snap.spectatorReveal || 0;
+            this.clock = snap.clock ? Clock.fromData(snap.clock) : null;
+
+            this.peerToPlayer = new Map(snap.seats);
+            const oldHostIdx = this.peerToPlayer.get('host');
+            this.peerToPlayer.delete('host');
+            if (oldHostIdx !== undefined) {
+                const p = this.game.players[oldHostIdx];
+                p.id = 'bot-host';
+                p.bot = 'medium';
+            }
+            this.myIndex = this.peerToPlayer.get(myPeerId);
+            this.peerToPlayer.delete(myPeerId);
+            this.awaySeats.delete(oldHostIdx);
+            this.awaySeats.delete(this.myIndex);
+            // Whoever has not reconnected yet is away until they do
+            for (const [peerId, idx] of this.peerToPlayer) {
+                if (peerId !== 'host') this.awaySeats.add(idx);
+            }
+            this.peerToPlayer.set('host', this.myIndex);
+            this.game.players[this.myIndex].id = 'host';
+
+            this.migration = null;
+            this.hostSnapshot = null;
+            this._notify('Host left – you are now hosting the game.', true);
+
+            try {
+                await this.network.becomeHost(gameId, this._getTurnKey());
+                this._bindHostNetwork();
+            } catch (e) {
+                this._notify('Could not take over as host: ' + (e.message || e.type), true);
             }
+            this._syncAfterAction();
         }
 
         /* ================================================================
@@ -427,37 +1328,157 @@
            ================================================================ */
 
         _clientOnMessage(data) {
+            const versionError = Protocol.handshakeError(data, 'host');
+            if (versionError) {
+                this._clientIncompatible(versionError);
+                return;
+            }
+            const problem = Protocol.validate(data, 'host');
+            if (problem) {
+                console.warn('[Trikono] Ignoring bad message from host:', problem);
+                return;
+            }
             switch (data.type) {
                 case 'lobby': {
                     this.els.lobbyTitle.textContent = 'Game Lobby';
                     const ul = this.els.playerList;
                     ul.innerHTML = '';
-                    for (const p of data.players) {
-                        const li = document.createElement('li');
-                        li.innerHTML = `<span class="dot"></span> ${this._esc(p.name)}`;
-                        if (p.id === 'host') li.innerHTML += ' <small>(host)</small>';
-                        ul.appendChild(li);
-                    }
+                    for (const p of data.players) ul.appendChild(this._playerListItem(p));
                     this.els.lobbyStatus.textContent = `${data.players.length} / 4 players`;
+                    this._renderSpectators(data.spectators || []);
+                    if (this.spectating) this.els.lobbyTitle.textContent = 'Watching – waiting for the game to start';
+                    break;
+                }
+                case 'spectate': {
+                    this.spectating = true;
+                    this.els.lobbyTitle.textContent = data.delay
+                        ? `Watching – the game is shown ${Math.round(data.delay / 1000)} s behind`
+                        : 'Watching';
                     break;
                 }
                 case 'state': {
                     this.viewState = data.state;
+                    // Fair deal: remember the hand we were dealt, to check against the reveal
+                    const f = this.fair;
+                    if (f && f.commits && !f.deal && data.state.phase === 'playing' &&
+                        data.state.history.length === 0 && data.state.yourTiles) {
+                        f.deal = { seat: data.state.yourIndex, tiles: data.state.yourTiles.map(t => ({ ...t })) };
+                    }
+                    this.clockStamp = Date.now();
                     this.myIndex = data.state.yourIndex;
+                    this.migration = data.state.migration || null;
+                    this.els.gameScreen.classList.toggle('spectating', this.spectating);
                     if (this._raf === null) {
                         this._showScreen('game');
                     }
                     this._refreshFromView();
                     break;
                 }
+                case 'snapshot': {
+                    this.hostSnapshot = data;
+                    break;
+                }
+                case 'chat': {
+                    this._showChat(data);
+                    break;
+                }
+                case 'undo-vote': {
+                    this._showUndoPrompt(data.requester);
+                    break;
+                }
+                case 'undo-result': {
+                    this.els.undoModal.classList.add('hidden');
+                    this._notify(data.message, !data.approved);
+                    break;
+                }
+                case 'resumed': {
+                    // The host resumed a saved game under a new code: answer with our token for the old one
+                    const session = this._loadSession(data.gameId);
+                    this._sendJoin(session ? session.token : undefined);
+                    break;
+                }
+                case 'welcome': {
+                    this._saveSession({ gameId: data.gameId, token: data.token, name: this.els.playerName.value.trim() });
+                    break;
+                }
+                case 'fair-start': {
+                    const f = this.fair = { share: null, commit: null, commits: null, deal: null };
+                    if (this.spectating || !Fair.supported()) break;
+                    f.share = Fair.newShare();
+                    Fair.commit(f.share).then(commit => {
+                        f.commit = commit;
+                        this.network.sendToHost({ type: 'fair-commit', commit });
+                    }).catch(e => {
+                        // The host deals without this share after its timeout
+                        console.warn('[Trikono] Could not commit to a fair-deal share:', e);
+                        f.share = null;
+                    });
+                    break;
+                }
+                case 'fair-commits': {
+                    const f = this.fair || (this.fair = { share: null, commit: null, commits: null, deal: null });
+                    f.commits = data.commits;
+                    if (!f.commit) break;
+                    if (!data.commits.some(c => c && c.commit === f.commit)) {
+                        this._fairAlarm(['The host left your share out of the deal.']);
+                        break;
+                    }
+                    this.network.sendToHost({ type: 'fair-reveal', share: f.share });
+                    break;
+                }
+                case 'fair-result': {
+                    this._clientCheckFairDeal(data);
+                    break;
+                }
                 case 'error': {
-                    this._notify(data.message, true);
+                    if (data.code === 'version') this._clientIncompatible(data.message);
+                    else this._notify(data.message, true);
                     break;
                 }
             }
         }
 
-        /** Populate local board from viewState (for rendering). */
+        /** Client: replay the finished hand from the revealed shares; sound the alarm on any mismatch. */
+        async _clientCheckFairDeal(result) {
+            const f = this.fair, vs = this.viewState;
+            this.fair = null;
+            if (!f || !f.commits || !vs) return;
+            let report;
+            try {
+                report = await Fair.verify({
+                    commits: f.commits,
+                    shares: result.shares,
+                    starter: result.starter,
+                    rules: vs.rules,
+                    seats: vs.players.length,
+                    history: vs.history,
+                    mine: f.commit ? { commit: f.commit, ...f.deal } : null,
+                });
+            } catch (e) {
+                report = { ok: false, problems: ['The revealed deal could not be read: ' + e.message] };
+            }
+            if (report.ok) this._notify('Fair deal checked: the shuffle and every move match the revealed seed.');
+            else this._fairAlarm(report.problems);
+        }
+
+        _fairAlarm(problems) {
+            console.error('[Trikono] Fair deal check failed:', problems);
+            this.els.fairProblems.innerHTML = problems.map(p => `<li>${this._esc(p)}</li>`).join('');
+            this.els.fairModal.classList.remove('hidden');
+            this._notify('Fair deal check FAILED – this hand was not dealt honestly.', true);
+        }
+
+        /** Client: the host speaks another protocol version – give up and say why. */
+        _clientIncompatible(message) {
+            this.network.onPeerDisconnected = null;
+            this.network.destroy();
+            this.network = null;
+            this.mode = null;
+            this._showScreen('home');
+            this.els.homeError.textContent = message;
+        }
+
+        /** Populate local board from viewState (for rendering). */
         _refreshFromView() {
             if (!this.viewState) return;
             const vs = this.viewState;
@@ -468,10 +1489,11 @@
             this.game.currentPlayerIndex = vs.currentPlayerIndex;
             this.game.phase = vs.phase;
             this.game.winner = vs.winner;
-            this.game.drawnThisTurn = vs.drawnThisTurn || false;
+            this.game.drawsThisTurn = vs.drawsThisTurn || 0;
+            this.game.setRules(vs.rules || {});
             this.game.lastAction = vs.lastAction;
             this.game.players = vs.players.map((p, i) => ({
-                ...p, tiles: i === vs.yourIndex ? vs.yourTiles : [],
+                ...p, tiles: p.tiles || (i === vs.yourIndex ? vs.yourTiles : []),
             }));
             // Pool size (for display)
             this.game.pool = new Array(vs.poolSize);
@@ -486,33 +1508,304 @@
            ================================================================ */
 
         _startGame() {
+            if (this.daily) {
+                this.daily.bots = parseInt(this.els.dailyBots.value) || 0;
+                const name = this.els.playerName.value.trim() || 'Player 1';
+                Daily.setup(this.game, { date: this.daily.date, name, bots: this.daily.bots });
+                this.myIndex = 0;
+                this._showScreen('game');
+                this._updateLocalGame();
+                return;
+            }
+            const seed = this.els.gameSeed.value.trim();
+            if (seed && !Tiles.isSeed(seed)) {
+                this._notify('The seed may only use letters, digits, - and _ (up to 32).', true);
+                return;
+            }
             if (this.mode === 'local') {
-                const inputs = this.els.localNames.querySelectorAll('input');
-                inputs.forEach((inp, i) => {
-                    this.game.addPlayer('local-' + i, inp.value.trim() || `Player ${i + 1}`);
+                const seats = this.els.localNames.querySelectorAll('.local-seat');
+                seats.forEach((seat, i) => {
+                    const name = seat.querySelector('input').value.trim() || `Player ${i + 1}`;
+                    const bot = seat.querySelector('select').value || null;
+                    this.game.addPlayer('local-' + i, name, bot);
                 });
-                this.myIndex = 0; // local controls all
-                this.game.start();
+                // Local controls all; start on the first human seat's hand
+                this.myIndex = Math.max(0, this.game.players.findIndex(p => !p.bot));
+                this._newMatch();
+                this.match.startRound();
                 this._showScreen('game');
                 this._updateLocalGame();
             } else if (this.mode === 'host') {
                 if (this.game.players.length < 2) return;
-                this.game.start();
+                this.spectatorReveal = parseInt(this.els.spectatorReveal.value) || 0;
+                this.fairDeal = this.els.ruleFair.checked && Fair.supported();
+                this._newMatch();
+                this._issueSeatTokens();
+                this.els.startBtn.disabled = true;
+                if (this.fairDeal) this.els.lobbyStatus.textContent = 'Dealing fairly – collecting every player\'s share…';
+                this._dealRound().then(() => {
+                    this._broadcastState();
+                    this._showScreen('game');
+                    this._updateLocalGame();
+                }).catch(e => {
+                    // Back to the lobby as it was, so the host can try again
+                    this._dealFailed(e);
+                    this.match = null;
+                    this._renderPlayerList();
+                });
+            }
+        }
+
+        /** Rules chosen in the lobby's "House rules" section. */
+        _readRules() {
+            const num = (el, fallback) => {
+                const v = parseInt(el.value);
+                return Number.isFinite(v) && v >= 0 ? v : fallback;
+            };
+            const d = Game.DEFAULT_RULES;
+            return {
+                maxDraws: num(this.els.ruleMaxDraws, d.maxDraws),
+                drawPenalty: num(this.els.ruleDrawPenalty, d.drawPenalty),
+                passPenalty: num(this.els.rulePassPenalty, d.passPenalty),
+                handSize: num(this.els.ruleHandSize, d.handSize),
+                cornerMatch: this.els.ruleCornerMatch.checked,
+                hints: this.els.ruleHints.checked,
+            };
+        }
+
+        _newMatch() {
+            this.game.setRules(this._readRules());
+            this.game.setSeed(this.els.gameSeed.value.trim() || Tiles.randomSeed());
+            this.clock = Clock.fromSetting(this.els.timeControl.value);
+            const target = parseInt(this.els.targetScore.value) || Match.DEFAULT_TARGET;
+            this.match = new Match(this.game, Math.max(1, target));
+        }
+
+        /** Host / local: deal the next round of the match. */
+        _nextRound() {
+            if (!this.match || this.match.phase === 'finished') return;
+            if (this.game.phase !== 'finished' || this._dealing) return;
+            this._dealing = true;
+            if (this.fairDeal) this._notify('Dealing fairly – collecting every player\'s share…');
+            this._dealRound().then(() => {
+                this._dealing = false;
+                this.els.gameOverOverlay.classList.add('hidden');
+                this._deselectTile();
+                this._syncAfterAction();
+                if (this.renderer) this.renderer.centerOnBoard(this.game.board);
+            }).catch(e => {
+                // The last hand stays over, with the button to deal again
+                this._dealing = false;
+                this._dealFailed(e);
+            });
+        }
+
+        /** Host / local: a deal could not be made (e.g. the browser refused the fair-deal hashing). */
+        _dealFailed(e) {
+            console.error('[Trikono] Deal failed:', e);
+            if (this.fair) {
+                clearTimeout(this.fair.timer);
+                this.fair = null;
+            }
+            this._notify(`Could not deal the hand (${(e && e.message) || e}). Try again.`, true);
+        }
+
+        /** Start the match's next hand; a fair-deal host first agrees the seed with the players. */
+        async _dealRound() {
+            if (this.mode === 'host' && this.fairDeal) {
+                this.game.setSeed(await this._hostFairSeed());
+                this.match.startRound();
+                this.fair.starter = this.match.round === 1 ? null : this.match.starter;
+                this.fair.dealt = true;
+                return;
+            }
+            this.match.startRound();
+        }
+
+        /** Game state for one seat, with the match summary attached. */
+        _playerState(pIdx) {
+            return this._withTableInfo(this.game.serializeForPlayer(pIdx));
+        }
+
+        /** Attach what every view shares: the match summary, who is away, the clock and the deal. */
+        _withTableInfo(state) {
+            Host.withTableInfo(this, state);
+            if (this.clock) state.clock = this.clock.serialize();
+            if (this.fairDeal) state.fair = true;
+            return state;
+        }
+
+        /** Host / local: after any game action, close the round if it ended and push state. */
+        _syncAfterAction() {
+            if (this.match) this.match.recordRound();
+            if (this.undoVote && this.undoVote.stale(this)) {
+                this._hostCancelUndo('Take-back cancelled: the game has moved on.');
+            }
+            if (this.daily && !this.daily.result && this.game.phase === 'finished') {
+                this.daily.result = Daily.record(Daily.summarize(this.game, this.daily));
+            }
+            if (this.mode === 'host') {
                 this._broadcastState();
-                this._showScreen('game');
-                this.viewState = this.game.serializeForPlayer(this.myIndex);
-                this._updateLocalGame();
+                this._hostRevealFairDeal();
             }
+            this._updateLocalGame();
         }
 
         _updateLocalGame() {
             if (this.mode === 'host' || this.mode === 'local') {
-                this.viewState = this.game.serializeForPlayer(
-                    this.mode === 'local' ? this.game.currentPlayerIndex : this.myIndex
+                this._syncClock();
+                this.viewState = this._playerState(
+                    this.mode === 'local' ? this._localViewIndex() : this.myIndex
                 );
+                this.clockStamp = Date.now();
                 this._updateUI();
                 if (this.selectedTileIdx >= 0) this._computeValid();
+                this._scheduleBotTurn();
+                if (this.mode === 'host') this._scheduleAwaySkip();
+                this._autosave();
+            }
+        }
+
+        /* ================================================================
+           Save / resume
+           ================================================================ */
+
+        /** Host / local: the current game as a save object. */
+        _currentSave() {
+            return Storage.createSave({
+                mode: this.mode,
+                game: this.game,
+                match: this.match,
+                clock: this.clock,
+                daily: this.daily ? { date: this.daily.date, bots: this.daily.bots } : null,
+                host: this.mode === 'host' ? {
+                    gameId: this.network.gameId,
+                    direct: !!this.network.direct,
+                    tokens: [...this.seatTokens],
+                    botCount: this.botCount,
+                    myIndex: this.myIndex,
+                } : null,
+            });
+        }
+
+        _autosave() {
+            if (this.game.phase === 'waiting' || this.puzzle) return;
+            if ((this.match && this.match.phase === 'finished') || (this.daily && this.game.phase === 'finished')) {
+                Storage.clearAutosave();
+                return;
+            }
+            Storage.autosave(this._currentSave());
+        }
+
+        /** Continue a validated save: hot-seat directly, online by re-hosting it. */
+        async _resumeGame(save) {
+            // Rooms saved by server/authority.js have no host seat to take
+            if (save.mode === 'host' && save.host.myIndex < 0) {
+                throw new Error('This is a room from a Trikono server. Restart the server to carry on with it.');
+            }
+            this.game = new Game();
+            this.game.loadFull(save.game);
+            this.match = null;
+            if (save.match) {
+                this.match = new Match(this.game, save.match.targetScore);
+                this.match.load(save.match);
+            }
+            this.clock = save.clock ? Clock.fromData(save.clock) : null;
+            this.daily = save.daily ? { ...save.daily, result: null } : null;
+
+            if (save.mode === 'local') {
+                this.mode = 'local';
+                this.myIndex = Math.max(0, this.game.players.findIndex(p => !p.bot));
+                this._showScreen('game');
+                this._updateLocalGame();
+                return;
+            }
+
+            const h = save.host;
+            this.mode = 'host';
+            this.network = h.direct ? this._newDirectNetwork() : new Network(this._servers());
+            this.els.homeError.textContent = '';
+            this.els.resumeBtn.disabled = true;
+            let gameId;
+            try {
+                // Prefer the old code so the players' links still work
+                gameId = await this.network.createGame(this._getTurnKey(), h.gameId)
+                    .catch(() => this.network.createGame(this._getTurnKey()));
+            } catch (e) {
+                this.els.homeError.textContent = 'Failed to host saved game: ' + (e.message || e.type);
+                this.els.resumeBtn.disabled = false;
+                return;
+            }
+            this._bindHostNetwork();
+            // Returning players hold tokens for the old code; they are asked for them on joining
+            this.formerGameId = gameId === h.gameId ? null : h.gameId;
+
+            this.myIndex = h.myIndex;
+            this.botCount = h.botCount || 0;
+            this.seatTokens = new Map(h.tokens);
+            this.peerToPlayer = new Map([['host', this.myIndex]]);
+            this.game.players[this.myIndex].id = 'host';
+            // Everyone else is away until they rejoin with their token
+            this.awaySeats = new Set();
+            this.game.players.forEach((p, i) => {
+                if (i !== this.myIndex && !p.bot) this.awaySeats.add(i);
+            });
+
+            this._showScreen('game');
+            this._syncAfterAction();
+            if (h.direct) {
+                this._notify('Game resumed – invite the players again from ⚙ Settings.');
+                return;
             }
+            this._notify(gameId === h.gameId
+                ? `Game resumed – players can rejoin with code ${gameId}.`
+                : `Game resumed under new code ${gameId} – share it with the players.`);
+        }
+
+        /** Hot-seat: show the current player's hand, or the last human's while a bot moves. */
+        _localViewIndex() {
+            const cp = this.game.currentPlayer();
+            if (cp && !cp.bot) this.myIndex = this.game.currentPlayerIndex;
+            return this.myIndex;
+        }
+
+        /* ================================================================
+           Computer players
+           ================================================================ */
+
+        _scheduleBotTurn() {
+            if (this._botTimer || this.game.phase !== 'playing') return;
+            const cp = this.game.currentPlayer();
+            if (!cp || !cp.bot) return;
+            this._botTimer = setTimeout(() => {
+                this._botTimer = null;
+                this._runBotTurn();
+            }, BOT_DELAY);
+        }
+
+        _runBotTurn() {
+            const game = this.game;
+            if (game.phase !== 'playing') return;
+            const pIdx = game.currentPlayerIndex;
+            const bot = game.players[pIdx].bot;
+            if (!bot) return;
+
+            const move = AI.chooseMove(game, pIdx, bot);
+            let res;
+            if (move.type === 'place') {
+                res = game.placeTile(pIdx, move.tileIdx, move.row, move.col, move.rotation);
+            } else if (move.type === 'draw') {
+                res = game.drawTile(pIdx);
+            } else {
+                res = game.passTurn(pIdx);
+            }
+            if (!res.success) {
+                console.warn('[Trikono] Bot move rejected:', res.error);
+                return;
+            }
+
+            this._syncAfterAction();
+            if (move.type === 'place' && this.renderer) this.renderer.centerOnBoard(game.board);
         }
 
         /* ================================================================
@@ -530,7 +1823,9 @@
             this.renderer.onCellClick = (r, c) => this._onBoardClick(r, c);
             this.renderer.onCellHover = cell => {
                 this.hoverCell = cell;
-                this.rotationOffset = 0;
+                if (this.editor) return; // the editor keeps its rotation from cell to cell
+                this.rotationOffset = cell && this.hint && cell.row === this.hint.row && cell.col === this.hint.col
+                    ? this._hintRotation() : 0;
             };
 
             this._updateHandPanelWidth();
@@ -554,7 +1849,7 @@
         _render() {
             if (!this.renderer || !this.game) return;
             const r = this.renderer;
-            const board = this.game.board;
+            const board = this.replay ? this.replay.board : this.game.board;
 
             r.clear();
 
@@ -571,10 +1866,19 @@
                 r.drawSlot(0, 0, valid);
             }
 
-            // Placed tiles
+            // Placed tiles (the replay's latest placement highlighted)
+            const last = this.replay && this.replay.view.moveAt(this.replay.index - 1);
             for (const [key, tile] of board.cells) {
                 const [row, col] = key.split(',').map(Number);
-                r.drawTile(row, col, tile.values, tile.playerId);
+                const highlight = last && last.type === 'place' && last.row === row && last.col === col;
+                const conflict = this.editor && this.editorConflicts.has(key);
+                r.drawTile(row, col, tile.values, tile.playerId, { highlight, conflict });
+            }
+
+            // Editor: the picked tile under the cursor
+            if (this.editor && this.editorTile >= 0 && this.hoverCell && this.els.editorTool.value === 'place') {
+                const values = Tiles.getPlacedValues(this.editor.tiles[this.editorTile].values, ((this.rotationOffset % 3) + 3) % 3);
+                r.drawGhost(this.hoverCell.row, this.hoverCell.col, values, parseInt(this.els.editorOwner.value) || 0);
             }
 
             // Hint text when board is empty
@@ -600,6 +1904,21 @@
                     r.drawGhost(this.hoverCell.row, this.hoverCell.col, chosen.values, pid);
                 }
             }
+
+            // Suggested move (the hover preview covers it on its own cell)
+            const onHint = this.hoverCell && this.hint &&
+                this.hoverCell.row === this.hint.row && this.hoverCell.col === this.hint.col;
+            if (this.hint && !this.replay && !onHint) {
+                const pid = this.mode === 'local' ? this.game.currentPlayerIndex : this.myIndex;
+                r.drawGhost(this.hint.row, this.hint.col, this.hint.values, pid);
+            }
+
+            // Score labels rising off fresh placements
+            const now = performance.now();
+            this.scorePops = this.scorePops.filter(p => now - p.born < SCORE_POP_TIME);
+            if (!this.replay) {
+                for (const p of this.scorePops) r.drawScorePop(p.row, p.col, p.text, (now - p.born) / SCORE_POP_TIME);
+            }
         }
 
         /* ================================================================
@@ -612,12 +1931,41 @@
             });
             this.els.drawBtn.addEventListener('click', () => this._doDrawTile());
             this.els.passBtn.addEventListener('click', () => this._doPass());
+            this.els.undoBtn.addEventListener('click', () => this._doUndo());
+            this.els.hintBtn.addEventListener('click', () => this._showHint());
+            this.els.undoAllow.addEventListener('click', () => this._answerUndo(true));
+            this.els.undoDecline.addEventListener('click', () => this._answerUndo(false));
+            this.els.fairClose.addEventListener('click', () => this.els.fairModal.classList.add('hidden'));
+            this.els.nextRoundBtn.addEventListener('click', () => this._nextRound());
+            this.els.dailyShareBtn.addEventListener('click', () => {
+                navigator.clipboard.writeText(Daily.shareText(this.daily.result)).then(() => {
+                    this.els.dailyShareBtn.textContent = 'Copied!';
+                    setTimeout(() => this.els.dailyShareBtn.textContent = 'Copy Result', 1500);
+                });
+            });
+            this.els.puzzleReveal.addEventListener('click', () => this._revealPuzzle());
+            this.els.puzzleNext.addEventListener('click', () => this._startPuzzle(this.puzzle.index + 1));
+            this.els.puzzleExit.addEventListener('click', () => this._setupPuzzles());
+            this.els.replayBtn.addEventListener('click', () => this._enterReplay());
+            this.els.replayStart.addEventListener('click', () => this._replayGo(0));
+            this.els.replayBack.addEventListener('click', () => this._replayGo(this.replay.index - 1));
+            this.els.replayFwd.addEventListener('click', () => this._replayGo(this.replay.index + 1));
+            this.els.replayEnd.addEventListener('click', () => this._replayGo(this.replay.view.length));
+            this.els.replayPlay.addEventListener('click', () => this._replayToggleAutoplay());
+            this.els.replayScrub.addEventListener('input', () => this._replayGo(parseInt(this.els.replayScrub.value)));
+            this.els.replayExport.addEventListener('click', () => this._exportReplay());
+            this.els.replayExit.addEventListener('click', () => this._exitReplay());
             this.els.newGameBtn.addEventListener('click', () => location.reload());
 
             // Keyboard shortcuts
             document.addEventListener('keydown', e => {
                 if (document.querySelector('.screen:not(.hidden)')?.id !== 'game-screen') return;
+                if (e.target.matches('input, select, textarea')) return; // chat, editor fields
                 if (e.key === 'r' || e.key === 'R') { this.rotationOffset++; }
+                if (!this.editor && (e.key === 'h' || e.key === 'H')) this._showHint();
+                if (!this.editor && (e.ctrlKey || e.metaKey) && e.key === 'z') { e.preventDefault(); this._doUndo(); }
+                if (this.replay && e.key === 'ArrowLeft') this._replayGo(this.replay.index - 1);
+                if (this.replay && e.key === 'ArrowRight') this._replayGo(this.replay.index + 1);
                 if (e.key === 'Escape') {
                     if (!this.els.settingsModal.classList.contains('hidden')) {
                         this.els.settingsModal.classList.add('hidden');
@@ -629,8 +1977,15 @@
 
             // Settings modal
             this.els.settingsBtn.addEventListener('click', () => {
+                this.els.exportBtn.classList.toggle('hidden', this.mode !== 'local' && this.mode !== 'host');
+                this.els.settingsInvite.classList.toggle('hidden', !(this.mode === 'host' && this.network.direct));
                 this.els.settingsModal.classList.remove('hidden');
             });
+            this.els.exportBtn.addEventListener('click', () => {
+                if (this.mode !== 'local' && this.mode !== 'host') return;
+                if (!this.game || this.game.phase === 'waiting') return;
+                Storage.exportFile(this._currentSave());
+            });
             this.els.settingsClose.addEventListener('click', () => {
                 this.els.settingsModal.classList.add('hidden');
             });
@@ -677,10 +2032,16 @@
             const vs = this.viewState;
             const isMyTurn = this._isMyTurn();
 
+            this._announceMoves(vs);
+
             // Turn info
             const cp = vs.players[vs.currentPlayerIndex];
             if (vs.phase === 'playing') {
-                if (this.mode === 'local') {
+                if (cp.bot) {
+                    this.els.turnInfo.innerHTML = `<strong>${this._esc(cp.name)}</strong> is thinking…`;
+                } else if (cp.away) {
+                    this.els.turnInfo.innerHTML = `<strong>${this._esc(cp.name)}</strong> is disconnected – waiting…`;
+                } else if (this.mode === 'local' || this.spectating) {
                     this.els.turnInfo.innerHTML = `<strong>${this._esc(cp.name)}</strong>'s turn`;
                 } else {
                     this.els.turnInfo.innerHTML = isMyTurn
@@ -688,42 +2049,72 @@
                         : `Waiting for <strong>${this._esc(cp.name)}</strong>…`;
                 }
             } else if (vs.phase === 'finished') {
-                this.els.turnInfo.innerHTML = '<strong>Game Over</strong>';
+                this.els.turnInfo.innerHTML = vs.match && vs.match.phase !== 'finished'
+                    ? `<strong>Round ${vs.match.round} over</strong>`
+                    : '<strong>Game Over</strong>';
             }
 
             // Pool
             const poolSz = vs.poolSize !== undefined ? vs.poolSize : this.game.pool.length;
             this.els.poolInfo.textContent = `Pool: ${poolSz}`;
 
-            // Scores
+            // Scores (match total, with this round's points alongside)
+            const totals = this._matchTotals(vs);
             this.els.scoreBoard.innerHTML = vs.players.map((p, i) => {
-                const cls = i === vs.currentPlayerIndex ? 'active' : '';
-                const col = ['#4361ee', '#ef233c', '#2dc653', '#ff9500'][i % 4];
+                const cls = (i === vs.currentPlayerIndex ? 'active' : '') + (p.away ? ' away' : '');
+                const col = SEAT_COLORS[i % SEAT_COLORS.length];
+                const round = totals ? `<span class="sround" title="This round">${p.score >= 0 ? '+' : ''}${p.score}</span>` : '';
                 return `<div class="score-entry ${cls}" style="border-left:3px solid ${col}">
-                    <span class="sname">${this._esc(p.name)}</span>
-                    <span class="sval">${p.score}</span>
-                    <span class="stiles">${p.tileCount} tiles</span>
+                    <span class="sname">${p.bot ? '🤖 ' : ''}${this._esc(p.name)}</span>
+                    <span class="sval">${totals ? totals[i] : p.score}</span>
+                    ${round}
+                    <span class="stiles">${p.away ? '⚠ disconnected' : p.tileCount + ' tiles'}</span>
+                    ${vs.clock ? `<span class="sclock" data-seat="${i}"></span>` : ''}
+                    ${p.tiles && this.spectating ? `<span class="shand">${p.tiles.map(t => t.values.join('')).join(' ')}</span>` : ''}
                 </div>`;
             }).join('');
 
+            this._renderClocks();
+
             // Hand
             this._renderHand();
 
             // Buttons
-            const drawn = vs.drawnThisTurn || false;
-            this.els.drawBtn.disabled = !isMyTurn || poolSz === 0 || drawn;
-            this.els.passBtn.disabled = !isMyTurn || (!drawn && poolSz > 0);
+            const draws = vs.drawsThisTurn || 0;
+            const maxDraws = vs.rules ? vs.rules.maxDraws : Game.DEFAULT_RULES.maxDraws;
+            const canDraw = poolSz > 0 && draws < maxDraws;
+            this.els.drawBtn.disabled = !isMyTurn || !canDraw;
+            this.els.drawBtn.textContent = maxDraws > 1 && draws > 0 ? `Draw (${draws}/${maxDraws})` : 'Draw';
+            this.els.passBtn.disabled = !isMyTurn || canDraw;
+            this.els.undoBtn.disabled = !this._canRequestUndo();
+            this.els.undoBtn.classList.toggle('hidden', !!this.daily || !!(this.viewState && this.viewState.fair));
+            const hints = !!(vs.rules && vs.rules.hints);
+            this.els.hintBtn.classList.toggle('hidden', !hints);
+            this.els.hintBtn.disabled = !isMyTurn;
+            if (!isMyTurn) this.hint = null;
             this.els.rotateBtn.disabled = this.selectedTileIdx < 0;
 
-            // Game over overlay
-            if (vs.phase === 'finished') {
-                this._showGameOver();
+            // Round / match summary overlay
+            if (this.replay) {
+                this.els.gameOverOverlay.classList.add('hidden');
+            } else if (vs.phase === 'finished') {
+                this._showMatchSummary();
+            } else {
+                this.els.gameOverOverlay.classList.add('hidden');
             }
         }
 
+        /** Cumulative totals including the round in progress, or null outside a match. */
+        _matchTotals(vs) {
+            const m = vs.match;
+            if (!m) return null;
+            const pending = m.rounds.length < m.round;
+            return vs.players.map((p, i) => (m.totals[i] || 0) + (pending ? p.score : 0));
+        }
+
         _renderHand() {
             const container = this.els.handContainer;
-            const tiles = this.viewState ? this.viewState.yourTiles : [];
+            const tiles = (this.viewState && this.viewState.yourTiles) || [];
             container.innerHTML = '';
             const sz = this.tileSize || 120;
             const w = Math.round(sz * 0.7);
@@ -763,8 +2154,11 @@
            ================================================================ */
 
         _isMyTurn() {
-            if (!this.viewState) return false;
+            if (!this.viewState || this.replay) return false;
+            if (this.puzzle && this.puzzle.solved) return false;
             if (this.viewState.phase !== 'playing') return false;
+            const cp = this.viewState.players[this.viewState.currentPlayerIndex];
+            if (cp && cp.bot) return false;
             if (this.mode === 'local') return true;
             return this.viewState.currentPlayerIndex === this.myIndex;
         }
@@ -777,6 +2171,7 @@
             }
             this.selectedTileIdx = idx;
             this.rotationOffset = 0;
+            this.hint = null;
             this._computeValid();
             this._renderHand();
             if (this.validPlacements && this.validPlacements.size === 0) {
@@ -785,6 +2180,7 @@
         }
 
         _deselectTile() {
+            this.hint = null;
             this.selectedTileIdx = -1;
             this.validPlacements = null;
             this.rotationOffset = 0;
@@ -792,7 +2188,7 @@
         }
 
         _computeValid() {
-            const tiles = this.viewState ? this.viewState.yourTiles : [];
+            const tiles = (this.viewState && this.viewState.yourTiles) || [];
             if (this.selectedTileIdx < 0 || this.selectedTileIdx >= tiles.length) {
                 this.validPlacements = null;
                 return;
@@ -809,6 +2205,7 @@
         }
 
         _onBoardClick(row, col) {
+            if (this.editor) { this._editorClick(row, col); return; }
             if (!this._isMyTurn()) return;
             if (this.selectedTileIdx < 0) return;
 
@@ -823,15 +2220,15 @@
             const tiles = this.viewState.yourTiles;
             const tile = tiles[this.selectedTileIdx];
 
-            if (this.mode === 'host' || this.mode === 'local') {
+            if (this.puzzle) {
+                this._puzzleAttempt(this.selectedTileIdx, row, col, chosen.rotation);
+            } else if (this.mode === 'host' || this.mode === 'local') {
                 const pIdx = this.mode === 'local' ? this.game.currentPlayerIndex : this.myIndex;
                 // For local mode, selectedTileIdx is relative to the current player's hand
                 const res = this.game.placeTile(pIdx, this.selectedTileIdx, row, col, chosen.rotation);
                 if (res.success) {
-                    if (res.score > 15) this._notify(`+${res.score} points!`);
                     this._deselectTile();
-                    if (this.mode === 'host') this._broadcastState();
-                    this._updateLocalGame();
+                    this._syncAfterAction();
                     this.renderer.centerOnBoard(this.game.board);
                 } else {
                     this._notify(res.error, true);
@@ -855,9 +2252,8 @@
                 const res = this.game.drawTile(pIdx);
                 if (res.success) {
                     this._deselectTile();
-                    if (this.mode === 'host') this._broadcastState();
-                    this._updateLocalGame();
-                    this._notify(`Drew a tile (−5 pts). Pool: ${this.game.pool.length}`);
+                    this._syncAfterAction();
+                    this._notify(`Drew a tile (−${this.game.rules.drawPenalty} pts). Pool: ${this.game.pool.length}`);
                 } else {
                     this._notify(res.error, true);
                 }
@@ -873,8 +2269,7 @@
                 const res = this.game.passTurn(pIdx);
                 if (res.success) {
                     this._deselectTile();
-                    if (this.mode === 'host') this._broadcastState();
-                    this._updateLocalGame();
+                    this._syncAfterAction();
                 } else {
                     this._notify(res.error, true);
                 }
@@ -884,24 +2279,811 @@
         }
 
         /* ================================================================
-           Game Over
+           Time control
+           ================================================================ */
+
+        /**
+         * Host / local: keep the clock on the current turn and arm the timeout.
+         * A turn is identified by how many turn-ending moves the hand has seen,
+         * so draws keep the clock running and a take-back restarts it.
+         */
+        _syncClock() {
+            clearTimeout(this._timeoutTimer);
+            this._timeoutTimer = null;
+            const clock = this.clock, game = this.game;
+            if (!clock || !game || game.phase === 'waiting') return;
+            if (game.phase !== 'playing') {
+                clock.stop();
+                return;
+            }
+            const idx = game.currentPlayerIndex;
+            const turn = game.history.filter(h => h.type !== 'draw').length;
+            clock.sync({
+                player: idx,
+                players: game.players.length,
+                round: this.match ? this.match.round : 0,
+                turn,
+            });
+            // Absent players are skipped by _scheduleAwaySkip instead, without penalty
+            if (this.awaySeats.has(idx)) return;
+            this._timeoutTimer = setTimeout(() => this._onTimeout(idx, turn), clock.left(idx) + 50);
+        }
+
+        /** Out of time: draw if the rules still allow it, then pass. */
+        _onTimeout(idx, turn) {
+            this._timeoutTimer = null;
+            const game = this.game;
+            if (game.phase !== 'playing' || game.currentPlayerIndex !== idx) return;
+            if (game.history.filter(h => h.type !== 'draw').length !== turn) return;
+            if (this.clock.left(idx) > 0) {
+                this._syncClock();
+                return;
+            }
+            if (game.canDraw()) game.drawTile(idx);
+            game.passTurn(idx, { forced: true });
+            this._notify(`${game.players[idx].name} ran out of time.`, true);
+            this._deselectTile();
+            this._syncAfterAction();
+        }
+
+        /** Count down the clocks shown in the score board. */
+        _renderClocks() {
+            const vs = this.viewState;
+            const clock = vs && vs.clock;
+            if (!clock) {
+                clearInterval(this._clockTicker);
+                this._clockTicker = null;
+                return;
+            }
+            if (!this._clockTicker) this._clockTicker = setInterval(() => this._renderClocks(), 250);
+
+            const elapsed = Date.now() - this.clockStamp;
+            for (const el of this.els.scoreBoard.querySelectorAll('.sclock')) {
+                const i = Number(el.dataset.seat);
+                const running = i === clock.current && vs.phase === 'playing';
+                // A per-turn limit only matters to whoever is moving
+                if (clock.mode === 'turn' && !running) {
+                    el.textContent = '';
+                    continue;
+                }
+                const ms = Math.max(0, clock.remaining[i] - (running ? elapsed : 0));
+                const secs = Math.ceil(ms / 1000);
+                el.textContent = `⏱ ${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
+                el.classList.toggle('low', ms < CLOCK_LOW);
+                el.classList.toggle('running', running);
+            }
+        }
+
+        /* ================================================================
+           Chat
+           ================================================================ */
+
+        _bindChat() {
+            this.chatMuted = localStorage.getItem(CHAT_MUTE_KEY) === '1';
+            this.els.chatForm.addEventListener('submit', e => {
+                e.preventDefault();
+                this._sendChat({ text: this.els.chatInput.value });
+                this.els.chatInput.value = '';
+            });
+            for (const emoji of Host.REACTIONS) {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.textContent = emoji;
+                btn.addEventListener('click', () => this._sendChat({ reaction: emoji }));
+                this.els.chatReactions.appendChild(btn);
+            }
+            this.els.chatToggle.addEventListener('click', () => {
+                const open = this.els.chatPanel.classList.toggle('open');
+                if (open) {
+                    this.chatUnread = 0;
+                    this._updateChatBadge();
+                    this.els.chatLog.scrollTop = this.els.chatLog.scrollHeight;
+                }
+            });
+            this.els.chatMute.addEventListener('click', () => {
+                this.chatMuted = !this.chatMuted;
+                localStorage.setItem(CHAT_MUTE_KEY, this.chatMuted ? '1' : '0');
+                this._updateChatMute();
+            });
+            this._updateChatMute();
+        }
+
+        /** Muting hides everyone's messages and reactions, and turns off sending. */
+        _updateChatMute() {
+            this.els.chatMute.textContent = this.chatMuted ? '🔕' : '🔔';
+            this.els.chatMute.title = this.chatMuted ? 'Unmute chat' : 'Mute chat';
+            this.els.chatPanel.classList.toggle('muted', this.chatMuted);
+            this.els.chatInput.disabled = this.chatMuted;
+            this.els.chatInput.placeholder = this.chatMuted ? 'Chat is muted' : 'Say something…';
+            if (this.chatMuted) {
+                this.chatUnread = 0;
+                this._updateChatBadge();
+            }
+        }
+
+        _updateChatBadge() {
+            this.els.chatUnread.textContent = this.chatUnread;
+            this.els.chatUnread.classList.toggle('hidden', this.chatUnread === 0);
+        }
+
+        _sendChat({ text, reaction }) {
+            if (this.chatMuted) return;
+            const payload = reaction ? { reaction } : { text: String(text || '').trim() };
+            if (!payload.reaction && !payload.text) return;
+            if (this.mode === 'host') this._hostRelayChat('host', payload);
+            else if (this.mode === 'client') this.network.sendToHost({ type: 'chat', ...payload });
+        }
+
+        /** Host: check a chat message, stamp the sender's name on it and pass it to everyone. */
+        _hostRelayChat(peerId, data) {
+            const res = Host.relayChat(this, peerId, data);
+            if (!res) return;
+            if (res.error) {
+                if (peerId === 'host') this._notify(res.error, true);
+                else this.network.sendToPeer(peerId, { type: 'error', message: res.error });
+                return;
+            }
+            this.network.broadcast(res.message);
+            this._showChat(res.message);
+        }
+
+        _showChat(msg) {
+            if (this.chatMuted) return;
+            const text = msg.reaction || msg.text;
+            if (typeof text !== 'string') return;
+
+            const line = document.createElement('div');
+            line.className = 'chat-line' + (msg.reaction ? ' reaction' : '');
+            const col = msg.seat >= 0 ? SEAT_COLORS[msg.seat % SEAT_COLORS.length] : 'var(--text-dim)';
+            line.innerHTML = `<strong style="color:${col}">${this._esc(msg.from)}</strong> ${this._esc(text)}`;
+            const log = this.els.chatLog;
+            log.appendChild(line);
+            while (log.children.length > CHAT_LOG_SIZE) log.firstChild.remove();
+            log.scrollTop = log.scrollHeight;
+
+            if (msg.reaction) this._floatReaction(msg.reaction);
+            if (!this.els.chatPanel.classList.contains('open')) {
+                this.chatUnread++;
+                this._updateChatBadge();
+            }
+        }
+
+        /** Let a reaction drift up over the board. */
+        _floatReaction(emoji) {
+            if (this.els.gameScreen.classList.contains('hidden')) return;
+            const el = document.createElement('div');
+            el.className = 'reaction-float';
+            el.textContent = emoji;
+            el.style.left = `${15 + Math.random() * 70}%`;
+            el.addEventListener('animationend', () => el.remove());
+            this.els.boardArea.appendChild(el);
+        }
+
+        /* ================================================================
+           Score announcements
+           ================================================================ */
+
+        /** "12 + 40 bridge + 50 hexagon = 102" for a placement's breakdown. */
+        _describeScore(b) {
+            const parts = [String(b.base)];
+            if (b.triple) parts.push(`${b.triple} triple`);
+            if (b.bridge) parts.push(`${b.bridge} bridge`);
+            if (b.hexagon) parts.push(`${b.hexagon} ${b.hexagons > 1 ? b.hexagons + ' hexagons' : 'hexagon'}`);
+            return parts.length > 1 ? `${parts.join(' + ')} = ${b.total}` : `+${b.total}`;
+        }
+
+        /** How the last hand was settled, e.g. "Ann went out: 25 + 14 from Bob = 39". */
+        _describeEnd(vs) {
+            const last = vs.history && vs.history[vs.history.length - 1];
+            if (!last) return '';
+            if (last.endBonus) {
+                const b = last.endBonus;
+                const parts = ['25 for going out', ...b.opponents.map(o =>
+                    `${o.sum} from ${vs.players[o.player].name}`)];
+                return `${vs.players[last.player].name}: ${parts.join(' + ')} = +${b.total}`;
+            }
+            if (last.endPenalties) {
+                return 'Blocked – tiles left in hand: ' + last.endPenalties.map((sum, i) =>
+                    `${vs.players[i].name} −${sum}`).join(', ');
+            }
+            return '';
+        }
+
+        /** Float a label over every placement made since the last update; call out bonuses. */
+        _announceMoves(vs) {
+            const history = vs.history || [];
+            if (history.length < this.seenMoves) this.seenMoves = 0; // new round or take-back
+            const fresh = history.slice(this.seenMoves);
+            this.seenMoves = history.length;
+            if (fresh.length > 4) return; // catching up (resume, reconnect) – nothing to celebrate
+
+            for (const h of fresh) {
+                if (h.type !== 'place' || !h.breakdown) continue;
+                const text = this._describeScore(h.breakdown);
+                this.scorePops.push({ row: h.row, col: h.col, text, born: performance.now() });
+                if (text.includes('=')) this._notify(`${vs.players[h.player].name}: ${text}`);
+            }
+        }
+
+        /* ================================================================
+           Position editor
+           ================================================================ */
+
+        /** Set up a position from scratch, or from a `serializeFull` state. */
+        _openEditor(full) {
+            this.mode = 'local';
+            this.editor = new Editor(full);
+            this.editorTile = -1;
+            this.rotationOffset = 0;
+            this.game = new Game();
+            this.game.board = this.editor.board; // drawn by the normal board renderer
+            this.viewState = null;
+            this.match = null;
+            this.clock = null;
+            this.daily = null;
+            this.puzzle = null;
+            this.hint = null;
+            this.validPlacements = null;
+            this.selectedTileIdx = -1;
+            this.els.gameScreen.classList.add('editing');
+            this.els.editorPanel.classList.remove('hidden');
+            this.els.turnInfo.textContent = 'Position editor';
+            this.els.scoreBoard.innerHTML = '';
+            this.els.poolInfo.textContent = '';
+            this._showScreen('game');
+            this._renderEditor();
+            if (this.renderer) this.renderer.centerOnBoard(this.editor.board);
+        }
+
+        _bindEditor() {
+            const ed = () => this.editor;
+            this.els.editorPalette.addEventListener('click', e => {
+                const btn = e.target.closest('[data-tile]');
+                if (!btn) return;
+                const id = parseInt(btn.dataset.tile);
+                this.editorTile = this.editorTile === id ? -1 : id;
+                this._renderEditor();
+            });
+            this.els.editorSend.addEventListener('click', e => {
+                const btn = e.target.closest('[data-send]');
+                if (!btn || this.editorTile < 0) return;
+                const [where, seat] = btn.dataset.send.split(':');
+                if (where === 'hand') ed().toHand(this.editorTile, parseInt(seat));
+                else if (where === 'pool') ed().toPool(this.editorTile);
+                else ed().toBox(this.editorTile);
+                this._renderEditor();
+            });
+            // Tiles listed in hands and the pool pick up like palette tiles
+            for (const list of [this.els.editorSeats, this.els.editorPool]) {
+                list.addEventListener('click', e => {
+                    const tile = e.target.closest('[data-tile]');
+                    const remove = e.target.closest('[data-remove-seat]');
+                    if (tile) this.editorTile = parseInt(tile.dataset.tile);
+                    else if (remove) ed().removePlayer(parseInt(remove.dataset.removeSeat));
+                    else return;
+                    this._renderEditor();
+                });
+            }
+            this.els.editorSeats.addEventListener('change', e => {
+                const i = parseInt(e.target.dataset.seat);
+                const p = ed().players[i];
+                if (!p) return;
+                if (e.target.name === 'editor-turn') ed().currentPlayerIndex = i;
+                else if (e.target.classList.contains('editor-name')) p.name = e.target.value.trim().slice(0, 20) || `Player ${i + 1}`;
+                else if (e.target.classList.contains('editor-score')) p.score = parseInt(e.target.value) || 0;
+                this._renderEditor();
+            });
+            this.els.editorAddSeat.addEventListener('click', () => { ed().addPlayer(); this._renderEditor(); });
+            this.els.editorCornerMatch.addEventListener('change', () => {
+                ed().setRules({ cornerMatch: this.els.editorCornerMatch.checked });
+                this._renderEditor();
+            });
+            this.els.editorPlay.addEventListener('click', () => this._playFromEditor());
+            this.els.editorExport.addEventListener('click', () => {
+                Storage.exportFile(Storage.createSave({ mode: 'local', game: ed().toGame() }));
+            });
+            this.els.editorPuzzle.addEventListener('click', () => this._exportPuzzle());
+            this.els.editorLoad.addEventListener('click', () => this.els.editorFile.click());
+            this.els.editorExit.addEventListener('click', () => {
+                this._closeEditor();
+                this._showScreen('home');
+            });
+            this.els.editorFile.addEventListener('change', async () => {
+                const file = this.els.editorFile.files[0];
+                this.els.editorFile.value = '';
+                if (!file) return;
+                try {
+                    this._openEditor((await Storage.importFile(file)).game);
+                } catch (e) {
+                    this._notify('Could not load save: ' + e.message, true);
+                }
+            });
+        }
+
+        _editorClick(row, col) {
+            const ed = this.editor;
+            const cell = ed.board.get(row, col);
+            const tool = this.els.editorTool.value;
+            if (tool === 'erase') ed.clear(row, col);
+            else if (tool === 'rotate') ed.rotate(row, col);
+            else if (tool === 'owner') ed.setOwner(row, col, parseInt(this.els.editorOwner.value) || 0);
+            else if (this.editorTile >= 0) {
+                ed.place(row, col, this.editorTile, ((this.rotationOffset % 3) + 3) % 3, parseInt(this.els.editorOwner.value) || 0);
+                this.editorTile = -1;
+            } else if (cell) {
+                ed.rotate(row, col);
+            }
+            this._renderEditor();
+        }
+
+        /** Redraw the editor panel and recheck the board. */
+        _renderEditor() {
+            const ed = this.editor;
+            const label = id => ed.tiles[id].values.join('');
+            const chip = id => `<button class="editor-tile${id === this.editorTile ? ' picked' : ''}" data-tile="${id}">${label(id)}</button>`;
+
+            this.els.editorPalette.innerHTML = ed.tiles.map(t => {
+                const w = ed.where(t.id);
+                const tag = w.at === 'hand' ? `P${w.player + 1}` : w.at === 'board' ? '▲' : w.at === 'pool' ? '◌' : '';
+                return `<button class="editor-tile at-${w.at}${t.id === this.editorTile ? ' picked' : ''}" data-tile="${t.id}" title="${w.at}">${label(t.id)}<small>${tag}</small></button>`;
+            }).join('');
+
+            const owner = Math.min(parseInt(this.els.editorOwner.value) || 0, ed.players.length - 1);
+            this.els.editorOwner.innerHTML = ed.players.map((p, i) =>
+                `<option value="${i}"${i === owner ? ' selected' : ''}>${this._esc(p.name)}</option>`).join('');
+
+            this.els.editorSend.innerHTML = this.editorTile < 0
+                ? '<small>Pick a tile to place it or send it to a hand or the pool.</small>'
+                : `<span>${label(this.editorTile)} →</span>` + ed.players.map((p, i) =>
+                    `<button data-send="hand:${i}">P${i + 1}</button>`).join('') +
+                  '<button data-send="pool">Pool</button><button data-send="box">Box</button>';
+
+            this.els.editorSeats.innerHTML = ed.players.map((p, i) => `
+                <div class="editor-seat" style="border-color:${SEAT_COLORS[i]}">
+                    <div class="editor-seat-head">
+                        <input type="radio" name="editor-turn" data-seat="${i}" title="To move"${i === ed.currentPlayerIndex ? ' checked' : ''}>
+                        <input type="text" class="editor-name" data-seat="${i}" value="${this._esc(p.name)}" maxlength="20">
+                        <input type="number" class="editor-score" data-seat="${i}" value="${p.score}" title="Score">
+                        ${ed.players.length > 1 ? `<button data-remove-seat="${i}" title="Remove seat">×</button>` : ''}
+                    </div>
+                    <div class="editor-hand">${p.tiles.map(chip).join('') || '<small>empty hand</small>'}</div>
+                </div>`).join('');
+            this.els.editorAddSeat.disabled = ed.players.length >= Editor.MAX_PLAYERS;
+
+            const unused = ed.box().length;
+            this.els.editorPool.innerHTML = `<div class="editor-hand">${ed.pool.slice().reverse().map(chip).join('')}</div>
+                <small>${ed.pool.length ? 'Drawn left to right, then ' : ''}${unused} unused tile${unused === 1 ? '' : 's'} shuffled underneath</small>`;
+
+            this.els.editorCornerMatch.checked = ed.rules.cornerMatch;
+            const conflicts = ed.conflicts();
+            this.editorConflicts = new Set(conflicts.map(c => Board.key(c.row, c.col)));
+            const mismatched = conflicts.filter(c => c.reason === 'mismatch').length;
+            const detached = conflicts.length - mismatched;
+            this.els.editorStatus.textContent = conflicts.length === 0
+                ? `${ed.board.size} tiles on the board, all matching.`
+                : [mismatched && `${mismatched} tile${mismatched > 1 ? 's' : ''} not matching`,
+                   detached && `${detached} not touching the rest`].filter(Boolean).join(', ') + ' (outlined in red).';
+        }
+
+        /** Leave the editor and play on from the position as a single hot-seat hand. */
+        _playFromEditor() {
+            const game = this.editor.toGame();
+            const errors = Storage.validateGame(game.serializeFull());
+            if (errors.length) { this._notify(errors[0], true); return; }
+            if (!game.players.some(p => p.tiles.length)) { this._notify('Give someone a hand first.', true); return; }
+            this._closeEditor();
+            this.game = game;
+            this.match = null;
+            this.clock = null;
+            this.myIndex = Math.max(0, game.players.findIndex(p => !p.bot));
+            this._deselectTile();
+            this._updateLocalGame();
+        }
+
+        _closeEditor() {
+            this.editor = null;
+            this.editorTile = -1;
+            this.editorConflicts = new Set();
+            this.els.gameScreen.classList.remove('editing');
+            this.els.editorPanel.classList.add('hidden');
+        }
+
+        /** Download the board and the hand of the player to move as a puzzle. */
+        _exportPuzzle() {
+            const data = this.editor.toPuzzle('custom-' + Date.now().toString(36), 'Custom puzzle');
+            try {
+                Puzzles.load(data);
+            } catch (e) {
+                this._notify('Not a puzzle yet: ' + e.message, true);
+                return;
+            }
+            const blob = new Blob([JSON.stringify(data, null, 1)], { type: 'application/json' });
+            const a = document.createElement('a');
+            a.href = URL.createObjectURL(blob);
+            a.download = data.id + '.json';
+            a.click();
+            setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+        }
+
+        /* ================================================================
+           Puzzles
+           ================================================================ */
+
+        /** Open puzzle `index` of the pack, or `data` loaded from a file (index -1). */
+        _startPuzzle(index, data = Puzzles.pack()[index]) {
+            if (!data) { this._setupPuzzles(); return; }
+            const puzzle = Puzzles.load(data); // throws on a broken puzzle
+            this.puzzle = { index, data: puzzle, solved: false, revealed: false };
+            this.game = Puzzles.toGame(puzzle, this.els.playerName.value.trim() || 'You');
+            this.myIndex = 0;
+            this.hint = null;
+            this._deselectTile();
+            this.els.gameScreen.classList.add('puzzle');
+            this.els.puzzleBar.classList.remove('hidden');
+            this.els.puzzleNext.classList.toggle('hidden', index < 0 || index >= Puzzles.pack().length - 1);
+            this._showScreen('game');
+            this._updateLocalGame();
+            if (this.renderer) this.renderer.centerOnBoard(this.game.board);
+            this._renderPuzzleLabel(puzzle.hint || 'Find the highest-scoring move.');
+        }
+
+        _renderPuzzleLabel(text) {
+            const pz = this.puzzle;
+            const title = pz.index >= 0 ? `${pz.index + 1}/${Puzzles.pack().length} · ${pz.data.title}` : pz.data.title;
+            this.els.puzzleLabel.innerHTML = `<strong>${this._esc(title)}</strong> – ${this._esc(text)}`;
+        }
+
+        /** Judge a move; the right one is laid on the board, a wrong one is only scored. */
+        _puzzleAttempt(tileIdx, row, col, rotation) {
+            const pz = this.puzzle;
+            const res = Puzzles.check(pz.data, { tileIdx, row, col, rotation });
+            if (!res.valid) return;
+            if (!pz.revealed) Puzzles.recordAttempt(pz.data.id, res.solved);
+
+            if (!res.solved) {
+                this._renderPuzzleLabel(`that scores ${this._describeScore(res.breakdown)}. There is a better move – try again.`);
+                this._deselectTile();
+                return;
+            }
+
+            const player = this.game.players[0];
+            const [tile] = player.tiles.splice(tileIdx, 1);
+            this.game.board.place(row, col, Tiles.getPlacedValues(tile.values, rotation), tile.id, 0);
+            player.score = res.score;
+            pz.solved = true;
+            this._deselectTile();
+            this._updateLocalGame();
+            this._renderPuzzleLabel(`${pz.revealed ? 'That was it' : 'Solved!'} ${this._describeScore(res.breakdown)}`);
+            this.scorePops.push({ row, col, text: '+' + res.score, born: performance.now() });
+        }
+
+        /** Give up: point at the best move. */
+        _revealPuzzle() {
+            const pz = this.puzzle;
+            if (!pz || pz.solved) return;
+            pz.revealed = true;
+            const best = pz.data.best.moves[0];
+            this._pointAt(best);
+            this._renderPuzzleLabel(`play ${this.game.players[0].tiles[best.tileIdx].values.join('-')} on the highlighted spot for ${pz.data.best.score}.`);
+        }
+
+        /* ================================================================
+           Hints
+           ================================================================ */
+
+        /** Pick out the best move for the player on turn, and count the hint. */
+        _showHint() {
+            const vs = this.viewState;
+            if (!this._isMyTurn() || !vs.rules || !vs.rules.hints) return;
+            if (this.hint) return; // already showing this turn's hint
+
+            const best = AI.suggest(this.game.board, vs.yourTiles || []);
+            if (!best) {
+                this._notify(!this.els.drawBtn.disabled ? 'Nothing fits – draw a tile.' : 'Nothing fits – you will have to pass.');
+                return;
+            }
+
+            this._pointAt(best);
+            this._notify(`Hint: ${best.values.join('-')} on the highlighted spot (${this._describeScore(best.breakdown)})`);
+
+            if (this.mode === 'client') {
+                this.network.sendToHost({ type: 'hint' });
+            } else {
+                const pIdx = this.mode === 'local' ? this.game.currentPlayerIndex : this.myIndex;
+                if (this.game.useHint(pIdx).success) this._syncAfterAction();
+            }
+        }
+
+        /** Select `move`'s tile at its rotation and mark its spot, so one click plays it. */
+        _pointAt(move) {
+            this.selectedTileIdx = move.tileIdx;
+            this._computeValid();
+            this.hint = move;
+            this.rotationOffset = this._hintRotation();
+            this._renderHand();
+        }
+
+        /** Index of the hinted rotation among the valid ones at its cell. */
+        _hintRotation() {
+            const rots = this.validPlacements && this.validPlacements.get(Board.key(this.hint.row, this.hint.col));
+            return rots ? Math.max(0, rots.findIndex(p => p.rotation === this.hint.rotation)) : 0;
+        }
+
+        /* ================================================================
+           Take-backs
            ================================================================ */
 
-        _showGameOver() {
+        /** Most recent move made by a human (bot replies are undone along with it). */
+        _lastHumanMove(history, players) {
+            for (let i = history.length - 1; i >= 0; i--) {
+                if (!players[history[i].player].bot) return history[i];
+            }
+            return null;
+        }
+
+        _canRequestUndo() {
+            const vs = this.viewState;
+            if (!vs || this.replay || vs.phase !== 'playing' || !vs.history) return false;
+            if (this.daily) return false; // the day's result has to stand
+            if (vs.fair) return false;    // a take-back would reshuffle the pool out of the checked order
+            const last = this._lastHumanMove(vs.history, vs.players);
+            if (!last) return false;
+            return this.mode === 'local' || last.player === this.myIndex;
+        }
+
+        _doUndo() {
+            if (!this._canRequestUndo()) return;
+            if (this.mode === 'local') {
+                this._applyUndo();
+            } else if (this.mode === 'host') {
+                const err = this._hostStartUndoVote(this.myIndex);
+                if (err) this._notify(err, true);
+            } else {
+                this.network.sendToHost({ type: 'undo-request' });
+                this._notify('Asked the other players to allow a take-back…');
+            }
+        }
+
+        /** Host / local: undo back to (and including) the last human move. */
+        _applyUndo() {
+            let res;
+            do {
+                res = this.game.undoLast();
+            } while (res.success && this.game.players[res.undone.player].bot && this.game.canUndo());
+            clearTimeout(this._botTimer);
+            this._botTimer = null;
+            this._deselectTile();
+            this._syncAfterAction();
+            if (this.renderer) this.renderer.centerOnBoard(this.game.board);
+            return res;
+        }
+
+        /**
+         * Host: ask every other present human to approve `requester`'s take-back.
+         * Returns an error message, or null if the vote started (or passed outright).
+         */
+        _hostStartUndoVote(requester) {
+            if (this.fairDeal) return 'Take-backs are off in fair-deal games.';
+            if (this.undoVote) return 'A take-back is already being decided.';
+            if (!this.game.canUndo()) return 'Nothing to take back.';
+            const last = this._lastHumanMove(this.game.history, this.game.players);
+            if (!last || last.player !== requester) return 'You can only take back your own last move.';
+
+            const vote = new Host.UndoVote(this, requester, {
+                onExpire: () => this._hostCancelUndo('Take-back cancelled: not everyone answered in time.'),
+            });
+            this.undoVote = vote;
+            if (vote.voters.length === 0) {
+                this._hostResolveUndo(true);
+                return null;
+            }
+
+            const name = this.game.players[requester].name;
+            for (const [peerId, idx] of this.peerToPlayer) {
+                if (!vote.voters.includes(idx)) continue;
+                if (peerId === 'host') this._showUndoPrompt(name);
+                else this.network.sendToPeer(peerId, { type: 'undo-vote', requester: name });
+            }
+            if (requester === this.myIndex) this._notify('Asked the other players to allow a take-back…');
+            return null;
+        }
+
+        _hostOnUndoResponse(voter, approve) {
+            const verdict = this.undoVote && this.undoVote.answer(voter, approve);
+            if (verdict === 'declined') this._hostResolveUndo(false, this.game.players[voter].name);
+            else if (verdict === 'approved') this._hostResolveUndo(true);
+        }
+
+        _hostResolveUndo(approved, decliner) {
+            const vote = this.undoVote;
+            vote.end();
+            this.undoVote = null;
+            this.els.undoModal.classList.add('hidden');
+
+            let message;
+            if (!approved) {
+                message = `${decliner} declined the take-back.`;
+            } else if (vote.stale(this)) {
+                approved = false;
+                message = 'Take-back cancelled: the game has moved on.';
+            } else {
+                this._applyUndo();
+                message = `${this.game.players[vote.requester].name} took back their last move.`;
+            }
+            this.network.broadcast({ type: 'undo-result', approved, message });
+            this._notify(message, !approved);
+        }
+
+        /** Host: drop a pending take-back unapplied, closing everyone's prompt. */
+        _hostCancelUndo(message) {
+            this.undoVote.end();
+            this.undoVote = null;
+            this.els.undoModal.classList.add('hidden');
+            this.network.broadcast({ type: 'undo-result', approved: false, message });
+            this._notify(message, true);
+        }
+
+        _showUndoPrompt(name) {
+            this.els.undoText.textContent = `${name} asks to take back their last move.`;
+            this.els.undoModal.classList.remove('hidden');
+        }
+
+        _answerUndo(approve) {
+            this.els.undoModal.classList.add('hidden');
+            if (this.mode === 'host') this._hostOnUndoResponse(this.myIndex, approve);
+            else this.network.sendToHost({ type: 'undo-response', approve });
+        }
+
+        /* ================================================================
+           Round / match summary
+           ================================================================ */
+
+        _showMatchSummary() {
             const vs = this.viewState;
             if (!vs) return;
-            const winner = vs.players[vs.winner];
-            this.els.gameOverText.textContent = winner
-                ? `${winner.name} wins!`
-                : 'Game Over!';
-            this.els.gameOverScores.innerHTML = vs.players
-                .slice()
-                .sort((a, b) => b.score - a.score)
-                .map(p => `<div>${this._esc(p.name)}: <strong>${p.score}</strong> pts</div>`)
-                .join('');
+            const m = vs.match;
+            this.els.replayBtn.classList.toggle('hidden', !(vs.history && vs.history.length));
+            if (!m) {
+                const winner = vs.players[vs.winner];
+                this.els.gameOverText.textContent = winner
+                    ? `${winner.name} wins!`
+                    : 'Game Over!';
+                this.els.gameOverScores.innerHTML = vs.players
+                    .slice()
+                    .sort((a, b) => b.score - a.score)
+                    .map(p => `<div>${this._esc(p.name)}: <strong>${p.score}</strong> pts</div>`)
+                    .join('');
+                const daily = this.daily && this.daily.result;
+                if (daily) {
+                    this.els.gameOverText.textContent = `Daily Deal ${daily.date}: ${daily.score} points`;
+                    this.els.gameOverScores.insertAdjacentHTML('beforeend',
+                        `<pre class="daily-share">${this._esc(Daily.shareText(daily))}</pre>`);
+                }
+                this.els.dailyShareBtn.classList.toggle('hidden', !daily);
+                this.els.nextRoundBtn.classList.add('hidden');
+                this.els.gameOverOverlay.classList.remove('hidden');
+                return;
+            }
+
+            const over = m.phase === 'finished';
+            const roundWinner = vs.players[vs.winner];
+            if (over) {
+                this.els.gameOverText.textContent = `${vs.players[m.winner].name} wins the match!`;
+            } else {
+                this.els.gameOverText.textContent = roundWinner
+                    ? `Round ${m.round}: ${roundWinner.name} wins the hand`
+                    : `Round ${m.round} over`;
+            }
+
+            const totals = this._matchTotals(vs);
+            const head = vs.players.map(p => `<th>${this._esc(p.name)}</th>`).join('');
+            const rows = m.rounds.map((r, i) => `<tr><td>${i + 1}</td>${r.scores.map((sc, j) =>
+                `<td class="${j === r.winner ? 'round-winner' : ''}">${sc}</td>`).join('')}</tr>`).join('');
+            const total = totals.map((t, i) =>
+                `<td class="${over && i === m.winner ? 'round-winner' : ''}">${t}</td>`).join('');
+            const settled = this._describeEnd(vs);
+            const hintsUsed = vs.rules && vs.rules.hints
+                ? 'Hints used: ' + vs.players.map((p, i) => ({ p, n: (m.hintTotals || [])[i] || 0 }))
+                    .filter(({ p }) => !p.bot).map(({ p, n }) => `${p.name} ${n}`).join(', ')
+                : '';
+            this.els.gameOverScores.innerHTML = `
+                <table class="match-table">
+                    <thead><tr><th>Round</th>${head}</tr></thead>
+                    <tbody>${rows}</tbody>
+                    <tfoot><tr><td>Total</td>${total}</tr></tfoot>
+                </table>
+                ${settled ? `<div class="round-end">${this._esc(settled)}</div>` : ''}
+                ${hintsUsed ? `<div class="round-end">${this._esc(hintsUsed)}</div>` : ''}
+                <div class="match-target">First to ${m.targetScore} points</div>
+                ${vs.seed ? `<div class="match-seed">Seed <code>${this._esc(vs.seed)}</code> · <a href="?seed=${encodeURIComponent(vs.seed)}" target="_blank">deal it again</a></div>` : ''}
+                ${!over && this.mode === 'client' ? '<div class="match-wait">Waiting for the host to deal the next round…</div>' : ''}`;
+
+            const canDeal = !over && (this.mode === 'host' || this.mode === 'local');
+            this.els.nextRoundBtn.classList.toggle('hidden', !canDeal);
+            this.els.newGameBtn.classList.toggle('hidden', !over && this.mode !== 'client');
             this.els.gameOverOverlay.classList.remove('hidden');
         }
 
+        /* ================================================================
+           Replay viewer
+           ================================================================ */
+
+        _enterReplay() {
+            const vs = this.viewState;
+            if (!vs || !vs.history || vs.history.length === 0) {
+                this._notify('No moves to replay.', true);
+                return;
+            }
+            const view = new Replay(vs.history, vs.players);
+            this.replay = { view, index: view.length, board: null, timer: null };
+            this._deselectTile();
+            this.els.gameOverOverlay.classList.add('hidden');
+            this.els.replayBar.classList.remove('hidden');
+            this.els.replayScrub.max = view.length;
+            this._replayGo(0);
+        }
+
+        _exitReplay() {
+            if (!this.replay) return;
+            clearInterval(this.replay.timer);
+            this.replay = null;
+            this.els.replayBar.classList.add('hidden');
+            this._updateUI();
+        }
+
+        /** Show the position after the first `index` moves. */
+        _replayGo(index) {
+            const rp = this.replay;
+            if (!rp) return;
+            rp.index = Math.max(0, Math.min(index, rp.view.length));
+            rp.board = rp.view.boardAt(rp.index);
+            this.els.replayScrub.value = rp.index;
+
+            const names = rp.view.players.map(p => p.name);
+            const scores = rp.view.scoresAt(rp.index)
+                .map((sc, i) => `${this._esc(names[i])} ${sc}`).join(' · ');
+            const h = rp.view.moveAt(rp.index - 1);
+            let what = 'Start';
+            if (h) {
+                const who = this._esc(names[h.player]);
+                if (h.type === 'place') what = `${who} placed ${h.values.join('-')} (+${h.score})`;
+                else if (h.type === 'draw') what = `${who} drew a tile`;
+                else if (h.type === 'pass') what = `${who} passed`;
+                else what = `${who} was skipped`;
+            }
+            this.els.replayLabel.innerHTML =
+                `<strong>${rp.index} / ${rp.view.length}</strong> ${what}<br><small>${scores}</small>`;
+            if (rp.index === rp.view.length) this._replayStopAutoplay();
+        }
+
+        _replayToggleAutoplay() {
+            const rp = this.replay;
+            if (!rp) return;
+            if (rp.timer) {
+                this._replayStopAutoplay();
+                return;
+            }
+            if (rp.index >= rp.view.length) this._replayGo(0);
+            rp.timer = setInterval(() => this._replayGo(rp.index + 1), REPLAY_STEP);
+            this.els.replayPlay.textContent = '⏸';
+        }
+
+        _replayStopAutoplay() {
+            if (!this.replay) return;
+            clearInterval(this.replay.timer);
+            this.replay.timer = null;
+            this.els.replayPlay.textContent = '▶';
+        }
+
+        _exportReplay() {
+            const rp = this.replay;
+            if (!rp) return;
+            const text = Replay.toNotation(rp.view.history, rp.view.players);
+            navigator.clipboard.writeText(text).then(
+                () => this._notify('Replay notation copied to the clipboard.'),
+                () => this._notify('Could not access the clipboard.', true));
+        }
+
         /* ================================================================
            Helpers
            ================================================================ */
@@ -914,6 +3096,31 @@
             this._notifyTimer = setTimeout(() => el.className = 'notification', 3000);
         }
 
+        /* ---- reconnect session ---- */
+
+        /** Every remembered seat, oldest first: [{gameId, token, name}]. */
+        _loadSessions() {
+            try {
+                const data = JSON.parse(localStorage.getItem(SESSION_KEY));
+                // Older pages kept a single session
+                if (data && !Array.isArray(data)) return data.gameId ? [data] : [];
+                return data || [];
+            } catch (e) {
+                return [];
+            }
+        }
+
+        /** Our seat in game `gameId`, if we had one. */
+        _loadSession(gameId) {
+            return this._loadSessions().find(s => s.gameId === gameId) || null;
+        }
+
+        _saveSession(session) {
+            const sessions = this._loadSessions().filter(s => s.gameId !== session.gameId);
+            sessions.push(session);
+            localStorage.setItem(SESSION_KEY, JSON.stringify(sessions.slice(-SESSION_LIMIT)));
+        }
+
         _esc(str) {
             const d = document.createElement('div');
             d.textContent = str;
@@ -26,9 +26,14 @@
   ];
 
   class Board {
-    constructor() {
+    /**
+     * @param {object}  [options]
+     * @param {boolean} [options.cornerMatch] – also match tiles that only share a corner
+     */
+    constructor(options = {}) {
       /** @type {Map<string, {values:number[], tileId:number, playerId:number}>} */
       this.cells = new Map();
+      this.cornerMatch = !!options.cornerMatch;
     }
 
     /* ---- helpers ---- */
@@ -53,10 +58,21 @@
       this.cells.set(Board.key(r, c), { values, tileId, playerId });
     }
 
+    remove(r, c) {
+      this.cells.delete(Board.key(r, c));
+    }
+
     get size() {
       return this.cells.size;
     }
 
+    /** Independent copy, for trying out placements. */
+    clone() {
+      const b = new Board({ cornerMatch: this.cornerMatch });
+      for (const [k, v] of this.cells) b.cells.set(k, v);
+      return b;
+    }
+
     /* ---- adjacency ---- */
 
     static neighborDefs(r, c) {
@@ -76,7 +92,9 @@
 
     /**
      * Check whether placing `values` at (r, c) is legal.
-     * `values` must already be the oriented corner array.
+     * `values` must already be the oriented corner array. The tile must
+     * share an edge with the board; with `cornerMatch` every tile meeting
+     * it at a corner has to agree too.
      */
     isValid(r, c, values) {
       if (this.has(r, c)) return false;
@@ -91,7 +109,26 @@
           if (values[n.my[i]] !== tile.values[n.their[i]]) return false;
         }
       }
-      return adjacent;
+      if (!adjacent) return false;
+      return !this.cornerMatch || this._cornersMatch(r, c, values);
+    }
+
+    /**
+     * Does every tile around each corner of (r, c) show the same number
+     * on that vertex? Covers tiles that touch only at a point.
+     */
+    _cornersMatch(r, c, values) {
+      const verts = this._vertexCoords(r, c);
+      for (let i = 0; i < 3; i++) {
+        const v = verts[i];
+        for (const cell of this._surroundingCells(v.vx, v.vy)) {
+          const tile = this.get(cell.r, cell.c);
+          if (!tile) continue;
+          const j = this._vertexCoords(cell.r, cell.c).findIndex(w => w.vx === v.vx && w.vy === v.vy);
+          if (tile.values[j] !== values[i]) return false;
+        }
+      }
+      return true;
     }
 
     /**
@@ -154,24 +191,32 @@
      * Includes base value, triple bonus, bridge, and hexagon bonuses.
      */
     calcScore(r, c, values) {
+      return this.scoreBreakdown(r, c, values).total;
+    }
+
+    /**
+     * The score for a placement, item by item:
+     * {base, triple, bridge, hexagons, hexagon, total} where `hexagons`
+     * is the number completed and the rest are points.
+     */
+    scoreBreakdown(r, c, values) {
       // Base score = sum of corner numbers
-      let score = Tiles.tileSum(values);
+      const base = Tiles.tileSum(values);
 
-    // Triple bonus (all 3 corners identical)
+      // Triple bonus (all 3 corners identical; 0-0-0 scores a flat 40)
+      let triple = 0;
       if (Tiles.isTriple(values)) {
-        score = values[0] === 0 ? 40 : score + 10;
+        triple = values[0] === 0 ? 40 : 10;
       }
 
       // Bridge bonus (+40)
-      if (this._isBridge(r, c)) score += 40;
+      const bridge = this._isBridge(r, c) ? 40 : 0;
 
       // Hexagon bonus (+50 / +60 / +70)
-      const hex = this._countCompletedHexagons(r, c);
-      if (hex === 1) score += 50;
-      else if (hex === 2) score += 60;
-      else if (hex >= 3) score += 70;
+      const hexagons = this._countCompletedHexagons(r, c);
+      const hexagon = hexagons === 0 ? 0 : hexagons === 1 ? 50 : hexagons === 2 ? 60 : 70;
 
-      return score;
+      return { base, triple, bridge, hexagons, hexagon, total: base + triple + bridge + hexagon };
     }
 
     /* ---- bonus detection helpers ---- */
@@ -217,11 +262,16 @@
         .every(cell => this.has(cell.r, cell.c));
     }
 
-    /** Count hexagons newly completed by the tile at (r, c). */
+    /**
+     * Count hexagons completed by the tile at (r, c). The cell itself counts
+     * as filled, so moves can be scored before they are made.
+     */
     _countCompletedHexagons(r, c) {
       let n = 0;
       for (const v of this._vertexCoords(r, c)) {
-        if (this._isHexagonComplete(v.vx, v.vy)) n++;
+        const complete = this._surroundingCells(v.vx, v.vy)
+          .every(cell => (cell.r === r && cell.c === c) || this.has(cell.r, cell.c));
+        if (complete) n++;
       }
       return n;
     }
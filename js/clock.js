@@ -0,0 +1,101 @@
+/* ============================================================
+   clock.js – Time control: a limit per turn or a bank per hand
+   ============================================================ */
+(function () {
+    'use strict';
+
+    const MODES = ['turn', 'bank'];
+
+    class Clock {
+        /**
+         * @param {'turn'|'bank'} mode – a fresh allowance every turn, or one
+         *                               bank per player that lasts the hand
+         * @param {number} seconds     – the allowance
+         */
+        constructor(mode, seconds) {
+            this.mode = mode;
+            this.seconds = seconds;
+            this.remaining = [];   // ms left per player, as of when their time last stopped
+            this.current = -1;     // whose time is running
+            this.startedAt = 0;    // Date.now() when `current` started
+            this.round = null;     // hand the allowances belong to
+            this.turn = null;      // turn the running time belongs to
+        }
+
+        /**
+         * Follow the game. A new `round` refills every allowance; a new `turn`
+         * stops the previous player's time and starts `player`'s.
+         * Returns true if a turn was started.
+         */
+        sync({ player, players, round, turn }, now = Date.now()) {
+            if (round !== this.round) {
+                this.round = round;
+                this.remaining = new Array(players).fill(this.seconds * 1000);
+                this.current = -1;
+                this.turn = null;
+            }
+            if (turn === this.turn) return false;
+            this.stop(now);
+            this.turn = turn;
+            this.current = player;
+            this.startedAt = now;
+            if (this.mode === 'turn') this.remaining[player] = this.seconds * 1000;
+            return true;
+        }
+
+        /** Stop the running time (end of hand). */
+        stop(now = Date.now()) {
+            if (this.current < 0) return;
+            this.remaining[this.current] = this.left(this.current, now);
+            this.current = -1;
+        }
+
+        /** Milliseconds `player` has left. */
+        left(player, now = Date.now()) {
+            const base = this.remaining[player] || 0;
+            return player === this.current ? Math.max(0, base - (now - this.startedAt)) : base;
+        }
+
+        /* ---- serialisation ---- */
+
+        /** Snapshot with every allowance as of `now`; receivers count down from it. */
+        serialize(now = Date.now()) {
+            return {
+                mode: this.mode,
+                seconds: this.seconds,
+                remaining: this.remaining.map((_, i) => this.left(i, now)),
+                current: this.current,
+                round: this.round,
+                turn: this.turn,
+            };
+        }
+
+        load(data, now = Date.now()) {
+            this.mode = data.mode;
+            this.seconds = data.seconds;
+            this.remaining = data.remaining.slice();
+            this.current = data.current;
+            this.startedAt = now;
+            this.round = data.round;
+            this.turn = data.turn;
+        }
+
+        static fromData(data) {
+            const clock = new Clock(data.mode, data.seconds);
+            clock.load(data);
+            return clock;
+        }
+
+        /** Clock for a lobby choice such as "turn:60" or "bank:600"; null for "off". */
+        static fromSetting(value) {
+            const [mode, secs] = String(value).split(':');
+            const seconds = parseInt(secs);
+            if (!MODES.includes(mode) || !(seconds > 0)) return null;
+            return new Clock(mode, seconds);
+        }
+    }
+
+    Clock.MODES = MODES;
+
+    window.Trikono.Clock = Clock;
+})();
@@ -0,0 +1,121 @@
+/* ============================================================
+   daily.js – Daily deal: one shared shuffle per calendar day
+   ============================================================ */
+(function () {
+    'use strict';
+
+    const HISTORY_KEY = 'trikono_daily';
+    const HISTORY_SIZE = 60;
+    const BOT_LEVEL = 'medium'; // fixed, so everyone faces the same opponents
+
+    // One square per own action in the share string
+    const MARKS = { place: '🟩', bonus: '🟨', draw: '⬜', pass: '🟥' };
+
+    /** Local calendar date as YYYY-MM-DD: the day's deal changes at the player's midnight. */
+    function dateKey(date = new Date()) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    function seedFor(date) {
+        return 'daily-' + date;
+    }
+
+    /**
+     * Seat `name` (always seat 0) and `bots` computer opponents in a fresh
+     * `game`, and deal the day's tiles under the official rules.
+     */
+    function setup(game, { date, name, bots = 0 }) {
+        game.setRules({});
+        game.addPlayer('local-0', name);
+        for (let i = 1; i <= bots; i++) game.addPlayer('local-' + i, `Bot ${i}`, BOT_LEVEL);
+        game.setSeed(seedFor(date));
+        game.start();
+    }
+
+    /** What seat 0 made of a finished daily hand. */
+    function summarize(game, { date, bots }) {
+        const me = game.players[0];
+        const mine = game.history.filter(h => h.player === 0);
+        const places = mine.filter(h => h.type === 'place');
+        const count = key => places.filter(h => h.breakdown && h.breakdown[key]).length;
+        return {
+            date,
+            bots,
+            score: me.score,
+            won: game.winner === 0,
+            out: me.tiles.length === 0,
+            placed: places.length,
+            bridges: count('bridge'),
+            hexagons: places.reduce((n, h) => n + (h.breakdown ? h.breakdown.hexagons : 0), 0),
+            triples: count('triple'),
+            draws: mine.filter(h => h.type === 'draw').length,
+            passes: mine.filter(h => h.type === 'pass').length,
+            moves: mine.map(h => {
+                if (h.type !== 'place') return MARKS[h.type] || '';
+                const b = h.breakdown || {};
+                return b.triple || b.bridge || b.hexagon ? MARKS.bonus : MARKS.place;
+            }).join(''),
+        };
+    }
+
+    /** The result as text for pasting into a chat. */
+    function shareText(r) {
+        const plural = (n, word, many = word + 's') => `${n} ${n === 1 ? word : many}`;
+        const against = r.bots === 0 ? 'solo' : `vs ${plural(r.bots, BOT_LEVEL + ' bot')}${r.won ? ' · won' : ''}`;
+        const stats = [plural(r.placed, 'tile')];
+        if (r.bridges) stats.push(plural(r.bridges, 'bridge'));
+        if (r.hexagons) stats.push(plural(r.hexagons, 'hexagon'));
+        if (r.triples) stats.push(plural(r.triples, 'triple'));
+        if (r.draws) stats.push(plural(r.draws, 'draw'));
+        if (r.passes) stats.push(plural(r.passes, 'pass', 'passes'));
+        if (r.out) stats.push('went out');
+        return [
+            `Trikono daily ${r.date} · ${r.score} pts · ${against}`,
+            r.moves,
+            stats.join(' · '),
+        ].join('\n');
+    }
+
+    /* ---- local history ---- */
+
+    function loadHistory() {
+        try {
+            const list = JSON.parse(localStorage.getItem(HISTORY_KEY));
+            return Array.isArray(list) ? list : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Add a result, newest first. Only the first game of a day with a given
+     * number of opponents is `first`; replays after that are practice.
+     */
+    function record(result) {
+        const list = loadHistory();
+        const entry = {
+            ...result,
+            first: !list.some(r => r.date === result.date && r.bots === result.bots),
+            playedAt: new Date().toISOString(),
+        };
+        list.unshift(entry);
+        try {
+            localStorage.setItem(HISTORY_KEY, JSON.stringify(list.slice(0, HISTORY_SIZE)));
+        } catch (e) {
+            console.warn('[Trikono] Daily history not saved:', e.message);
+        }
+        return entry;
+    }
+
+    window.Trikono.Daily = {
+        BOT_LEVEL,
+        dateKey,
+        seedFor,
+        setup,
+        summarize,
+        shareText,
+        loadHistory,
+        record,
+    };
+})();
@@ -0,0 +1,332 @@
+/* ============================================================
+   direct.js – Serverless play: WebRTC data channels set up by
+               hand (copy-paste or QR code), no signaling server
+   ============================================================ */
+(function () {
+    'use strict';
+
+    const { Host } = window.Trikono;
+
+    const CODE_PREFIX = 'TRK1.';
+    const GATHER_TIMEOUT = 3000;   // ms to wait for ICE candidates before giving up on more
+    const OPEN_TIMEOUT = 30000;    // ms for the channel to open once both codes are in
+
+    /*
+     * Setting up one connection takes two codes:
+     *   host  → guest  an invite (the host's SDP offer)
+     *   guest → host   a reply  (the guest's SDP answer)
+     * Candidates are gathered before a code is shown, so nothing else needs
+     * to travel. Each invite admits one guest; the host makes one per player.
+     */
+
+    /** {kind: 'offer'|'answer', gameId, peerId, sdp} → a pasteable code. */
+    function encode({ kind, gameId, peerId, sdp }) {
+        const json = JSON.stringify({ k: kind, g: gameId, p: peerId, s: sdp });
+        const b64 = btoa(json);
+        return CODE_PREFIX + b64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /** The inverse of encode; throws a readable error on anything else, or on the wrong kind. */
+    function decode(code, kind) {
+        const what = kind === 'offer' ? 'invite' : 'reply';
+        const t = String(code || '').replace(/\s+/g, '');
+        const at = t.indexOf(CODE_PREFIX);
+        if (at < 0) throw new Error(`That is not a Trikono ${what} code.`);
+        let data;
+        try {
+            const b64 = t.slice(at + CODE_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+            data = JSON.parse(atob(b64));
+        } catch (e) {
+            throw new Error(`The ${what} code is incomplete – copy all of it.`);
+        }
+        if (!data || typeof data.s !== 'string' || typeof data.g !== 'string' || typeof data.p !== 'string') {
+            throw new Error(`The ${what} code is incomplete – copy all of it.`);
+        }
+        if (data.k !== kind) {
+            throw new Error(kind === 'offer'
+                ? 'That is a reply code – paste it on the host\'s screen.'
+                : 'That is an invite code – paste it on the joining player\'s screen.');
+        }
+        return { kind: data.k, gameId: data.g, peerId: data.p, sdp: data.s };
+    }
+
+    /** A link that opens the join dialog with the invite filled in. */
+    function inviteUrl(code) {
+        return window.location.href.split('#')[0] + '#direct=' + code;
+    }
+
+    /** Resolve once `pc` has gathered its candidates, or after GATHER_TIMEOUT. */
+    function gathered(pc) {
+        return new Promise(resolve => {
+            if (pc.iceGatheringState === 'complete') return resolve();
+            const timer = setTimeout(resolve, GATHER_TIMEOUT);
+            pc.addEventListener('icegatheringstatechange', () => {
+                if (pc.iceGatheringState === 'complete') {
+                    clearTimeout(timer);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * One data channel, shaped like the PeerJS DataConnection the app
+     * already knows: `peer`, `open`, `send(obj)`, `close()`, and
+     * 'open' / 'data' / 'close' events via `on`.
+     */
+    class Channel {
+        constructor(pc, channel, peer) {
+            this.pc = pc;
+            this.channel = channel;
+            this.peer = peer;
+            this.handlers = { open: [], data: [], close: [] };
+            this._closed = false;
+
+            channel.addEventListener('open', () => this._emit('open'));
+            channel.addEventListener('message', e => {
+                let data;
+                try {
+                    data = JSON.parse(e.data);
+                } catch (err) {
+                    data = null; // the host's schema check rejects it
+                }
+                this._emit('data', data);
+            });
+            channel.addEventListener('close', () => this._onClosed());
+            pc.addEventListener('connectionstatechange', () => {
+                if (pc.connectionState === 'failed' || pc.connectionState === 'closed') this._onClosed();
+            });
+        }
+
+        get open() {
+            return !this._closed && this.channel.readyState === 'open';
+        }
+
+        on(event, fn) {
+            this.handlers[event].push(fn);
+        }
+
+        send(data) {
+            this.channel.send(JSON.stringify(data));
+        }
+
+        close() {
+            this.channel.close();
+            this.pc.close();
+            this._onClosed();
+        }
+
+        _emit(event, arg) {
+            for (const fn of this.handlers[event]) fn(arg);
+        }
+
+        _onClosed() {
+            if (this._closed) return;
+            this._closed = true;
+            this._emit('close');
+        }
+    }
+
+    /** Resolve when `conn` opens; reject if it closes first or after OPEN_TIMEOUT. */
+    function opened(conn) {
+        if (conn.open) return Promise.resolve();
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                conn.close();
+                reject(new Error('The connection did not open. Are both devices on the same network?'));
+            }, OPEN_TIMEOUT);
+            conn.on('open', () => {
+                clearTimeout(timer);
+                resolve();
+            });
+            conn.on('close', () => {
+                clearTimeout(timer);
+                reject(new Error('The connection closed before it opened.'));
+            });
+        });
+    }
+
+    /**
+     * Drop-in for Network (network.js) that needs no server: the same
+     * callbacks and send methods, with invites and replies in place of a
+     * game code. Host migration is not available – there is no broker
+     * for the remaining players to find a new host through.
+     */
+    class DirectNetwork {
+        /** @param {object} [servers] – {iceServers}; none by default, host candidates suffice on a LAN */
+        constructor(servers = {}) {
+            this.direct = true;
+            this.iceServers = servers.iceServers || [];
+            /** Stand-in for the PeerJS peer, for status displays */
+            this.peer = null;
+            /** @type {Map<string, Channel>} */
+            this.connections = new Map();
+            this.hostConn = null;
+            this.isHost = false;
+            this.gameId = null;
+            this.pending = new Map(); // peerId -> Channel not open yet ('host' on a guest)
+
+            // Callbacks – set by App
+            this.onPeerConnected = null;
+            this.onPeerDisconnected = null;
+            this.onMessage = null;
+            this.onError = null;
+        }
+
+        /** A fresh game code (see Host.newGameId). */
+        newGameId() {
+            return Host.newGameId();
+        }
+
+        _newConnection() {
+            if (typeof RTCPeerConnection === 'undefined') {
+                throw new Error('This browser does not support WebRTC.');
+            }
+            return new RTCPeerConnection({ iceServers: this.iceServers });
+        }
+
+        /* ---- host ---- */
+
+        /** Start hosting. There is nothing to register, so this only picks a code. */
+        async createGame(turnApiKey, gameId) {
+            this.gameId = gameId || this.newGameId();
+            this.isHost = true;
+            this.peer = { id: 'host', open: true, disconnected: false };
+            return this.gameId;
+        }
+
+        /** Host: an invite code for one more player. */
+        async createInvite() {
+            const pc = this._newConnection();
+            const peerId = 'direct-' + this.newGameId();
+            const conn = new Channel(pc, pc.createDataChannel('trikono', { ordered: true }), peerId);
+            await pc.setLocalDescription(await pc.createOffer());
+            await gathered(pc);
+            // One invite outstanding at a time: a new one retires the last
+            for (const c of this.pending.values()) c.close();
+            this.pending.clear();
+            this.pending.set(peerId, conn);
+            return encode({ kind: 'offer', gameId: this.gameId, peerId, sdp: pc.localDescription.sdp });
+        }
+
+        /** Host: complete an invite with the guest's reply. Resolves once the player is connected. */
+        async acceptReply(code) {
+            const reply = decode(code, 'answer');
+            const conn = this.pending.get(reply.peerId);
+            if (reply.gameId !== this.gameId || !conn) {
+                throw new Error('That reply is for an older invite – make a new invite and try again.');
+            }
+            this.pending.delete(reply.peerId);
+            await conn.pc.setRemoteDescription({ type: 'answer', sdp: reply.sdp });
+            await opened(conn);
+
+            this.connections.set(conn.peer, conn);
+            conn.on('data', data => {
+                if (this.onMessage) this.onMessage(data, conn.peer);
+            });
+            conn.on('close', () => {
+                this.connections.delete(conn.peer);
+                if (this.onPeerDisconnected) this.onPeerDisconnected(conn.peer);
+            });
+            if (this.onPeerConnected) this.onPeerConnected(conn.peer);
+        }
+
+        /* ---- guest ---- */
+
+        /**
+         * Guest: answer an invite. Resolves to {reply, connected}: the code
+         * to hand back to the host, and a promise for the open channel.
+         */
+        async joinGame(inviteCode) {
+            const invite = decode(inviteCode, 'offer');
+            const pc = this._newConnection();
+            this.gameId = invite.gameId;
+            this.isHost = false;
+            this.peer = { id: invite.peerId, open: true, disconnected: false };
+
+            const channel = new Promise(resolve => {
+                pc.addEventListener('datachannel', e => resolve(e.channel), { once: true });
+            });
+            await pc.setRemoteDescription({ type: 'offer', sdp: invite.sdp });
+            await pc.setLocalDescription(await pc.createAnswer());
+            await gathered(pc);
+            const reply = encode({ kind: 'answer', gameId: invite.gameId, peerId: invite.peerId, sdp: pc.localDescription.sdp });
+
+            const connected = channel.then(ch => {
+                const conn = new Channel(pc, ch, 'host');
+                this.pending.set('host', conn);
+                return opened(conn).then(() => {
+                    this.pending.delete('host');
+                    this.hostConn = conn;
+                    conn.on('data', data => {
+                        if (this.onMessage) this.onMessage(data, 'host');
+                    });
+                    conn.on('close', () => {
+                        if (this.hostConn !== conn) return;
+                        if (this.onPeerDisconnected) this.onPeerDisconnected('host');
+                    });
+                });
+            });
+            return { reply, connected };
+        }
+
+        /* ---- host migration: not possible without a broker ---- */
+
+        async becomeHost() {
+            throw new Error('Direct games cannot change host.');
+        }
+
+        async reconnectToHost() {
+            throw new Error('Direct games cannot change host – ask the host for a new invite.');
+        }
+
+        /* ---- messaging ---- */
+
+        sendToHost(data) {
+            if (this.hostConn && this.hostConn.open) this.hostConn.send(data);
+        }
+
+        sendToPeer(peerId, data) {
+            const c = this.connections.get(peerId);
+            if (c && c.open) c.send(data);
+        }
+
+        broadcast(data) {
+            for (const c of this.connections.values()) {
+                if (c.open) c.send(data);
+            }
+        }
+
+        disconnect(peerId) {
+            const c = this.connections.get(peerId);
+            if (c) c.close();
+        }
+
+        /* ---- utility ---- */
+
+        /** There is no link to share: players join with an invite code each. */
+        getShareUrl() {
+            return '';
+        }
+
+        destroy() {
+            for (const c of this.pending.values()) c.close();
+            const host = this.hostConn;
+            this.hostConn = null;
+            if (host) host.close();
+            const conns = [...this.connections.values()];
+            this.connections.clear();
+            for (const c of conns) c.close();
+            this.pending.clear();
+            this.peer = null;
+        }
+    }
+
+    window.Trikono.Direct = {
+        DirectNetwork,
+        Channel,
+        encode,
+        decode,
+        inviteUrl,
+    };
+})();
@@ -0,0 +1,200 @@
+/* ============================================================
+   editor.js – Position editor: set up any board, hands and pool
+   ============================================================ */
+(function () {
+    'use strict';
+
+    const { Tiles, Board, Game } = window.Trikono;
+
+    const MAX_PLAYERS = 4;
+
+    /**
+     * Every tile is in exactly one place: on the board, in a hand, queued
+     * in the pool, or left in the box. Box tiles go under the pool, shuffled,
+     * when the position is exported, so a game always holds all 56.
+     */
+    class Editor {
+        /** @param {object} [full] – a `serializeFull` state to edit; an empty two-player table otherwise */
+        constructor(full) {
+            this.tiles = Tiles.generateAll();
+            this.rules = { ...Game.DEFAULT_RULES, ...(full ? full.rules : {}) };
+            this.board = new Board({ cornerMatch: this.rules.cornerMatch });
+            this.players = [];  // {name, score, bot, tiles:[tileId]}
+            this.pool = [];     // tile ids; the last one is drawn first
+            this.currentPlayerIndex = 0;
+            this.seed = full && full.seed;
+
+            if (full) {
+                this.board.deserialize(JSON.parse(JSON.stringify(full.board)));
+                this.players = full.players.map(p => ({
+                    name: p.name, score: p.score, bot: p.bot || null, tiles: p.tiles.map(t => t.id),
+                }));
+                this.pool = full.pool.map(t => t.id);
+                this.currentPlayerIndex = full.currentPlayerIndex;
+            } else {
+                this.addPlayer();
+                this.addPlayer();
+            }
+        }
+
+        /* ---- where tiles are ---- */
+
+        /** {at:'board', row, col} | {at:'hand', player} | {at:'pool'} | {at:'box'} */
+        where(tileId) {
+            for (const [key, cell] of this.board.cells) {
+                if (cell.tileId === tileId) {
+                    const [row, col] = key.split(',').map(Number);
+                    return { at: 'board', row, col };
+                }
+            }
+            const player = this.players.findIndex(p => p.tiles.includes(tileId));
+            if (player !== -1) return { at: 'hand', player };
+            return this.pool.includes(tileId) ? { at: 'pool' } : { at: 'box' };
+        }
+
+        /** Tile ids in the box, in id order. */
+        box() {
+            return this.tiles.filter(t => this.where(t.id).at === 'box').map(t => t.id);
+        }
+
+        /** Lift a tile from wherever it is, leaving it in the box. */
+        toBox(tileId) {
+            const w = this.where(tileId);
+            if (w.at === 'board') this.board.remove(w.row, w.col);
+            else if (w.at === 'hand') this.players[w.player].tiles = this.players[w.player].tiles.filter(id => id !== tileId);
+            else if (w.at === 'pool') this.pool = this.pool.filter(id => id !== tileId);
+        }
+
+        toHand(tileId, player) {
+            if (!this.players[player]) return;
+            this.toBox(tileId);
+            this.players[player].tiles.push(tileId);
+        }
+
+        /** Queue a tile on top of the pool, so it is the next one drawn. */
+        toPool(tileId) {
+            this.toBox(tileId);
+            this.pool.push(tileId);
+        }
+
+        /* ---- board ---- */
+
+        /**
+         * Lay a tile at (r, c) at `rotation`, taking it from wherever it was.
+         * Anything already on the cell goes back to the box.
+         */
+        place(r, c, tileId, rotation = 0, owner = 0) {
+            const existing = this.board.get(r, c);
+            if (existing) this.board.remove(r, c);
+            this.toBox(tileId);
+            const values = Tiles.getPlacedValues(this.tiles[tileId].values, rotation);
+            this.board.place(r, c, values, tileId, owner);
+        }
+
+        /** Turn the tile on (r, c) to its next rotation. */
+        rotate(r, c) {
+            const cell = this.board.get(r, c);
+            if (!cell) return;
+            const [a, b, v] = cell.values;
+            this.board.place(r, c, [v, a, b], cell.tileId, cell.playerId);
+        }
+
+        setOwner(r, c, owner) {
+            const cell = this.board.get(r, c);
+            if (cell) this.board.place(r, c, cell.values, cell.tileId, owner);
+        }
+
+        clear(r, c) {
+            this.board.remove(r, c);
+        }
+
+        /**
+         * Tiles that could not have been laid where they are, by the rules of
+         * `Board.isValid`: {row, col, reason:'mismatch'|'detached'}.
+         */
+        conflicts() {
+            const out = [];
+            if (this.board.size < 2) return out;
+            for (const [key, cell] of [...this.board.cells]) {
+                const [row, col] = key.split(',').map(Number);
+                this.board.remove(row, col);
+                if (!this.board.isValid(row, col, cell.values)) {
+                    const detached = this.board.neighbors(row, col).every(n => !this.board.has(n.row, n.col));
+                    out.push({ row, col, reason: detached ? 'detached' : 'mismatch' });
+                }
+                this.board.place(row, col, cell.values, cell.tileId, cell.playerId);
+            }
+            return out;
+        }
+
+        /* ---- players ---- */
+
+        addPlayer(name = `Player ${this.players.length + 1}`) {
+            if (this.players.length >= MAX_PLAYERS) return -1;
+            this.players.push({ name, score: 0, bot: null, tiles: [] });
+            return this.players.length - 1;
+        }
+
+        /** Drop a seat: its hand returns to the box and its tiles on the board pass to seat 1. */
+        removePlayer(i) {
+            if (this.players.length <= 1 || !this.players[i]) return;
+            this.players.splice(i, 1);
+            for (const [key, cell] of [...this.board.cells]) {
+                if (cell.playerId >= i) {
+                    const [r, c] = key.split(',').map(Number);
+                    this.setOwner(r, c, cell.playerId === i ? 0 : cell.playerId - 1);
+                }
+            }
+            this.currentPlayerIndex = Math.min(this.currentPlayerIndex, this.players.length - 1);
+        }
+
+        setRules(rules) {
+            this.rules = { ...this.rules, ...rules };
+            this.board.cornerMatch = this.rules.cornerMatch;
+        }
+
+        /* ---- export ---- */
+
+        /**
+         * The position in the `serializeFull` format, ready to play from the
+         * current player's turn. Box tiles go under the queued pool, shuffled.
+         */
+        toFull(random) {
+            const tile = id => ({ ...this.tiles[id], values: [...this.tiles[id].values] });
+            const game = new Game(this.rules);
+            if (this.seed) game.setSeed(this.seed);
+            const pool = [...Tiles.shuffleArray(this.box(), random || game.rng), ...this.pool].map(tile);
+            return {
+                ...game.serializeFull(),
+                board: JSON.parse(JSON.stringify(this.board.serialize())),
+                players: this.players.map((p, i) => ({
+                    id: 'local-' + i, name: p.name, tiles: p.tiles.map(tile), score: p.score, bot: p.bot, hints: 0,
+                })),
+                pool,
+                currentPlayerIndex: this.currentPlayerIndex,
+                phase: 'playing',
+            };
+        }
+
+        toGame(random) {
+            const game = new Game();
+            game.loadFull(this.toFull(random));
+            return game;
+        }
+
+        /** The board and the current player's hand as a puzzle (see puzzles.js). */
+        toPuzzle(id, title) {
+            return {
+                id,
+                title,
+                board: JSON.parse(JSON.stringify(this.board.serialize())),
+                hand: this.players[this.currentPlayerIndex].tiles.map(t => [...this.tiles[t].values]),
+                cornerMatch: this.rules.cornerMatch,
+            };
+        }
+    }
+
+    Editor.MAX_PLAYERS = MAX_PLAYERS;
+
+    window.Trikono.Editor = Editor;
+})();
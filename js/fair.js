@@ -0,0 +1,123 @@
+/* ============================================================
+   fair.js – Fair deal: a shuffle seed no single player chooses,
+             checked against the moves once the hand is over
+   ============================================================ */
+(function () {
+    'use strict';
+
+    const { Game } = window.Trikono;
+
+    /*
+     * Commit–reveal, once per hand:
+     *   1. every seated player (the host too) picks a random share and sends
+     *      only its SHA-256 commitment;
+     *   2. the host publishes all commitments, so no share can change;
+     *   3. players reveal their shares to the host alone, and the seed is the
+     *      hash of all shares in seat order – nobody can steer it;
+     *   4. when the hand ends the host publishes the shares, and everyone
+     *      replays the shuffle and every move to check the deal was honest.
+     */
+
+    const SHARE_BYTES = 32;
+
+    function supported() {
+        return !!(globalThis.crypto && globalThis.crypto.subtle && globalThis.crypto.getRandomValues);
+    }
+
+    const hex = bytes => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+    /** A fresh random share as hex. */
+    function newShare() {
+        return hex(globalThis.crypto.getRandomValues(new Uint8Array(SHARE_BYTES)));
+    }
+
+    async function sha256(text) {
+        const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return hex(new Uint8Array(digest));
+    }
+
+    /** The commitment published for a share. */
+    function commit(share) {
+        return sha256('trikono-share:' + share);
+    }
+
+    /** The shuffle seed from [{seat, share}]: a valid `Tiles` seed (32 hex digits). */
+    async function seedFrom(shares) {
+        const ordered = shares.slice().sort((a, b) => a.seat - b.seat);
+        return (await sha256(ordered.map(s => `${s.seat}:${s.share}`).join('|'))).slice(0, 32);
+    }
+
+    /**
+     * Check a finished hand against the revealed shares.
+     *   commits   [{seat, commit}] as published before the deal
+     *   shares    [{seat, share}]  as revealed after the hand
+     *   starter   who opened, or null for the highest-tile rule
+     *   rules, seats (player count), history (public move log)
+     *   mine      optional {commit, seat, tiles} – the checker's own commitment and dealt hand
+     * Resolves to {ok, seed, problems:[text]}.
+     */
+    async function verify({ commits, shares, starter, rules, seats, history, mine }) {
+        const problems = [];
+        const commitOf = new Map(commits.map(c => [c.seat, c.commit]));
+
+        for (const s of shares) {
+            if (commitOf.get(s.seat) !== await commit(s.share))
+                problems.push(`Seat ${s.seat + 1}'s revealed share does not match its commitment.`);
+        }
+        if (mine && mine.commit) {
+            const shown = commits.find(c => c.commit === mine.commit);
+            if (!shown || !shares.some(s => s.seat === shown.seat))
+                problems.push('Your random share was left out of the deal.');
+        }
+        if (shares.length === 0) problems.push('No shares were revealed.');
+        if (problems.length) return { ok: false, seed: null, problems };
+
+        const seed = await seedFrom(shares);
+        const game = new Game(rules);
+        for (let i = 0; i < seats; i++) game.addPlayer('seat-' + i, `Seat ${i + 1}`);
+        game.setSeed(seed);
+        game.start(starter === null || starter === undefined ? undefined : starter);
+
+        if (mine && mine.tiles && game.players[mine.seat]) {
+            const dealt = game.players[mine.seat].tiles.map(t => t.id).sort((a, b) => a - b);
+            const got = mine.tiles.map(t => t.id).sort((a, b) => a - b);
+            if (dealt.join() !== got.join()) problems.push('Your hand is not the one the revealed seed deals.');
+        }
+
+        for (let i = 0; i < history.length && !problems.length; i++) {
+            const h = history[i];
+            const who = `Move ${i + 1} (seat ${h.player + 1})`;
+            let res;
+            if (h.type === 'place') {
+                const idx = game.players[h.player] ? game.players[h.player].tiles.findIndex(t => t.id === h.tileId) : -1;
+                if (idx === -1) { problems.push(`${who} played a tile the seed never dealt them.`); break; }
+                res = game.placeTile(h.player, idx, h.row, h.col, h.rotation);
+            } else if (h.type === 'draw') {
+                res = game.drawTile(h.player);
+                if (res.success && h.tileId !== undefined && res.tile.id !== h.tileId) {
+                    problems.push(`${who} drew a tile that was not next in the pool.`);
+                    break;
+                }
+            } else if (h.type === 'pass') {
+                res = game.passTurn(h.player, { forced: !!h.forced });
+            } else if (h.type === 'skip') {
+                res = game.skipTurn(h.player);
+            } else {
+                res = { success: false, error: `unknown move "${h.type}"` };
+            }
+            if (!res.success) problems.push(`${who} is not possible from the revealed deal: ${res.error}`);
+            else if (h.scores.join() !== game.players.map(p => p.score).join())
+                problems.push(`${who} left different scores than the revealed deal gives.`);
+        }
+        if (!problems.length && game.phase !== 'finished') problems.push('The hand did not end where the revealed deal says.');
+        return { ok: problems.length === 0, seed, problems };
+    }
+
+    window.Trikono.Fair = {
+        supported,
+        newShare,
+        commit,
+        seedFrom,
+        verify,
+    };
+})();
@@ -7,22 +7,54 @@
     const { Tiles } = window.Trikono;
     const Board = window.Trikono.Board;
 
+    /** Official rules; any subset can be overridden per game. */
+    const DEFAULT_RULES = {
+        maxDraws: 3,      // tiles a stuck player may draw per turn
+        drawPenalty: 5,   // points lost per draw
+        passPenalty: 10,  // points lost for passing
+        handSize: 0,      // 0 = official: 9 for two players, 7 for three or four
+        cornerMatch: true, // numbers must agree with every tile sharing a corner, not just edge neighbours
+        hints: false,     // players may ask for the best move (each use is counted)
+    };
+
     class Game {
-        constructor() {
-            this.board = new Board();
-            this.players = [];     // {id, name, tiles:[], score:0}
+        constructor(rules = {}) {
+            this.rules = { ...DEFAULT_RULES, ...rules };
+            this.board = this._newBoard();
+            this.players = [];     // {id, name, tiles:[], score:0, bot:null|level, hints:0}
             this.pool = [];
             this.currentPlayerIndex = 0;
             this.phase = 'waiting'; // waiting | playing | finished
-            this.drawnThisTurn = false;
+            this.drawsThisTurn = 0;
             this.winner = -1;
             this.lastAction = null;
+            this.history = [];     // append-only move log of the current hand
+            this.setSeed(Tiles.randomSeed());
+        }
+
+        /**
+         * Every shuffle in the game comes from `seed`, so the same seed and the
+         * same moves always give the same game. The stream runs on across hands.
+         */
+        setSeed(seed) {
+            this.seed = seed;
+            this.rng = Tiles.createRng(Tiles.hashSeed(seed));
+        }
+
+        setRules(rules) {
+            this.rules = { ...DEFAULT_RULES, ...rules };
+            this.board.cornerMatch = this.rules.cornerMatch;
+        }
+
+        _newBoard() {
+            return new Board({ cornerMatch: this.rules.cornerMatch });
         }
 
         /* ---- player management ---- */
 
-        addPlayer(id, name) {
-            this.players.push({ id, name, tiles: [], score: 0 });
+        /** `bot` is an AI difficulty level for computer-controlled seats. */
+        addPlayer(id, name, bot = null) {
+            this.players.push({ id, name, tiles: [], score: 0, bot, hints: 0 });
             return this.players.length - 1;
         }
 
@@ -33,22 +65,38 @@
 
         /* ---- game lifecycle ---- */
 
-        start() {
+        /**
+         * Deal a fresh hand. `starter` picks who opens; when omitted the
+         * highest-tile rule in `_findStarter` decides.
+         */
+        start(starter) {
+            this.board = this._newBoard();
+            this.lastAction = null;
+            this.history = [];
+
             const all = Tiles.generateAll();
-            this.pool = Tiles.shuffleArray(all);
+            this.pool = Tiles.shuffleArray(all, this.rng);
 
-            const perPlayer = this.players.length <= 2 ? 9 : 7;
+            const perPlayer = this._handSize();
             for (const p of this.players) {
                 p.tiles = this.pool.splice(0, perPlayer);
                 p.score = 0;
+                p.hints = 0;
             }
 
-            this.currentPlayerIndex = this._findStarter();
+            this.currentPlayerIndex = starter === undefined ? this._findStarter() : starter;
             this.phase = 'playing';
-            this.drawnThisTurn = false;
+            this.drawsThisTurn = 0;
             this.winner = -1;
         }
 
+        _handSize() {
+            const official = this.players.length <= 2 ? 9 : 7;
+            const n = this.rules.handSize || official;
+            // Never deal more than the 56 tiles allow
+            return Math.min(n, Math.floor(56 / Math.max(1, this.players.length)));
+        }
+
         _findStarter() {
             let best = 0, bestVal = -1, bestTriple = false;
             for (let i = 0; i < this.players.length; i++) {
@@ -90,27 +138,30 @@
             if (!this.board.isValid(row, col, values))
                 return { success: false, error: 'Invalid placement.' };
 
+            const before = this._undoPoint({ tileIdx });
+
             this.board.place(row, col, values, tile.id, playerIdx);
 
-            const score = this.board.calcScore(row, col, values);
+            const breakdown = this.board.scoreBreakdown(row, col, values);
+            const score = breakdown.total;
             player.score += score;
             player.tiles.splice(tileIdx, 1);
 
-            this.lastAction = { type: 'place', player: playerIdx, row, col };
+            const action = { type: 'place', player: playerIdx, row, col };
+            const detail = { tileId: tile.id, values: tile.values, rotation, placed: values, score, breakdown, before };
 
             if (player.tiles.length === 0) {
-                player.score += 25;
-                for (const other of this.players) {
-                    if (other !== player)
-                        for (const t of other.tiles) player.score += Tiles.tileSum(t.values);
-                }
+                const endBonus = this._endBonus(playerIdx);
+                player.score += endBonus.total;
                 this.phase = 'finished';
                 this.winner = playerIdx;
-                return { success: true, score, gameOver: true, winner: playerIdx };
+                this._record(action, { ...detail, endBonus });
+                return { success: true, score, breakdown, endBonus, gameOver: true, winner: playerIdx };
             }
 
+            this._record(action, detail);
             this._nextTurn();
-            return { success: true, score };
+            return { success: true, score, breakdown };
         }
 
         /**
@@ -123,54 +174,182 @@
                 return { success: false, error: 'Not your turn.' };
             if (this.pool.length === 0)
                 return { success: false, error: 'Pool is empty.' };
+            if (this.drawsThisTurn >= this.rules.maxDraws)
+                return { success: false, error: 'No more draws this turn.' };
 
+            const before = this._undoPoint();
             const tile = this.pool.pop();
             this.players[playerIdx].tiles.push(tile);
-            this.players[playerIdx].score = Math.max(0, this.players[playerIdx].score - 5);
-            this.drawnThisTurn = true;
-            this.lastAction = { type: 'draw', player: playerIdx };
+            this.players[playerIdx].score = Math.max(0, this.players[playerIdx].score - this.rules.drawPenalty);
+            this.drawsThisTurn++;
+            this._record({ type: 'draw', player: playerIdx }, { tileId: tile.id, before });
 
             return { success: true, tile, poolSize: this.pool.length };
         }
 
         /**
-         * Pass turn (only when pool is empty and player cannot play).
+         * Count a hint taken by the player on turn. The suggestion itself is
+         * worked out by whoever asks (see AI.suggest); the tally is public.
+         */
+        useHint(playerIdx) {
+            if (!this.rules.hints)
+                return { success: false, error: 'Hints are off in this game.' };
+            if (this.phase !== 'playing')
+                return { success: false, error: 'Game is not in progress.' };
+            if (playerIdx !== this.currentPlayerIndex)
+                return { success: false, error: 'Not your turn.' };
+            const p = this.players[playerIdx];
+            p.hints = (p.hints || 0) + 1;
+            return { success: true };
+        }
+
+        /** May the current player still draw this turn? */
+        canDraw() {
+            return this.pool.length > 0 && this.drawsThisTurn < this.rules.maxDraws;
+        }
+
+        /**
+         * Pass turn (only once the player has used up their draws and cannot play).
+         * `forced` ends the turn regardless, e.g. when the player's time ran out.
          */
-        passTurn(playerIdx) {
+        passTurn(playerIdx, { forced = false } = {}) {
             if (this.phase !== 'playing')
                 return { success: false, error: 'Game is not in progress.' };
             if (playerIdx !== this.currentPlayerIndex)
                 return { success: false, error: 'Not your turn.' };
-            if (!this.drawnThisTurn && this.pool.length > 0)
+            if (!forced && this.canDraw())
                 return { success: false, error: 'Draw a tile first.' };
-            if (this.canPlay(playerIdx))
+            if (!forced && this.canPlay(playerIdx))
                 return { success: false, error: 'You have valid placements — play a tile!' };
 
-            this.players[playerIdx].score = Math.max(0, this.players[playerIdx].score - 10);
-            this.lastAction = { type: 'pass', player: playerIdx };
+            const before = this._undoPoint();
+            this.players[playerIdx].score = Math.max(0, this.players[playerIdx].score - this.rules.passPenalty);
+            const action = { type: 'pass', player: playerIdx };
+            if (forced) action.forced = true;
             this._nextTurn();
 
             if (this._isStalemate()) {
                 // Each player subtracts remaining tile values from score
-                for (const p of this.players) {
-                    for (const t of p.tiles)
-                        p.score -= Tiles.tileSum(t.values);
-                }
+                const endPenalties = this.players.map(p => p.tiles.reduce((sum, t) => sum + Tiles.tileSum(t.values), 0));
+                this.players.forEach((p, i) => { p.score -= endPenalties[i]; });
                 this.phase = 'finished';
                 this.winner = this._bestPlayer();
-                return { success: true, gameOver: true, winner: this.winner };
+                this._record(action, { before, endPenalties });
+                return { success: true, gameOver: true, winner: this.winner, endPenalties };
             }
+            this._record(action, { before });
+            return { success: true };
+        }
+
+        /**
+         * Skip an absent player's turn: no penalty, no draw.
+         */
+        skipTurn(playerIdx) {
+            if (this.phase !== 'playing')
+                return { success: false, error: 'Game is not in progress.' };
+            if (playerIdx !== this.currentPlayerIndex)
+                return { success: false, error: 'Not your turn.' };
+
+            this._record({ type: 'skip', player: playerIdx }, { before: this._undoPoint() });
+            this._nextTurn();
             return { success: true };
         }
 
+        /**
+         * Going out: +25 plus the tile sums left in every opponent's hand.
+         * Returns {emptyHand, opponents:[{player, sum}], total}.
+         */
+        _endBonus(playerIdx) {
+            const emptyHand = 25;
+            const opponents = [];
+            this.players.forEach((p, i) => {
+                if (i !== playerIdx)
+                    opponents.push({ player: i, sum: p.tiles.reduce((sum, t) => sum + Tiles.tileSum(t.values), 0) });
+            });
+            return { emptyHand, opponents, total: opponents.reduce((sum, o) => sum + o.sum, emptyHand) };
+        }
+
+        /**
+         * Remember an action: `lastAction` keeps the public gist, `history`
+         * the full entry plus everyone's score once the action settled.
+         */
+        _record(action, detail = {}) {
+            this.lastAction = action;
+            this.history.push({ ...action, ...detail, scores: this.players.map(p => p.score) });
+        }
+
+        /** What an action needs to restore when taken back. */
+        _undoPoint(extra = {}) {
+            return { scores: this.players.map(p => p.score), drawsThisTurn: this.drawsThisTurn, ...extra };
+        }
+
+        /** Can the last action be taken back? Finished hands are final. */
+        canUndo() {
+            return this.phase === 'playing' && this.history.length > 0;
+        }
+
+        /**
+         * Take back the most recent action: board cell, hand, pool, scores
+         * and turn all return to how they were before it.
+         * Returns {success, error?, undone?} where `undone` is the history entry.
+         */
+        undoLast() {
+            if (!this.canUndo())
+                return { success: false, error: 'Nothing to take back.' };
+
+            const h = this.history.pop();
+            const player = this.players[h.player];
+
+            if (h.type === 'place') {
+                const tile = { id: h.tileId, values: h.values };
+                this.board.remove(h.row, h.col);
+                player.tiles.splice(h.before.tileIdx, 0, tile);
+            } else if (h.type === 'draw') {
+                const i = player.tiles.findIndex(t => t.id === h.tileId);
+                const [tile] = player.tiles.splice(i, 1);
+                // Back to a random depth, not the top, so the drawer can't tell
+                // which tile comes next
+                const pos = Math.floor(this.rng() * (this.pool.length + 1));
+                this.pool.splice(pos, 0, tile);
+            }
+
+            h.before.scores.forEach((sc, i) => { this.players[i].score = sc; });
+            this.currentPlayerIndex = h.player;
+            this.drawsThisTurn = h.before.drawsThisTurn;
+            this.phase = 'playing';
+            this.winner = -1;
+
+            const prev = this.history[this.history.length - 1];
+            this.lastAction = prev ? this._gist(prev) : null;
+            return { success: true, undone: h };
+        }
+
+        /** The public `lastAction` form of a history entry. */
+        _gist(h) {
+            return h.type === 'place'
+                ? { type: h.type, player: h.player, row: h.row, col: h.col }
+                : { type: h.type, player: h.player };
+        }
+
+        /** History as seen by `playerIdx`: other players' drawn tiles stay hidden. */
+        historyFor(playerIdx) {
+            return this.history.map(h => {
+                const { before, ...pub } = h;
+                if (h.type !== 'draw' || h.player === playerIdx) return pub;
+                const { tileId, ...rest } = pub;
+                return rest;
+            });
+        }
+
         _nextTurn() {
             this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
-            this.drawnThisTurn = false;
+            this.drawsThisTurn = 0;
         }
 
         /** Can any player play any tile? */
+        /** Nobody can place and nobody may draw: an empty pool, or a house rule of no draws. */
         _isStalemate() {
-            if (this.pool.length > 0) return false;
+            if (this.pool.length > 0 && this.rules.maxDraws > 0) return false;
             for (const p of this.players)
                 for (const t of p.tiles)
                     if (this.board.getValidPlacements(t.values).length > 0) return false;
@@ -201,18 +380,36 @@
                 board: this.board.serialize(),
                 players: this.players.map((p, i) => ({
                     id: p.id, name: p.name, tileCount: p.tiles.length, score: p.score,
+                    bot: p.bot || null, hints: p.hints || 0,
                 })),
                 currentPlayerIndex: this.currentPlayerIndex,
                 phase: this.phase,
                 poolSize: this.pool.length,
                 winner: this.winner,
-                drawnThisTurn: this.drawnThisTurn,
+                drawsThisTurn: this.drawsThisTurn,
+                rules: { ...this.rules },
                 lastAction: this.lastAction,
+                history: this.historyFor(playerIdx),
                 yourIndex: playerIdx,
                 yourTiles: this.players[playerIdx] ? this.players[playerIdx].tiles : [],
             };
         }
 
+        /**
+         * State for someone watching rather than playing: no hand of their own,
+         * and other hands hidden unless `revealHands` (e.g. a delayed stream).
+         */
+        serializeForSpectator(revealHands = false) {
+            const state = this.serializeForPlayer(-1);
+            delete state.yourTiles;
+            state.spectator = true;
+            if (revealHands) {
+                state.players.forEach((p, i) => { p.tiles = this.players[i].tiles.map(t => ({ ...t })); });
+                state.history = this.history.map(({ before, ...pub }) => pub);
+            }
+            return state;
+        }
+
         /** Full state for saving / host transfer. */
         serializeFull() {
             return {
@@ -221,29 +418,43 @@
                     id: p.id, name: p.name,
                     tiles: p.tiles.map(t => ({ ...t })),
                     score: p.score,
+                    bot: p.bot || null,
+                    hints: p.hints || 0,
                 })),
                 pool: this.pool.map(t => ({ ...t })),
                 currentPlayerIndex: this.currentPlayerIndex,
                 phase: this.phase,
                 winner: this.winner,
-                drawnThisTurn: this.drawnThisTurn,
+                drawsThisTurn: this.drawsThisTurn,
+                rules: { ...this.rules },
                 lastAction: this.lastAction,
+                history: this.history.map(h => ({ ...h })),
+                seed: this.seed,
+                rngState: this.rng.state,
             };
         }
 
         /** Load full state. */
         loadFull(data) {
-            this.board = new Board();
+            // Saves from before corner matching was enforced keep the old rule
+            this.setRules({ cornerMatch: false, ...data.rules });
+            this.board = this._newBoard();
             this.board.deserialize(data.board);
             this.players = data.players;
             this.pool = data.pool;
             this.currentPlayerIndex = data.currentPlayerIndex;
             this.phase = data.phase;
             this.winner = data.winner;
-            this.drawnThisTurn = data.drawnThisTurn || false;
+            this.drawsThisTurn = data.drawsThisTurn || 0;
             this.lastAction = data.lastAction;
+            this.history = data.history || [];
+            // Saves from before seeding carry on with a fresh one
+            this.setSeed(data.seed || Tiles.randomSeed());
+            if (data.rngState !== undefined) this.rng.state = data.rngState;
         }
     }
 
+    Game.DEFAULT_RULES = DEFAULT_RULES;
+
     window.Trikono.Game = Game;
 })();
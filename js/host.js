@@ -0,0 +1,187 @@
+/* ============================================================
+   host.js – Host rules shared by the browser host (app.js) and
+             the headless server (server/authority.js)
+   ============================================================ */
+(function () {
+    'use strict';
+
+    /*
+     * The functions below work on either host, through the fields both keep:
+     *   game, match            the game and its match (null before the first deal)
+     *   peerToPlayer           peerId -> seat
+     *   spectators             peerId -> name
+     *   seatTokens             token -> seat
+     *   awaySeats              seats whose player has dropped out
+     *   chatTimes              peerId -> recent chat message times (ms)
+     */
+
+    const KICK_DELAY = 500;    // ms for the parting error to reach a peer before it is disconnected
+    const AWAY_GRACE = 15000;  // ms an absent player's turn waits before it is skipped
+    const UNDO_TIMEOUT = 30000; // ms the other players have to answer a take-back request
+
+    // Chat: at most CHAT_LIMIT messages per peer in any CHAT_WINDOW ms
+    const CHAT_LIMIT = 5;
+    const CHAT_WINDOW = 10000;
+    const CHAT_MAX_LENGTH = 200;
+    const REACTIONS = ['👍', '👏', '😂', '😮', '😬', '🎉'];
+
+    // Game codes leave out characters easily misread (0/O, 1/I)
+    const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const CODE_LENGTH = 6;
+
+    const randomBytes = n => crypto.getRandomValues(new Uint8Array(n));
+
+    /** A fresh game code: six characters, none of them easily misread. */
+    function newGameId() {
+        // 256 is a multiple of 32, so every character is equally likely
+        return Array.from(randomBytes(CODE_LENGTH), b => CODE_CHARS[b % CODE_CHARS.length]).join('');
+    }
+
+    /** A secret a player keeps to reclaim their seat. */
+    function newToken() {
+        return Array.from(randomBytes(16), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /* ---- seats ---- */
+
+    /**
+     * Hand each remote seat a fresh token. Returns [peerId, token] pairs for
+     * the caller to send out in `welcome` messages.
+     */
+    function issueSeatTokens(h) {
+        h.seatTokens.clear();
+        const issued = [];
+        for (const [peerId, idx] of h.peerToPlayer) {
+            if (peerId === 'host') continue;
+            const token = newToken();
+            h.seatTokens.set(token, idx);
+            issued.push([peerId, token]);
+        }
+        return issued;
+    }
+
+    /** Give a returning player, who presented a valid token, their seat back. Returns the seat. */
+    function reclaimSeat(h, peerId, token) {
+        const idx = h.seatTokens.get(token);
+        for (const [id, i] of h.peerToPlayer) {
+            if (i === idx) h.peerToPlayer.delete(id);
+        }
+        h.peerToPlayer.set(peerId, idx);
+        h.game.players[idx].id = peerId;
+        h.awaySeats.delete(idx);
+        return idx;
+    }
+
+    /* ---- what the host sends ---- */
+
+    function lobbyMessage(h, version) {
+        return {
+            type: 'lobby',
+            version,
+            players: h.game.players.map(p => ({ name: p.name, id: p.id, bot: p.bot || null })),
+            spectators: [...h.spectators.values()],
+        };
+    }
+
+    /** Attach what every view shares: the match summary and who is away. */
+    function withTableInfo(h, state) {
+        if (h.match) state.match = h.match.serialize();
+        state.players.forEach((p, i) => { p.away = h.awaySeats.has(i); });
+        // The seed gives away every deal still to come, so it is only shown once the match is over
+        if (h.match && h.match.phase === 'finished') state.seed = h.game.seed;
+        return state;
+    }
+
+    /* ---- chat ---- */
+
+    /** Who a peer is, by seat – never the name the peer claims in the message. */
+    function chatSender(h, peerId) {
+        const idx = h.peerToPlayer.get(peerId);
+        if (idx !== undefined && h.game.players[idx]) return { from: h.game.players[idx].name, seat: idx };
+        return { from: h.spectators.get(peerId) || 'Spectator', seat: -1 };
+    }
+
+    /**
+     * Check a chat message and stamp the sender's name on it. Returns
+     * {message} to pass to everyone, {error} for the sender alone, or null
+     * when there is nothing to say.
+     */
+    function relayChat(h, peerId, data, now = Date.now()) {
+        const recent = (h.chatTimes.get(peerId) || []).filter(t => now - t < CHAT_WINDOW);
+        if (recent.length >= CHAT_LIMIT) return { error: 'Slow down – too many messages.' };
+
+        const message = { type: 'chat', ...chatSender(h, peerId) };
+        if (REACTIONS.includes(data.reaction)) {
+            message.reaction = data.reaction;
+        } else if (typeof data.text === 'string' && data.text.trim()) {
+            message.text = data.text.trim().slice(0, CHAT_MAX_LENGTH);
+        } else {
+            return null;
+        }
+        recent.push(now);
+        h.chatTimes.set(peerId, recent);
+        return { message };
+    }
+
+    /* ---- take-backs ---- */
+
+    /**
+     * A take-back request waiting on every other human at the table. Only
+     * good for the position it was asked in: `stale` once a move is made or
+     * a new round dealt. `onExpire` runs if the answers take longer than
+     * `timeout` ms – nobody answering is as good as a no.
+     */
+    class UndoVote {
+        constructor(h, requester, { timeout = UNDO_TIMEOUT, onExpire = null } = {}) {
+            this.requester = requester;
+            this.voters = h.game.players
+                .map((p, i) => i)
+                .filter(i => i !== requester && !h.game.players[i].bot && !h.awaySeats.has(i));
+            this.pending = new Set(this.voters);
+            this.historyLength = h.game.history.length;
+            this.round = h.match ? h.match.round : 0;
+            this.timer = this.voters.length && onExpire ? setTimeout(onExpire, timeout) : null;
+        }
+
+        /** Count one answer: 'declined', 'approved' once everyone agreed, or null while waiting. */
+        answer(voter, approve) {
+            if (!this.pending.has(voter)) return null;
+            if (!approve) return 'declined';
+            this.pending.delete(voter);
+            return this.pending.size === 0 ? 'approved' : null;
+        }
+
+        /** The game has moved on since the request. */
+        stale(h) {
+            return h.game.history.length !== this.historyLength || (h.match ? h.match.round : 0) !== this.round;
+        }
+
+        /** Whether the vote still needs this seat: the requester, or someone yet to answer. */
+        involves(seat) {
+            return seat === this.requester || this.pending.has(seat);
+        }
+
+        /** Stop the clock; the vote is settled one way or another. */
+        end() {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    window.Trikono.Host = {
+        KICK_DELAY,
+        AWAY_GRACE,
+        CHAT_LIMIT,
+        CHAT_WINDOW,
+        REACTIONS,
+        newGameId,
+        newToken,
+        issueSeatTokens,
+        reclaimSeat,
+        lobbyMessage,
+        withTableInfo,
+        chatSender,
+        relayChat,
+        UndoVote,
+    };
+})();
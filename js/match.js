@@ -0,0 +1,96 @@
+/* ============================================================
+   match.js – Multi-round match play to a target score
+   ============================================================ */
+(function () {
+    'use strict';
+
+    const DEFAULT_TARGET = 400; // official game length
+
+    class Match {
+        /**
+         * @param {Game}   game        – the game replayed each round
+         * @param {number} targetScore – first cumulative total to reach this wins
+         */
+        constructor(game, targetScore = DEFAULT_TARGET) {
+            this.game = game;
+            this.targetScore = targetScore;
+            this.round = 0;         // current round number (1-based once started)
+            this.rounds = [];       // finished rounds: {scores:[], winner, hints:[]}
+            this.starter = -1;      // who began the current round
+            this.phase = 'playing'; // playing | finished
+            this.winner = -1;
+        }
+
+        /** Deal a new round. Only the first round uses the highest-tile starter rule. */
+        startRound() {
+            if (this.phase === 'finished') return;
+            const starter = this.round === 0
+                ? undefined
+                : (this.starter + 1) % this.game.players.length;
+            this.game.start(starter);
+            this.starter = this.game.currentPlayerIndex;
+            this.round++;
+        }
+
+        /**
+         * Record the current round once its game has finished.
+         * Returns true if a round was recorded by this call.
+         */
+        recordRound() {
+            if (this.game.phase !== 'finished' || this.rounds.length >= this.round) return false;
+            this.rounds.push({
+                scores: this.game.players.map(p => p.score),
+                winner: this.game.winner,
+                hints: this.game.players.map(p => p.hints || 0),
+            });
+
+            const totals = this.totals();
+            if (Math.max(...totals) >= this.targetScore) {
+                this.phase = 'finished';
+                this.winner = totals.indexOf(Math.max(...totals));
+            }
+            return true;
+        }
+
+        /** Cumulative score per player over finished rounds. */
+        totals() {
+            return this.game.players.map((_, i) =>
+                this.rounds.reduce((sum, r) => sum + (r.scores[i] || 0), 0));
+        }
+
+        /** Hints each player has used over finished rounds (the game resets its count every deal). */
+        hintTotals() {
+            return this.game.players.map((_, i) =>
+                this.rounds.reduce((sum, r) => sum + ((r.hints && r.hints[i]) || 0), 0));
+        }
+
+        /* ---- serialisation ---- */
+
+        /** Public summary sent to every player alongside the game state. */
+        serialize() {
+            return {
+                targetScore: this.targetScore,
+                round: this.round,
+                rounds: this.rounds.map(r => ({ scores: [...r.scores], winner: r.winner, hints: [...(r.hints || [])] })),
+                totals: this.totals(),
+                hintTotals: this.hintTotals(),
+                starter: this.starter,
+                phase: this.phase,
+                winner: this.winner,
+            };
+        }
+
+        load(data) {
+            this.targetScore = data.targetScore;
+            this.round = data.round;
+            this.rounds = data.rounds;
+            this.starter = data.starter;
+            this.phase = data.phase;
+            this.winner = data.winner;
+        }
+    }
+
+    Match.DEFAULT_TARGET = DEFAULT_TARGET;
+
+    window.Trikono.Match = Match;
+})();
@@ -1,31 +1,45 @@
 /* ============================================================
-   network.js – Peer-to-peer networking via PeerJS (WebRTC)
+   network.js – Host ⇄ player connections over a pluggable
+                transport: PeerJS (WebRTC) or a WebSocket relay
    ============================================================ */
 (function () {
     'use strict';
 
-    const CONNECT_TIMEOUT = 15000; // ms
+    const { Servers, Relay, Host } = window.Trikono;
 
-    /* Default options: STUN only (works on same network / open NATs) */
-    const STUN_ONLY = [
-        { urls: 'stun:stun.l.google.com:19302' },
-        { urls: 'stun:stun1.l.google.com:19302' },
-        { urls: 'stun:stun.services.mozilla.com' }
-    ];
+    const CONNECT_TIMEOUT = 15000; // ms
+    const MIGRATE_RETRY = 2000;    // ms between attempts to reach a new host
+    const MIGRATE_ATTEMPTS = 10;
+
+    // PeerJS error types that mean the signaling server itself could not be used
+    const BROKER_ERRORS = ['network', 'server-error', 'socket-error', 'socket-closed', 'invalid-key'];
+
+    /*
+     * A transport gets players to the host. Network talks to it through:
+     *   host(gameId) → Promise          take players for this game code; rejects
+     *                                   with type 'unavailable-id' if the code is in use
+     *   join(gameId, timeout) → Promise<conn>
+     *                                   a connection to that game's host; rejects with
+     *                                   type 'peer-unavailable' if there is no such game
+     *   onConnection = conn => …        host: a player's connection has opened
+     *   id, open, disconnected, destroyed, destroy()
+     * Connections look like PeerJS DataConnections: `peer`, `open`,
+     * `send(data)`, `close()`, and 'data' / 'close' events via `on`.
+     */
 
     /**
-     * Build PeerJS options with ICE servers.
-     * If a Metered API key is provided, fetch TURN credentials for relay support.
-     * Otherwise fall back to STUN-only.
+     * Build PeerJS options from the configured servers (see servers.js).
+     * If a TURN API key is provided, fetch credentials for relay support from
+     * the configured endpoint (Metered by default).
+     * Otherwise use the configured ICE servers, or STUN only.
      */
-    async function _buildPeerOptions(turnApiKey) {
-        let iceServers = STUN_ONLY;
+    async function _buildPeerOptions(turnApiKey, servers) {
+        let iceServers = servers.iceServers || Servers.DEFAULT_ICE;
+        const broker = servers.peer ? { ...servers.peer } : {};
 
         if (turnApiKey) {
             try {
-                const resp = await fetch(
-                    `https://trikono.metered.live/api/v1/turn/credentials?apiKey=${turnApiKey}`
-                );
+                const resp = await fetch(Servers.turnCredentialsUrl(servers, turnApiKey));
                 if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
                 iceServers = await resp.json();
                 console.log('[Trikono] TURN credentials fetched:', iceServers.length, 'servers');
@@ -33,59 +47,62 @@
                 console.warn('[Trikono] Could not fetch TURN credentials, using STUN only:', e.message);
             }
         } else {
-            console.log('[Trikono] No TURN API key – using STUN only');
+            console.log('[Trikono] No TURN API key – ICE servers:', Servers.describeIce(iceServers));
         }
 
-        return { debug: 1, config: { iceServers } };
+        return { debug: 1, ...broker, config: { iceServers } };
     }
 
-    class Network {
-        constructor() {
+    /** WebRTC through PeerJS: the signaling server introduces peers, then they talk directly. */
+    class PeerTransport {
+        constructor(servers, turnApiKey) {
+            this.servers = servers;
+            this.turnApiKey = turnApiKey;
             /** @type {Peer|null} */
             this.peer = null;
-            /** @type {Map<string, DataConnection>} */
-            this.connections = new Map();
-            this.isHost = false;
-            /** @type {DataConnection|null} */
-            this.hostConn = null;
-            this.gameId = null;
-
-            // Callbacks
-            this.onMessage = null;           // (data, fromPeerId)
-            this.onPeerConnected = null;     // (peerId)
-            this.onPeerDisconnected = null;  // (peerId)
-            this.onConnected = null;         // ()
-            this.onError = null;             // (err)
+            this.onConnection = null;
         }
 
-        /* ---- helpers ---- */
-
-        _genId() {
-            const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
-            let id = '';
-            for (let i = 0; i < 6; i++) id += chars[Math.floor(Math.random() * chars.length)];
-            return id;
+        get id() { return this.peer ? this.peer.id : null; }
+        get open() { return !!this.peer && this.peer.open; }
+        get disconnected() { return !!this.peer && this.peer.disconnected; }
+        get destroyed() { return !this.peer || this.peer.destroyed; }
+
+        /** Turn a PeerJS error into one that names the server at fault. */
+        _describeError(err, gameId) {
+            const broker = Servers.describePeer(this.servers.peer);
+            let message;
+            if (BROKER_ERRORS.includes(err.type)) {
+                message = `Could not use the signaling server ${broker} (${err.type}).`;
+            } else if (err.type === 'peer-unavailable') {
+                message = `No game ${gameId} on the signaling server ${broker}.`;
+            } else if (err.type === 'unavailable-id') {
+                message = `Game code ${gameId} is already taken on the signaling server ${broker}.`;
+            } else if (err.type === 'webrtc') {
+                message = `The peer-to-peer connection failed – the ICE servers (${Servers.describeIce(this.servers.iceServers)}) may be blocked.`;
+            } else {
+                return err;
+            }
+            const e = new Error(message);
+            e.type = err.type;
+            return e;
         }
 
-        /* ---- host ---- */
-
-        async createGame(turnApiKey) {
-            this.gameId = this._genId();
-            this.isHost = true;
-            const peerId = 'trikono-' + this.gameId;
-            const peerOptions = await _buildPeerOptions(turnApiKey);
+        /** Register with the signaling server under `peerId` (null: any id). */
+        async _start(peerId, gameId, timeoutMessage) {
+            const peerOptions = await _buildPeerOptions(this.turnApiKey, this.servers);
 
             return new Promise((resolve, reject) => {
                 if (typeof Peer === 'undefined') {
-                    return reject(new Error('PeerJS library not loaded. Check your internet connection.'));
+                    return reject(new Error('PeerJS library not loaded from unpkg.com. Check your internet connection.'));
                 }
 
                 let settled = false;
                 const timer = setTimeout(() => {
                     if (!settled) {
                         settled = true;
-                        if (this.peer) this.peer.destroy();
-                        reject(new Error('Connection timed out. The signaling server may be unreachable.'));
+                        this.destroy();
+                        reject(new Error(timeoutMessage));
                     }
                 }, CONNECT_TIMEOUT);
 
@@ -95,121 +112,219 @@
                     if (settled) return;
                     settled = true;
                     clearTimeout(timer);
-                    this.peer.on('connection', conn => this._handleIncoming(conn));
-                    resolve(this.gameId);
+                    resolve();
                 });
 
                 this.peer.on('error', err => {
                     if (settled) return;
-                    if (err.type === 'unavailable-id') {
-                        clearTimeout(timer);
-                        settled = true;
-                        this.peer.destroy();
-                        this.gameId = this._genId();
-                        this.createGame(turnApiKey).then(resolve).catch(reject);
-                    } else {
-                        settled = true;
-                        clearTimeout(timer);
-                        if (this.onError) this.onError(err);
-                        reject(err);
-                    }
+                    settled = true;
+                    clearTimeout(timer);
+                    reject(this._describeError(err, gameId));
                 });
+            });
+        }
 
-                this.peer.on('disconnected', () => {
-                    console.warn('[Trikono] Host disconnected from signaling server, reconnecting…');
-                    if (this.peer && !this.peer.destroyed) {
-                        setTimeout(() => {
-                            if (this.peer && !this.peer.destroyed) this.peer.reconnect();
-                        }, 1000);
-                    }
+        async host(gameId) {
+            await this._start('trikono-' + gameId, gameId,
+                `Connection timed out. The signaling server ${Servers.describePeer(this.servers.peer)} may be unreachable.`);
+
+            this.peer.on('connection', conn => {
+                conn.on('open', () => {
+                    if (this.onConnection) this.onConnection(conn);
                 });
+            });
 
-                this.peer.on('close', () => {
-                    console.warn('[Trikono] Host peer closed');
+            this.peer.on('disconnected', () => {
+                console.warn('[Trikono] Host disconnected from signaling server, reconnecting…');
+                if (this.peer && !this.peer.destroyed) {
+                    setTimeout(() => {
+                        if (this.peer && !this.peer.destroyed) this.peer.reconnect();
+                    }, 1000);
+                }
+            });
+
+            this.peer.on('close', () => {
+                console.warn('[Trikono] Host peer closed');
+            });
+        }
+
+        async join(gameId, timeout = CONNECT_TIMEOUT) {
+            const unreachable = `Connection timed out. The host may not be reachable – check the ICE servers (${Servers.describeIce(this.servers.iceServers)}).`;
+            if (this.destroyed) await this._start(null, gameId, unreachable);
+
+            return new Promise((resolve, reject) => {
+                const conn = this.peer.connect('trikono-' + gameId, { reliable: true });
+                let settled = false;
+                const fail = err => {
+                    if (settled) return;
+                    settled = true;
+                    clearTimeout(timer);
+                    this.peer.off('error', onPeerError);
+                    conn.close();
+                    reject(err);
+                };
+                // An unknown peer id surfaces on the peer, not the connection
+                const onPeerError = err => fail(this._describeError(err, gameId));
+                const timer = setTimeout(() => fail(new Error(unreachable)), timeout);
+
+                this.peer.on('error', onPeerError);
+                conn.on('error', err => fail(this._describeError(err, gameId)));
+                conn.on('open', () => {
+                    if (settled) return;
+                    settled = true;
+                    clearTimeout(timer);
+                    this.peer.off('error', onPeerError);
+                    resolve(conn);
                 });
             });
         }
 
+        destroy() {
+            if (this.peer) this.peer.destroy();
+        }
+    }
+
+    class Network {
+        /** @param {object} [servers] – {peer, iceServers, relay} as resolved by servers.js */
+        constructor(servers = {}) {
+            this.servers = { peer: null, iceServers: null, relay: null, ...servers };
+            /** The active transport; `peer.id` is our own id once connected */
+            this.peer = null;
+            /** @type {Map<string, DataConnection>} */
+            this.connections = new Map();
+            this.isHost = false;
+            /** @type {DataConnection|null} */
+            this.hostConn = null;
+            this.gameId = null;
+
+            // Callbacks
+            this.onMessage = null;           // (data, fromPeerId)
+            this.onPeerConnected = null;     // (peerId)
+            this.onPeerDisconnected = null;  // (peerId)
+            this.onConnected = null;         // ()
+            this.onError = null;             // (err)
+        }
+
+        /* ---- helpers ---- */
+
+        /** A relay server, when one is configured, replaces WebRTC altogether. */
+        _newTransport(turnApiKey) {
+            return this.servers.relay
+                ? new Relay.RelayTransport(this.servers.relay)
+                : new PeerTransport(this.servers, turnApiKey);
+        }
+
+        /** A fresh game code (see Host.newGameId). */
+        newGameId() {
+            return Host.newGameId();
+        }
+
+        /* ---- host ---- */
+
+        /**
+         * Register as host. `gameId` fixes the code (host migration / resume);
+         * otherwise a fresh one is generated.
+         */
+        async createGame(turnApiKey, gameId) {
+            this.gameId = gameId || this.newGameId();
+            this.isHost = true;
+            this.peer = this._newTransport(turnApiKey);
+            this.peer.onConnection = conn => this._handleIncoming(conn);
+
+            try {
+                await this.peer.host(this.gameId);
+            } catch (err) {
+                this.peer.destroy();
+                if (err.type === 'unavailable-id' && !gameId) return this.createGame(turnApiKey);
+                if (this.onError) this.onError(err);
+                throw err;
+            }
+            return this.gameId;
+        }
+
         /* ---- client ---- */
 
         async joinGame(gameId, turnApiKey) {
             this.gameId = gameId.toUpperCase();
             this.isHost = false;
-            const peerOptions = await _buildPeerOptions(turnApiKey);
-
-            return new Promise((resolve, reject) => {
-                if (typeof Peer === 'undefined') {
-                    return reject(new Error('PeerJS library not loaded. Check your internet connection.'));
-                }
-
-                let settled = false;
-                const timer = setTimeout(() => {
-                    if (!settled) {
-                        settled = true;
-                        if (this.peer) this.peer.destroy();
-                        reject(new Error('Connection timed out. The host may not be reachable.'));
-                    }
-                }, CONNECT_TIMEOUT);
+            this.peer = this._newTransport(turnApiKey);
 
-                this.peer = new Peer(null, peerOptions);
+            try {
+                this._attachHostConn(await this.peer.join(this.gameId));
+            } catch (err) {
+                this.peer.destroy();
+                if (this.onError) this.onError(err);
+                throw err;
+            }
+            if (this.onConnected) this.onConnected();
+        }
 
-                this.peer.on('open', () => {
-                    if (settled) return;
-                    const conn = this.peer.connect('trikono-' + this.gameId, { reliable: true });
+        /* ---- host migration ---- */
 
-                    conn.on('open', () => {
-                        if (settled) return;
-                        settled = true;
-                        clearTimeout(timer);
-                        this.hostConn = conn;
+        /**
+         * Successor: drop the client connection and re-register as host under
+         * the agreed migration id, so remaining clients can find us.
+         */
+        async becomeHost(gameId, turnApiKey) {
+            if (this.peer) this.peer.destroy();
+            this.peer = null;
+            this.hostConn = null;
+            this.connections.clear();
+            return this.createGame(turnApiKey, gameId);
+        }
 
-                        conn.on('data', data => {
-                            if (this.onMessage) this.onMessage(data, 'host');
-                        });
-                        conn.on('close', () => {
-                            if (this.onPeerDisconnected) this.onPeerDisconnected('host');
-                        });
+        /**
+         * Client: connect to a new host through the existing transport.
+         * Retries while the successor is still registering its id.
+         */
+        reconnectToHost(gameId) {
+            this.gameId = gameId;
+            this.hostConn = null;
 
-                        if (this.onConnected) this.onConnected();
+            return new Promise((resolve, reject) => {
+                const attempt = left => {
+                    if (!this.peer) {
+                        return reject(new Error('Connection closed.'));
+                    }
+                    this.peer.join(gameId, MIGRATE_RETRY * 2).then(conn => {
+                        this._attachHostConn(conn);
                         resolve();
+                    }, () => {
+                        if (left <= 1) reject(new Error('The new host could not be reached.'));
+                        else setTimeout(() => attempt(left - 1), MIGRATE_RETRY);
                     });
-
-                    conn.on('error', err => {
-                        if (settled) return;
-                        settled = true;
-                        clearTimeout(timer);
-                        if (this.onError) this.onError(err);
-                        reject(err);
-                    });
-                });
-
-                this.peer.on('error', err => {
-                    if (settled) return;
-                    settled = true;
-                    clearTimeout(timer);
-                    if (this.onError) this.onError(err);
-                    reject(err);
-                });
+                };
+                attempt(MIGRATE_ATTEMPTS);
             });
         }
 
         /* ---- connection handling ---- */
 
-        _handleIncoming(conn) {
-            conn.on('open', () => {
-                this.connections.set(conn.peer, conn);
+        _attachHostConn(conn) {
+            this.hostConn = conn;
+            conn.on('data', data => {
+                if (this.onMessage) this.onMessage(data, 'host');
+            });
+            conn.on('close', () => {
+                if (this.hostConn !== conn) return;
+                if (this.onPeerDisconnected) this.onPeerDisconnected('host');
+            });
+        }
 
-                conn.on('data', data => {
-                    if (this.onMessage) this.onMessage(data, conn.peer);
-                });
+        /** Host: a player's connection has opened. */
+        _handleIncoming(conn) {
+            this.connections.set(conn.peer, conn);
 
-                conn.on('close', () => {
-                    this.connections.delete(conn.peer);
-                    if (this.onPeerDisconnected) this.onPeerDisconnected(conn.peer);
-                });
+            conn.on('data', data => {
+                if (this.onMessage) this.onMessage(data, conn.peer);
+            });
 
-                if (this.onPeerConnected) this.onPeerConnected(conn.peer);
+            conn.on('close', () => {
+                this.connections.delete(conn.peer);
+                if (this.onPeerDisconnected) this.onPeerDisconnected(conn.peer);
             });
+
+            if (this.onPeerConnected) this.onPeerConnected(conn.peer);
         }
 
         /* ---- messaging ---- */
@@ -229,10 +344,19 @@
             }
         }
 
+        /** Host: close one peer's connection; it surfaces as a normal disconnect. */
+        disconnect(peerId) {
+            const c = this.connections.get(peerId);
+            if (c) c.close();
+        }
+
         /* ---- utility ---- */
 
+        /** Link that joins this game, through the same servers. */
         getShareUrl(turnApiKey) {
             const u = new URL(window.location.href.split('#')[0]);
+            for (const k of ['peer', 'ice', 'relay']) u.searchParams.delete(k);
+            for (const [k, v] of Servers.toQuery(this.servers)) u.searchParams.set(k, v);
             u.hash = turnApiKey
                 ? this.gameId + ':' + turnApiKey
                 : this.gameId;
@@ -0,0 +1,229 @@
+/* ============================================================
+   protocol.js – Host ⇄ client message schema and peer policing
+   ============================================================ */
+(function () {
+    'use strict';
+
+    const { AI } = window.Trikono;
+
+    /**
+     * Bump whenever a message changes shape. Clients send it in `join`, the
+     * host in `lobby`; a mismatch on either side ends the connection with a
+     * clear error instead of half-understood messages. Versions before the
+     * handshake sent none, which counts as 0.
+     */
+    const VERSION = 3;
+
+    const NAME_MAX = 20;        // as the name field on the home screen
+    const MAX_COORD = 64;       // 56 tiles cannot reach further from the centre
+    const MAX_SIZE = 4096;      // characters of JSON in one client message
+
+    // Flooding: more than FLOOD_LIMIT messages in FLOOD_WINDOW ms ends the connection
+    const FLOOD_LIMIT = 40;
+    const FLOOD_WINDOW = 5000;
+    // Malformed messages tolerated from one peer before it is dropped
+    const MAX_STRIKES = 3;
+
+    /* ---- field checks: each returns true when the value is acceptable ---- */
+
+    const isObj = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+    const int = (min, max) => v => Number.isInteger(v) && v >= min && v <= max;
+    const str = (max, min = 0) => v => typeof v === 'string' && v.length >= min && v.length <= max;
+    const bool = v => typeof v === 'boolean';
+    const obj = isObj;
+    const list = v => Array.isArray(v);
+    const optional = check => Object.assign(v => v === undefined || v === null || check(v), { optional: true });
+    const listOf = check => v => Array.isArray(v) && v.every(check);
+    const shape = fields => v => isObj(v) && Object.entries(fields).every(([field, check]) => check(v[field]));
+
+    /* ---- the game state a host sends: everything a client renders from it ---- */
+
+    const SCORE = int(-1e6, 1e6);
+    const SEAT = int(-1, 3);
+    const cornerValues = v => Array.isArray(v) && v.length === 3 && v.every(int(0, 5));
+    const tile = shape({ id: int(0, 55), values: cornerValues });
+    const botLevel = v => typeof v === 'string' && Object.prototype.hasOwnProperty.call(AI.LEVELS, v);
+    const statePlayer = shape({
+        name: str(200), tileCount: int(0, 56), score: SCORE,
+        bot: optional(botLevel), hints: optional(int(0, 1e6)), tiles: optional(listOf(tile)),
+    });
+    const move = v => shape({
+        type: t => ['place', 'draw', 'pass', 'skip'].includes(t),
+        player: int(0, 3),
+        scores: listOf(SCORE),
+    })(v) && (v.type !== 'place' || shape({
+        row: int(-MAX_COORD, MAX_COORD), col: int(-MAX_COORD, MAX_COORD),
+        values: cornerValues, placed: cornerValues, score: SCORE,
+    })(v));
+    const matchSummary = shape({
+        targetScore: int(1, 1e6),
+        round: int(0, 1e6),
+        rounds: listOf(shape({ scores: listOf(SCORE), winner: optional(SEAT), hints: optional(listOf(int(0, 1e6))) })),
+        totals: listOf(SCORE),
+        hintTotals: optional(listOf(int(0, 1e6))),
+        winner: optional(SEAT),
+    });
+    const viewState = shape({
+        players: v => Array.isArray(v) && v.length <= 4 && v.every(statePlayer),
+        currentPlayerIndex: SEAT,
+        winner: optional(SEAT),
+        poolSize: int(0, 56),
+        history: listOf(move),
+        yourTiles: optional(listOf(tile)),
+        match: optional(matchSummary),
+    });
+
+    /* Messages a client may send to the host */
+    const CLIENT = {
+        join: { name: str(NAME_MAX), token: optional(str(64)), version: optional(int(0, 1e6)) },
+        place: {
+            tileIndex: int(0, 55),
+            row: int(-MAX_COORD, MAX_COORD),
+            col: int(-MAX_COORD, MAX_COORD),
+            rotation: int(0, 2),
+        },
+        draw: {},
+        pass: {},
+        hint: {},
+        chat: { text: optional(str(1000)), reaction: optional(str(16)) },
+        'undo-request': {},
+        'undo-response': { approve: bool },
+        'fair-commit': { commit: str(64, 64) },
+        'fair-reveal': { share: str(64, 64) },
+    };
+
+    /* Messages the host sends to clients */
+    const HOST = {
+        lobby: { players: list, spectators: optional(list), version: optional(int(0, 1e6)) },
+        state: { state: viewState },
+        error: { message: str(500), code: optional(str(32)) },
+        welcome: { token: str(64), gameId: str(64) },
+        resumed: { gameId: str(64) },
+        spectate: { delay: int(0, 1e7) },
+        snapshot: {
+            game: obj, match: optional(obj), seats: list, tokens: list, away: list,
+            spectators: list, spectatorReveal: int(0, 1e7), clock: optional(obj), botCount: int(0, 1e6),
+            fairDeal: optional(bool),
+        },
+        chat: { from: str(NAME_MAX), seat: int(-1, 3), text: optional(str(1000)), reaction: optional(str(16)) },
+        'undo-vote': { requester: str(NAME_MAX) },
+        'undo-result': { approved: bool, message: str(500) },
+        'fair-start': {},
+        'fair-commits': { commits: list },
+        'fair-result': { shares: list, starter: optional(int(0, 3)) },
+    };
+
+    /**
+     * Check a message against the schema for its sender: `'client'` for what
+     * the host receives, `'host'` for what a client receives. Returns a
+     * description of the first problem, or null when the message is valid.
+     * Fields the schema does not list are a problem too.
+     */
+    function validate(data, from) {
+        const schemas = from === 'host' ? HOST : CLIENT;
+        if (!isObj(data)) return 'Message is not an object.';
+        if (typeof data.type !== 'string' || !Object.prototype.hasOwnProperty.call(schemas, data.type))
+            return `Unknown message type "${String(data.type).slice(0, 32)}".`;
+        const schema = schemas[data.type];
+        for (const [field, check] of Object.entries(schema)) {
+            if (!check(data[field])) {
+                return data[field] === undefined && !check.optional
+                    ? `"${data.type}" is missing "${field}".`
+                    : `"${data.type}" has an invalid "${field}".`;
+            }
+        }
+        for (const field of Object.keys(data)) {
+            if (field !== 'type' && !(field in schema) && data[field] !== undefined)
+                return `"${data.type}" has an unexpected field "${field.slice(0, 32)}".`;
+        }
+        return null;
+    }
+
+    /**
+     * The error for a peer speaking another protocol version, or null:
+     * worded for a client when `version` came from one, and for this
+     * client when it came from the host (`from` = 'host').
+     */
+    function versionError(version, from = 'client') {
+        if (version === VERSION) return null;
+        const theirs = Number.isInteger(version) ? version : 0;
+        if (from === 'host') {
+            return theirs < VERSION
+                ? `The host runs an older version of Trikono (protocol ${theirs}, yours ${VERSION}). Ask the host to reload the page.`
+                : `The host runs a newer version of Trikono (protocol ${theirs}, yours ${VERSION}). Reload the page to update.`;
+        }
+        return theirs < VERSION
+            ? `This game runs a newer version of Trikono (protocol ${VERSION}, yours ${theirs}). Reload the page to update.`
+            : `This game runs an older version of Trikono (protocol ${VERSION}, yours ${theirs}). Ask the host to reload the page.`;
+    }
+
+    /**
+     * The version error for a `join` (from a client) or `lobby` (from the
+     * host), or null. Checked before the schema, which another version's
+     * messages need not fit.
+     */
+    function handshakeError(data, from) {
+        const type = from === 'host' ? 'lobby' : 'join';
+        return isObj(data) && data.type === type ? versionError(data.version, from) : null;
+    }
+
+    /**
+     * Host side: screens every message from remote peers. Malformed
+     * messages earn a strike and an error; too many strikes or too many
+     * messages in a short time and the peer is to be disconnected, as is
+     * a peer joining with another protocol version (`code: 'version'`).
+     */
+    class Guard {
+        constructor({ limit = FLOOD_LIMIT, window = FLOOD_WINDOW, strikes = MAX_STRIKES } = {}) {
+            this.limit = limit;
+            this.window = window;
+            this.maxStrikes = strikes;
+            this.peers = new Map(); // peerId -> {times:[ms], strikes}
+        }
+
+        /**
+         * Judge one incoming message. Returns {ok:true}, or
+         * {ok:false, error, kick, code?} where `kick` means disconnect the peer now.
+         */
+        check(peerId, data, now = Date.now()) {
+            const peer = this.peers.get(peerId) || { times: [], strikes: 0 };
+            this.peers.set(peerId, peer);
+
+            peer.times = peer.times.filter(t => now - t < this.window);
+            peer.times.push(now);
+            if (peer.times.length > this.limit) {
+                return { ok: false, error: 'Too many messages – disconnected.', kick: true };
+            }
+
+            let error = null;
+            try {
+                if (JSON.stringify(data).length > MAX_SIZE) error = 'Message is too large.';
+            } catch (e) {
+                error = 'Message cannot be read.';
+            }
+            if (!error) {
+                const mismatch = handshakeError(data, 'client');
+                if (mismatch) return { ok: false, error: mismatch, kick: true, code: 'version' };
+            }
+            error = error || validate(data, 'client');
+            if (!error) return { ok: true };
+
+            peer.strikes++;
+            const kick = peer.strikes >= this.maxStrikes;
+            return { ok: false, error: kick ? error + ' Too many bad messages – disconnected.' : error, kick };
+        }
+
+        forget(peerId) {
+            this.peers.delete(peerId);
+        }
+    }
+
+    window.Trikono.Protocol = {
+        VERSION,
+        NAME_MAX,
+        validate,
+        versionError,
+        handshakeError,
+        Guard,
+    };
+})();
@@ -0,0 +1,158 @@
+/* ============================================================
+   puzzle-pack.js – The bundled puzzles (format in puzzles.js)
+   ============================================================ */
+(function () {
+    'use strict';
+
+    window.Trikono.PuzzlePack = [
+        {
+            "id": "bridge-1",
+            "title": "Over the gap",
+            "hint": "A tile touching just one edge can still reach a corner across the way.",
+            "board": {
+                "0,0": { "values": [5, 5, 5], "tileId": 55, "playerId": 0 },
+                "0,-1": { "values": [5, 0, 5], "tileId": 20, "playerId": 0 },
+                "-1,-1": { "values": [3, 5, 0], "tileId": 17, "playerId": 0 },
+                "-1,0": { "values": [5, 3, 4], "tileId": 50, "playerId": 1 },
+                "0,-2": { "values": [0, 5, 0], "tileId": 5, "playerId": 0 },
+                "0,-3": { "values": [0, 0, 0], "tileId": 0, "playerId": 1 },
+                "0,1": { "values": [5, 5, 3], "tileId": 51, "playerId": 0 },
+                "-2,0": { "values": [4, 4, 3], "tileId": 49, "playerId": 1 },
+                "0,2": { "values": [3, 3, 5], "tileId": 48, "playerId": 0 },
+                "0,3": { "values": [3, 3, 3], "tileId": 46, "playerId": 1 },
+                "-2,1": { "values": [4, 4, 5], "tileId": 53, "playerId": 1 },
+                "-2,2": { "values": [5, 1, 4], "tileId": 34, "playerId": 0 },
+                "-2,3": { "values": [1, 5, 1], "tileId": 25, "playerId": 1 }
+            },
+            "hand": [[1, 3, 4], [0, 1, 1], [1, 1, 3], [0, 1, 5]],
+        },
+        {
+            "id": "bridge-2",
+            "title": "Span it",
+            "board": {
+                "0,0": { "values": [4, 5, 5], "tileId": 54, "playerId": 0 },
+                "1,0": { "values": [1, 5, 5], "tileId": 35, "playerId": 1 },
+                "0,-1": { "values": [5, 0, 4], "tileId": 19, "playerId": 0 },
+                "0,-2": { "values": [0, 5, 5], "tileId": 20, "playerId": 1 },
+                "1,-2": { "values": [2, 5, 5], "tileId": 45, "playerId": 0 },
+                "1,-3": { "values": [5, 2, 2], "tileId": 39, "playerId": 1 },
+                "1,-4": { "values": [2, 3, 5], "tileId": 42, "playerId": 0 },
+                "2,-3": { "values": [4, 2, 2], "tileId": 38, "playerId": 1 },
+                "1,-5": { "values": [3, 2, 3], "tileId": 40, "playerId": 0 },
+                "1,-6": { "values": [3, 4, 3], "tileId": 47, "playerId": 1 },
+                "2,-4": { "values": [2, 4, 1], "tileId": 28, "playerId": 0 },
+                "1,1": { "values": [5, 0, 1], "tileId": 10, "playerId": 1 },
+                "0,-3": { "values": [5, 0, 0], "tileId": 5, "playerId": 0 },
+                "2,1": { "values": [1, 1, 0], "tileId": 6, "playerId": 0 },
+                "2,0": { "values": [1, 1, 1], "tileId": 21, "playerId": 1 }
+            },
+            "hand": [[1, 1, 2], [1, 1, 3], [1, 1, 5]],
+        },
+        {
+            "id": "hexagon-1",
+            "title": "Close the ring",
+            "hint": "Five tiles already meet at one point.",
+            "board": {
+                "-1,-1": { "values": [0, 2, 3], "tileId": 12, "playerId": 0 },
+                "-1,0": { "values": [2, 0, 1], "tileId": 7, "playerId": 1 },
+                "-1,1": { "values": [1, 2, 2], "tileId": 26, "playerId": 0 },
+                "0,1": { "values": [2, 2, 2], "tileId": 36, "playerId": 1 },
+                "0,-1": { "values": [3, 3, 2], "tileId": 40, "playerId": 0 },
+                "-2,0": { "values": [0, 1, 0], "tileId": 1, "playerId": 0 },
+                "-2,1": { "values": [1, 0, 1], "tileId": 6, "playerId": 1 },
+                "-2,-1": { "values": [0, 0, 0], "tileId": 0, "playerId": 0 }
+            },
+            "hand": [[2, 2, 3], [1, 1, 4], [0, 3, 3], [0, 0, 4]],
+        },
+        {
+            "id": "hexagon-2",
+            "title": "Sixth piece",
+            "board": {
+                "1,-1": { "values": [3, 4, 4], "tileId": 49, "playerId": 0 },
+                "1,0": { "values": [4, 3, 3], "tileId": 47, "playerId": 1 },
+                "1,-2": { "values": [4, 1, 3], "tileId": 31, "playerId": 0 },
+                "0,-2": { "values": [1, 3, 1], "tileId": 23, "playerId": 1 },
+                "0,-1": { "values": [3, 1, 2], "tileId": 27, "playerId": 0 },
+                "2,-1": { "values": [2, 4, 4], "tileId": 43, "playerId": 0 },
+                "2,-2": { "values": [4, 2, 2], "tileId": 38, "playerId": 1 },
+                "0,-3": { "values": [1, 0, 1], "tileId": 6, "playerId": 0 }
+            },
+            "hand": [[2, 3, 3], [2, 2, 3], [1, 4, 4], [2, 2, 2]],
+        },
+        {
+            "id": "bridge-3",
+            "title": "Long reach",
+            "board": {
+                "0,0": { "values": [5, 5, 5], "tileId": 55, "playerId": 0 },
+                "0,-1": { "values": [5, 4, 5], "tileId": 54, "playerId": 1 },
+                "0,-2": { "values": [4, 5, 1], "tileId": 34, "playerId": 0 },
+                "-1,-1": { "values": [4, 5, 4], "tileId": 53, "playerId": 1 },
+                "-1,-2": { "values": [4, 3, 4], "tileId": 49, "playerId": 0 },
+                "0,1": { "values": [5, 5, 1], "tileId": 35, "playerId": 1 },
+                "-1,-3": { "values": [3, 4, 3], "tileId": 47, "playerId": 0 },
+                "1,0": { "values": [3, 5, 5], "tileId": 51, "playerId": 1 },
+                "1,1": { "values": [5, 0, 3], "tileId": 17, "playerId": 0 },
+                "1,2": { "values": [0, 5, 0], "tileId": 5, "playerId": 1 },
+                "1,3": { "values": [0, 0, 0], "tileId": 0, "playerId": 0 },
+                "1,4": { "values": [0, 0, 4], "tileId": 4, "playerId": 1 },
+                "1,5": { "values": [4, 4, 0], "tileId": 18, "playerId": 0 },
+                "2,3": { "values": [2, 0, 0], "tileId": 2, "playerId": 1 },
+                "0,4": { "values": [1, 4, 0], "tileId": 9, "playerId": 0 },
+                "0,5": { "values": [4, 1, 2], "tileId": 28, "playerId": 1 }
+            },
+            "hand": [[0, 1, 1], [0, 1, 2], [0, 2, 3]],
+        },
+        {
+            "id": "hexagon-3",
+            "title": "Full circle",
+            "board": {
+                "1,1": { "values": [5, 4, 5], "tileId": 54, "playerId": 0 },
+                "1,2": { "values": [4, 5, 2], "tileId": 44, "playerId": 1 },
+                "0,2": { "values": [1, 2, 5], "tileId": 29, "playerId": 0 },
+                "0,1": { "values": [5, 1, 1], "tileId": 25, "playerId": 1 },
+                "1,0": { "values": [5, 5, 5], "tileId": 55, "playerId": 0 },
+                "-1,1": { "values": [1, 1, 1], "tileId": 21, "playerId": 0 },
+                "0,3": { "values": [2, 1, 2], "tileId": 26, "playerId": 1 },
+                "1,3": { "values": [2, 4, 4], "tileId": 43, "playerId": 0 }
+            },
+            "hand": [[1, 5, 5], [2, 2, 4], [4, 4, 5], [1, 1, 3]],
+        },
+        {
+            "id": "double-1",
+            "title": "Two at once",
+            "hint": "One spot finishes two hexagons.",
+            "board": {
+                "1,1": { "values": [4, 0, 1], "tileId": 9, "playerId": 0 },
+                "1,2": { "values": [0, 4, 5], "tileId": 19, "playerId": 1 },
+                "0,2": { "values": [4, 5, 4], "tileId": 53, "playerId": 0 },
+                "0,1": { "values": [4, 2, 4], "tileId": 43, "playerId": 1 },
+                "1,0": { "values": [1, 1, 4], "tileId": 24, "playerId": 0 },
+                "-1,1": { "values": [2, 4, 2], "tileId": 38, "playerId": 1 },
+                "-1,0": { "values": [2, 2, 2], "tileId": 36, "playerId": 0 },
+                "-1,-1": { "values": [2, 2, 1], "tileId": 26, "playerId": 1 },
+                "0,-1": { "values": [1, 1, 2], "tileId": 22, "playerId": 0 },
+                "0,-2": { "values": [1, 1, 0], "tileId": 6, "playerId": 0 },
+                "-2,0": { "values": [5, 2, 2], "tileId": 39, "playerId": 1 }
+            },
+            "hand": [[1, 2, 4], [2, 3, 4], [0, 1, 2], [0, 5, 5]],
+        },
+        {
+            "id": "double-2",
+            "title": "Double ring",
+            "board": {
+                "-1,-1": { "values": [3, 3, 3], "tileId": 46, "playerId": 0 },
+                "-1,0": { "values": [3, 3, 5], "tileId": 48, "playerId": 1 },
+                "-1,1": { "values": [5, 5, 3], "tileId": 51, "playerId": 0 },
+                "0,1": { "values": [1, 3, 5], "tileId": 32, "playerId": 1 },
+                "0,-1": { "values": [1, 3, 3], "tileId": 30, "playerId": 0 },
+                "0,2": { "values": [5, 5, 1], "tileId": 35, "playerId": 1 },
+                "1,2": { "values": [0, 1, 5], "tileId": 10, "playerId": 0 },
+                "1,1": { "values": [1, 0, 0], "tileId": 1, "playerId": 1 },
+                "1,0": { "values": [0, 1, 1], "tileId": 6, "playerId": 0 },
+                "0,3": { "values": [5, 5, 4], "tileId": 54, "playerId": 0 },
+                "1,3": { "values": [5, 5, 0], "tileId": 20, "playerId": 1 }
+            },
+            "hand": [[1, 1, 3], [4, 4, 5], [2, 5, 5], [0, 4, 5]],
+        },
+    ];
+})();
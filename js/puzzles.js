@@ -0,0 +1,182 @@
+/* ============================================================
+   puzzles.js – Training puzzles: find the highest-scoring move
+   ============================================================ */
+(function () {
+    'use strict';
+
+    const NS = window.Trikono;
+    const { Tiles, Board, Game } = NS;
+
+    const PROGRESS_KEY = 'trikono_puzzles';
+    const MAX_HAND = 9;
+
+    /*
+     * A puzzle is plain JSON:
+     *   {
+     *     "id": "hexagon-1",              unique, used for progress
+     *     "title": "Close the ring",
+     *     "hint": "…",                    optional
+     *     "board": { "r,c": {values, tileId, playerId}, … }   as Board.serialize
+     *     "hand": [[0, 2, 5], …],          tiles by their values, lowest first
+     *     "cornerMatch": true             optional, defaults to true
+     *   }
+     * The answer is not stored: it is whatever scores most.
+     */
+
+    const isInt = v => Number.isInteger(v);
+    const isObj = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+    let _byValues = null;
+    function tileByValues(values) {
+        if (!_byValues) _byValues = new Map(Tiles.generateAll().map(t => [t.values.join(), t]));
+        return Array.isArray(values) ? _byValues.get(values.join()) : undefined;
+    }
+
+    /** Check a puzzle object. Returns a list of problems (empty = valid). */
+    function validate(data) {
+        if (!isObj(data)) return ['Not a puzzle.'];
+        const errors = [];
+        if (typeof data.id !== 'string' || !data.id || data.id.length > 40) errors.push('Puzzle id is missing.');
+        if (typeof data.title !== 'string' || !data.title) errors.push('Puzzle title is missing.');
+        if (data.hint !== undefined && typeof data.hint !== 'string') errors.push('Hint must be text.');
+        if (data.cornerMatch !== undefined && typeof data.cornerMatch !== 'boolean')
+            errors.push('"cornerMatch" must be true or false.');
+        if (!isObj(data.board)) return errors.concat('Board is missing.');
+        if (!Array.isArray(data.hand) || data.hand.length === 0 || data.hand.length > MAX_HAND)
+            return errors.concat(`Hand must hold 1 to ${MAX_HAND} tiles.`);
+
+        const all = Tiles.generateAll();
+        const used = new Set();
+        for (const [key, cell] of Object.entries(data.board)) {
+            const m = /^(-?\d+),(-?\d+)$/.exec(key);
+            const tile = isObj(cell) && isInt(cell.tileId) && all[cell.tileId];
+            if (!m || !tile || !Array.isArray(cell.values) || cell.values.length !== 3 ||
+                ![0, 1, 2].some(rot => Tiles.getPlacedValues(tile.values, rot).join() === cell.values.join()) ||
+                !isInt(cell.playerId) || cell.playerId < 0 || cell.playerId > 3) {
+                errors.push(`Board cell ${key} is not a valid tile.`);
+            } else if (used.has(tile.id)) {
+                errors.push(`Tile ${tile.values.join('-')} is on the board twice.`);
+            }
+            if (tile) used.add(tile.id);
+        }
+        data.hand.forEach((values, i) => {
+            const tile = tileByValues(values);
+            if (!tile) errors.push(`Hand tile ${i + 1} is not a tile (list its numbers lowest first).`);
+            else if (used.has(tile.id)) errors.push(`Tile ${tile.values.join('-')} is used twice.`);
+            else used.add(tile.id);
+        });
+        if (errors.length) return errors;
+
+        // Every tile on the board must be one that could have been laid there
+        const board = new Board({ cornerMatch: data.cornerMatch !== false });
+        board.deserialize(data.board);
+        for (const [key, cell] of [...board.cells]) { // a copy: re-placing moves the key to the end
+            const [r, c] = key.split(',').map(Number);
+            board.remove(r, c);
+            if (board.size > 0 && !board.isValid(r, c, cell.values)) errors.push(`Board cell ${key} does not match its neighbours.`);
+            board.place(r, c, cell.values, cell.tileId, cell.playerId);
+        }
+        return errors;
+    }
+
+    /**
+     * Every highest-scoring move for `hand` on `board`:
+     * {score, moves:[{tileIdx, row, col, rotation, values}]}. Score -1 when nothing fits.
+     */
+    function solve(board, hand) {
+        let score = -1, moves = [];
+        hand.forEach((tile, tileIdx) => {
+            for (const p of board.getValidPlacements(tile.values)) {
+                const s = board.calcScore(p.row, p.col, p.values);
+                if (s > score) { score = s; moves = []; }
+                if (s === score) moves.push({ tileIdx, ...p });
+            }
+        });
+        return { score, moves };
+    }
+
+    /**
+     * Validate and prepare a puzzle: {id, title, hint, board, hand, best}.
+     * Throws with a readable message when the puzzle is broken or has no move.
+     */
+    function load(data) {
+        const errors = validate(data);
+        if (errors.length) throw new Error(errors.slice(0, 3).join(' '));
+        const board = new Board({ cornerMatch: data.cornerMatch !== false });
+        board.deserialize(JSON.parse(JSON.stringify(data.board)));
+        const hand = data.hand.map(tileByValues);
+        const best = solve(board, hand);
+        if (best.score < 0) throw new Error('No tile in the hand can be played.');
+        return { id: data.id, title: data.title, hint: data.hint || '', board, hand, best };
+    }
+
+    /**
+     * Judge a move {tileIdx, row, col, rotation} against the optimum.
+     * Returns {valid, score?, breakdown?, best, solved}.
+     */
+    function check(puzzle, move) {
+        const tile = puzzle.hand[move.tileIdx];
+        const values = tile && Tiles.getPlacedValues(tile.values, move.rotation, Board.isUp(move.row, move.col));
+        const best = puzzle.best.score;
+        if (!tile || !puzzle.board.isValid(move.row, move.col, values)) return { valid: false, best, solved: false };
+        const breakdown = puzzle.board.scoreBreakdown(move.row, move.col, values);
+        return { valid: true, score: breakdown.total, breakdown, best, solved: breakdown.total === best };
+    }
+
+    /** A one-seat game holding the puzzle position, for the normal game screen. */
+    function toGame(puzzle, name = 'You') {
+        const game = new Game({ cornerMatch: puzzle.board.cornerMatch, maxDraws: 0 });
+        game.addPlayer('local-0', name);
+        game.loadFull({
+            ...game.serializeFull(),
+            board: puzzle.board.serialize(),
+            players: [{ id: 'local-0', name, tiles: puzzle.hand.map(t => ({ ...t })), score: 0, bot: null, hints: 0 }],
+            pool: [],
+            currentPlayerIndex: 0,
+            phase: 'playing',
+        });
+        return game;
+    }
+
+    /** The bundled puzzles (js/puzzle-pack.js). */
+    function pack() {
+        return NS.PuzzlePack || [];
+    }
+
+    /* ---- progress ---- */
+
+    /** {[id]: {attempts, solved}} */
+    function loadProgress() {
+        try {
+            const p = JSON.parse(localStorage.getItem(PROGRESS_KEY));
+            return isObj(p) ? p : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    function recordAttempt(id, solved) {
+        const progress = loadProgress();
+        const p = progress[id] || { attempts: 0, solved: false };
+        p.attempts++;
+        p.solved = p.solved || solved;
+        progress[id] = p;
+        try {
+            localStorage.setItem(PROGRESS_KEY, JSON.stringify(progress));
+        } catch (e) {
+            console.warn('[Trikono] Puzzle progress not saved:', e.message);
+        }
+        return p;
+    }
+
+    window.Trikono.Puzzles = {
+        validate,
+        solve,
+        load,
+        check,
+        toGame,
+        pack,
+        loadProgress,
+        recordAttempt,
+    };
+})();
@@ -0,0 +1,198 @@
+/* ============================================================
+   relay.js – Transport through a WebSocket relay server
+              (server/relay.js), for networks that block WebRTC
+   ============================================================ */
+(function () {
+    'use strict';
+
+    const CONNECT_TIMEOUT = 15000; // ms
+    const PING_INTERVAL = 20000;   // ms; the relay drops sockets silent for a minute
+
+    // What the relay's refusals mean to Network (see the transport notes in network.js)
+    const ERROR_TYPES = { 'room-taken': 'unavailable-id', 'room-not-found': 'peer-unavailable' };
+
+    /**
+     * One end of a relayed connection: the host's view of a player, or a
+     * player's view of the host. Shaped like a PeerJS DataConnection.
+     */
+    class RelayConnection {
+        constructor(peer, send, close) {
+            this.peer = peer;
+            this.open = true;
+            this._send = send;
+            this._close = close;
+            this.handlers = { data: [], close: [] };
+        }
+
+        on(event, fn) {
+            if (this.handlers[event]) this.handlers[event].push(fn);
+        }
+
+        send(data) {
+            if (this.open) this._send(data);
+        }
+
+        close() {
+            if (!this.open) return;
+            this._close();
+            this._closed();
+        }
+
+        _receive(data) {
+            for (const fn of this.handlers.data) fn(data);
+        }
+
+        _closed() {
+            if (!this.open) return;
+            this.open = false;
+            for (const fn of this.handlers.close) fn();
+        }
+    }
+
+    /**
+     * Everything goes through the relay: the host holds one socket for its
+     * room, each player one socket into it. See network.js for the interface.
+     */
+    class RelayTransport {
+        /** @param {string} url – ws:// or wss:// address of the relay */
+        constructor(url) {
+            this.url = url;
+            this.socket = null;
+            this.id = null;
+            this.open = false;
+            this.disconnected = false;
+            this.destroyed = false;
+            this.conns = new Map(); // host: peerId -> RelayConnection
+            this.onConnection = null;
+            this._ping = null;
+        }
+
+        /**
+         * Open a socket into `room` as `role`. Resolves with the relay's first
+         * message ('hosted' or 'joined'); rejects on a refusal, a failure
+         * or after `timeout`. Later messages go to `onMessage`.
+         */
+        _connect(room, role, timeout, onMessage) {
+            return new Promise((resolve, reject) => {
+                if (typeof WebSocket === 'undefined') {
+                    return reject(new Error('This browser does not support WebSockets.'));
+                }
+                const u = new URL(this.url);
+                u.searchParams.set('room', room);
+                u.searchParams.set('role', role);
+                const socket = new WebSocket(u.toString());
+                let settled = false;
+                const fail = err => {
+                    if (settled) return;
+                    settled = true;
+                    clearTimeout(timer);
+                    socket.close();
+                    reject(err);
+                };
+                const timer = setTimeout(() => fail(new Error(`Connection timed out. The relay server ${this.url} may be unreachable.`)), timeout);
+
+                socket.addEventListener('message', e => {
+                    let message;
+                    try {
+                        message = JSON.parse(e.data);
+                    } catch (err) {
+                        return;
+                    }
+                    if (settled) {
+                        onMessage(message);
+                    } else if (message.type === 'error') {
+                        const err = new Error(message.message || `The relay server refused the connection (${message.code}).`);
+                        err.type = ERROR_TYPES[message.code] || message.code;
+                        fail(err);
+                    } else {
+                        settled = true;
+                        clearTimeout(timer);
+                        resolve(message);
+                    }
+                });
+                socket.addEventListener('close', () => fail(new Error(`Could not use the relay server ${this.url}.`)));
+                this._replaceSocket(socket);
+            });
+        }
+
+        /** Keep one socket at a time, pinging it so the relay knows we are still here. */
+        _replaceSocket(socket) {
+            if (this.socket) this.socket.close();
+            clearInterval(this._ping);
+            this.socket = socket;
+            this.open = false;
+            this._ping = setInterval(() => this._sendRaw({ type: 'ping' }), PING_INTERVAL);
+            socket.addEventListener('close', () => {
+                if (this.socket !== socket) return;
+                this.open = false;
+                this.disconnected = true;
+                clearInterval(this._ping);
+            });
+        }
+
+        _sendRaw(message) {
+            if (this.socket && this.socket.readyState === 1) this.socket.send(JSON.stringify(message));
+        }
+
+        async host(gameId) {
+            await this._connect(gameId, 'host', CONNECT_TIMEOUT, message => {
+                const conn = this.conns.get(message.peer || message.from);
+                if (message.type === 'join') {
+                    const c = new RelayConnection(
+                        message.peer,
+                        data => this._sendRaw({ type: 'data', to: message.peer, data }),
+                        () => {
+                            this.conns.delete(message.peer);
+                            this._sendRaw({ type: 'kick', peer: message.peer });
+                        }
+                    );
+                    this.conns.set(message.peer, c);
+                    if (this.onConnection) this.onConnection(c);
+                } else if (message.type === 'data' && conn) {
+                    conn._receive(message.data);
+                } else if (message.type === 'leave' && conn) {
+                    this.conns.delete(message.peer);
+                    conn._closed();
+                }
+            });
+            const socket = this.socket;
+            this.id = 'host';
+            this.open = true;
+            // Losing the relay loses every player
+            socket.addEventListener('close', () => {
+                for (const c of this.conns.values()) c._closed();
+                this.conns.clear();
+            });
+        }
+
+        /** A player is in one room at a time: joining another (a new host) leaves the last. */
+        async join(gameId, timeout = CONNECT_TIMEOUT) {
+            let conn = null;
+            const joined = await this._connect(gameId, 'guest', timeout, message => {
+                if (message.type === 'data' && conn) conn._receive(message.data);
+            });
+            const socket = this.socket;
+            this.id = joined.id;
+            this.open = true;
+            this.disconnected = false;
+            conn = new RelayConnection('host', data => {
+                if (this.socket === socket) this._sendRaw({ type: 'data', data });
+            }, () => socket.close());
+            socket.addEventListener('close', () => conn._closed());
+            return conn;
+        }
+
+        destroy() {
+            this.destroyed = true;
+            clearInterval(this._ping);
+            if (this.socket) this.socket.close();
+            this.socket = null;
+            this.open = false;
+        }
+    }
+
+    window.Trikono.Relay = {
+        RelayTransport,
+        RelayConnection,
+    };
+})();
@@ -189,8 +189,8 @@
       ctx.shadowColor = 'transparent';
 
       // Border
-      ctx.strokeStyle = opts.highlight ? '#ffd166' : col.dark;
-      ctx.lineWidth = opts.highlight ? 3.5 : 2;
+      ctx.strokeStyle = opts.conflict ? '#ef4444' : opts.highlight ? '#ffd166' : col.dark;
+      ctx.lineWidth = opts.conflict || opts.highlight ? 3.5 : 2;
       ctx.stroke();
 
       // Numbers
@@ -241,6 +241,29 @@
       this.drawTile(r, c, values, playerId, { alpha: 0.55, highlight: true, noShadow: true });
     }
 
+    /**
+     * Floating score label over a cell; `t` runs 0 → 1 while it rises and fades.
+     */
+    drawScorePop(r, c, text, t) {
+      const ctx = this.ctx;
+      const verts = this.getVertices(r, c);
+      const cx = (verts[0].x + verts[1].x + verts[2].x) / 3;
+      const cy = (verts[0].y + verts[1].y + verts[2].y) / 3;
+      const p = this.toScreen(cx, cy);
+
+      ctx.save();
+      ctx.globalAlpha = Math.max(0, 1 - t * t);
+      ctx.font = `bold ${Math.max(13, Math.round(18 * this.zoom))}px system-ui, sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.lineWidth = 4;
+      ctx.strokeStyle = 'rgba(0,0,0,0.8)';
+      ctx.strokeText(text, p.x, p.y - 40 * t);
+      ctx.fillStyle = '#ffd166';
+      ctx.fillText(text, p.x, p.y - 40 * t);
+      ctx.restore();
+    }
+
     /** Centre the view on a board-pixel coordinate. */
     centerOn(bx, by) {
       this.panX = -bx * this.zoom;
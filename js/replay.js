@@ -0,0 +1,99 @@
+/* ============================================================
+   replay.js – Rebuild board positions from the move log,
+               and a compact text notation for sharing games
+   ============================================================ */
+(function () {
+    'use strict';
+
+    const { Board } = window.Trikono;
+
+    const NOTATION_HEADER = 'TRK1';
+    const SEATS = 'abcd';
+    const TOKENS_PER_LINE = 8;
+
+    class Replay {
+        /**
+         * @param {object[]} history – `Game.history` entries
+         * @param {object[]} players – [{name}]
+         */
+        constructor(history, players) {
+            this.history = history;
+            this.players = players;
+            this._cache = new Map(); // move index -> Board (sparse, every 10 moves)
+        }
+
+        get length() {
+            return this.history.length;
+        }
+
+        moveAt(i) {
+            return this.history[i] || null;
+        }
+
+        /** Board after the first `n` moves. */
+        boardAt(n) {
+            n = Math.max(0, Math.min(n, this.length));
+            let start = n - (n % 10);
+            while (start > 0 && !this._cache.has(start)) start -= 10;
+            const board = start > 0 ? this._cache.get(start).clone() : new Board();
+            for (let i = start; i < n; i++) {
+                const h = this.history[i];
+                if (h.type === 'place') board.place(h.row, h.col, h.placed, h.tileId, h.player);
+                if ((i + 1) % 10 === 0 && !this._cache.has(i + 1)) this._cache.set(i + 1, board.clone());
+            }
+            return board;
+        }
+
+        /** Everyone's score after the first `n` moves. */
+        scoresAt(n) {
+            if (n <= 0) return this.players.map(() => 0);
+            return this.history[Math.min(n, this.length) - 1].scores.slice();
+        }
+    }
+
+    /* ---- text notation ----
+     *
+     *   TRK1 Alice|Bob
+     *   a345@0,0r0+12 b125@0,1r2+8 aD-5 aP-10 bS ...
+     *   =123,95
+     *
+     * One token per move, prefixed with the seat letter (a–d):
+     *   <tile values>@<row>,<col>r<rotation><score change>  placement
+     *   D<score change>  draw      P<score change>  pass      S  skipped turn
+     * The closing "=" line lists final scores (end-of-hand bonuses included).
+     */
+
+    function _delta(history, i, seat) {
+        const prev = i > 0 ? history[i - 1].scores[seat] : 0;
+        const d = history[i].scores[seat] - prev;
+        return d >= 0 ? '+' + d : String(d);
+    }
+
+    /** Encode a move log as compact text. */
+    function toNotation(history, players) {
+        const names = players.map(p => String(p.name).replace(/[|\s]+/g, '_'));
+        const tokens = history.map((h, i) => {
+            const seat = SEATS[h.player];
+            switch (h.type) {
+                case 'place': {
+                    // Score change before any end-of-hand bonus, which the "=" line carries
+                    return `${seat}${h.values.join('')}@${h.row},${h.col}r${h.rotation}+${h.score}`;
+                }
+                case 'draw': return `${seat}D${_delta(history, i, h.player)}`;
+                case 'pass': return `${seat}P${_delta(history, i, h.player)}`;
+                default: return `${seat}S`;
+            }
+        });
+
+        const lines = [`${NOTATION_HEADER} ${names.join('|')}`];
+        for (let i = 0; i < tokens.length; i += TOKENS_PER_LINE) {
+            lines.push(tokens.slice(i, i + TOKENS_PER_LINE).join(' '));
+        }
+        if (history.length) lines.push('=' + history[history.length - 1].scores.join(','));
+        return lines.join('\n');
+    }
+
+    Replay.toNotation = toNotation;
+
+    window.Trikono.Replay = Replay;
+})();
@@ -0,0 +1,234 @@
+/* ============================================================
+   servers.js – Which signaling (PeerJS), ICE and relay servers to use
+   ============================================================ */
+(function () {
+    'use strict';
+
+    const STORAGE_KEY = 'trikono_servers';
+    const CONFIG_FILE = 'trikono.config.json';
+
+    /* Default: STUN only (works on same network / open NATs) */
+    const DEFAULT_ICE = [
+        { urls: 'stun:stun.l.google.com:19302' },
+        { urls: 'stun:stun1.l.google.com:19302' },
+        { urls: 'stun:stun.services.mozilla.com' }
+    ];
+    const CLOUD_BROKER = 'the PeerJS cloud server (0.peerjs.com)';
+    // Where a TURN API key is exchanged for credentials, unless the config file names another
+    const DEFAULT_TURN_CREDENTIALS = 'https://trikono.metered.live/api/v1/turn/credentials';
+
+    /*
+     * Settings come from three places, later ones winning field by field:
+     *   trikono.config.json next to index.html  – for a whole site
+     *   the "Advanced" section on the home screen – per browser
+     *   ?peer=…&ice=…&relay=… in the URL          – per link; share links carry them
+     * Each is {peer, iceServers, relay}: `peer` is {host, port, path, secure}
+     * or null for the PeerJS cloud, `iceServers` an RTCIceServer list or null
+     * for the default STUN servers, `relay` a ws:// or wss:// URL or null.
+     * A relay replaces WebRTC altogether (see relay.js). The config file can
+     * also set `turnCredentialsUrl`, the endpoint that exchanges a TURN API
+     * key for credentials, alongside the key itself.
+     */
+
+    /** "https://signal.example.com:9000/trikono" → {host, port, path, secure}; '' → null. Throws on nonsense. */
+    function parsePeerServer(text) {
+        const t = String(text || '').trim();
+        if (!t) return null;
+        let url;
+        try {
+            url = new URL(/^[a-z]+:\/\//i.test(t) ? t : 'https://' + t);
+        } catch (e) {
+            throw new Error(`"${t}" is not a server address.`);
+        }
+        if (!/^(https?|wss?):$/.test(url.protocol)) throw new Error(`"${t}" must start with http:// or https://.`);
+        const secure = url.protocol === 'https:' || url.protocol === 'wss:';
+        return {
+            host: url.hostname,
+            port: parseInt(url.port) || (secure ? 443 : 80),
+            path: url.pathname.replace(/\/+$/, '') || '/',
+            secure,
+        };
+    }
+
+    function formatPeerServer(peer) {
+        if (!peer) return '';
+        const scheme = peer.secure ? 'https' : 'http';
+        const port = peer.port === (peer.secure ? 443 : 80) ? '' : ':' + peer.port;
+        return `${scheme}://${peer.host}${port}${peer.path === '/' ? '' : peer.path}`;
+    }
+
+    /**
+     * ICE servers, one per line (or comma-separated): the URL, then
+     * optionally a username and credential for TURN.
+     *   stun:stun.example.com:3478
+     *   turn:turn.example.com:3478 alice s3cret
+     * A JSON RTCIceServer array is accepted as well. '' → null. Throws on bad entries.
+     */
+    function parseIce(text) {
+        const t = String(text || '').trim();
+        if (!t) return null;
+        if (t.startsWith('[')) {
+            let list;
+            try {
+                list = JSON.parse(t);
+            } catch (e) {
+                throw new Error('ICE server list is not valid JSON.');
+            }
+            if (!Array.isArray(list) || !list.every(s => s && (typeof s.urls === 'string' || Array.isArray(s.urls))))
+                throw new Error('Every ICE server needs "urls".');
+            return list;
+        }
+        return t.split(/[\n,]+/).map(line => line.trim()).filter(Boolean).map(line => {
+            const [urls, username, credential] = line.split(/\s+/);
+            if (!/^(stun|stuns|turn|turns):/.test(urls)) throw new Error(`"${urls}" is not a stun: or turn: URL.`);
+            if (/^turns?:/.test(urls) && (!username || !credential))
+                throw new Error(`TURN server ${urls} needs a username and credential.`);
+            return username ? { urls, username, credential } : { urls };
+        });
+    }
+
+    function formatIce(list) {
+        if (!list) return '';
+        return list.map(s => [].concat(s.urls).map(u => [u, s.username, s.credential].filter(Boolean).join(' ')).join('\n')).join('\n');
+    }
+
+    /** "relay.example.com/relay" → "wss://relay.example.com/relay"; '' → null. Throws on nonsense. */
+    function parseRelay(text) {
+        const t = String(text || '').trim();
+        if (!t) return null;
+        let url;
+        try {
+            url = new URL(/^[a-z]+:\/\//i.test(t) ? t : 'wss://' + t);
+        } catch (e) {
+            throw new Error(`"${t}" is not a server address.`);
+        }
+        if (!/^(https?|wss?):$/.test(url.protocol)) throw new Error(`"${t}" must start with ws:// or wss://.`);
+        url.protocol = url.protocol === 'https:' || url.protocol === 'wss:' ? 'wss:' : 'ws:';
+        url.search = '';
+        url.hash = '';
+        return url.toString().replace(/\/$/, '');
+    }
+
+    /** The TURN credentials endpoint, checked; '' → null. Throws on nonsense. */
+    function parseTurnCredentialsUrl(text) {
+        const t = String(text || '').trim();
+        if (!t) return null;
+        let url;
+        try {
+            url = new URL(t);
+        } catch (e) {
+            throw new Error(`"${t}" is not a URL.`);
+        }
+        if (!/^https?:$/.test(url.protocol)) throw new Error(`"${t}" must start with http:// or https://.`);
+        return url.toString();
+    }
+
+    /** The request that fetches TURN credentials for `apiKey`, from the configured endpoint or the default. */
+    function turnCredentialsUrl(servers, apiKey) {
+        const url = new URL(servers.turnCredentialsUrl || DEFAULT_TURN_CREDENTIALS);
+        url.searchParams.set('apiKey', apiKey);
+        return url.toString();
+    }
+
+    /** A server for error messages: "signal.example.com:9000/trikono". */
+    function describePeer(peer) {
+        return peer ? `${peer.host}:${peer.port}${peer.path}` : CLOUD_BROKER;
+    }
+
+    function describeIce(list) {
+        return (list || DEFAULT_ICE).map(s => [].concat(s.urls).join(' ')).join(', ');
+    }
+
+    /* ---- sources ---- */
+
+    /** The site-wide config file, if the host serves one: {peer, iceServers, relay, turnApiKey, turnCredentialsUrl}. */
+    async function loadFile() {
+        try {
+            const resp = await fetch(CONFIG_FILE, { cache: 'no-cache' });
+            if (!resp.ok) return {};
+            const c = await resp.json();
+            return {
+                peer: c.peerServer ? parsePeerServer(c.peerServer) : undefined,
+                iceServers: c.iceServers ? parseIce(JSON.stringify(c.iceServers)) : undefined,
+                relay: c.relay ? parseRelay(c.relay) : undefined,
+                turnApiKey: typeof c.turnApiKey === 'string' ? c.turnApiKey : undefined,
+                turnCredentialsUrl: c.turnCredentialsUrl ? parseTurnCredentialsUrl(c.turnCredentialsUrl) : undefined,
+            };
+        } catch (e) {
+            console.warn(`[Trikono] Ignoring ${CONFIG_FILE}:`, e.message);
+            return {};
+        }
+    }
+
+    function loadSaved() {
+        try {
+            const s = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return s && typeof s === 'object' ? s : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /** Keep this browser's choice; fields left null fall back to the config file or defaults. */
+    function save({ peer, iceServers, relay }) {
+        const s = {};
+        if (peer) s.peer = peer;
+        if (iceServers) s.iceServers = iceServers;
+        if (relay) s.relay = relay;
+        if (Object.keys(s).length) localStorage.setItem(STORAGE_KEY, JSON.stringify(s));
+        else localStorage.removeItem(STORAGE_KEY);
+    }
+
+    /** ?peer=…&ice=…&relay=… from a share link. Bad values are reported and skipped. */
+    function fromQuery(search) {
+        const q = new URLSearchParams(search);
+        const out = {};
+        try {
+            if (q.has('peer')) out.peer = parsePeerServer(q.get('peer'));
+            if (q.has('ice')) out.iceServers = parseIce(q.get('ice'));
+            if (q.has('relay')) out.relay = parseRelay(q.get('relay'));
+        } catch (e) {
+            console.warn('[Trikono] Ignoring server settings in the link:', e.message);
+        }
+        return out;
+    }
+
+    /** Merge sources, later ones winning: {peer, iceServers, relay, turnCredentialsUrl}. */
+    function resolve(...sources) {
+        const out = { peer: null, iceServers: null, relay: null, turnCredentialsUrl: null };
+        for (const s of sources) {
+            for (const key of Object.keys(out)) {
+                if (s[key] !== undefined && s[key] !== null) out[key] = s[key];
+            }
+        }
+        return out;
+    }
+
+    /** Query parameters that make a share link use the same servers (none for the defaults). */
+    function toQuery({ peer, iceServers, relay }) {
+        const q = new URLSearchParams();
+        if (peer) q.set('peer', formatPeerServer(peer));
+        if (iceServers) q.set('ice', formatIce(iceServers).replace(/\n/g, ','));
+        if (relay) q.set('relay', relay);
+        return q;
+    }
+
+    window.Trikono.Servers = {
+        DEFAULT_ICE,
+        parsePeerServer,
+        formatPeerServer,
+        parseIce,
+        formatIce,
+        parseRelay,
+        parseTurnCredentialsUrl,
+        turnCredentialsUrl,
+        describePeer,
+        describeIce,
+        loadFile,
+        loadSaved,
+        save,
+        fromQuery,
+        resolve,
+        toQuery,
+    };
+})();
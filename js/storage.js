@@ -0,0 +1,319 @@
+/* ============================================================
+   storage.js – Save files: autosave, export / import, validation
+   ============================================================ */
+(function () {
+    'use strict';
+
+    const { Tiles, Clock } = window.Trikono;
+
+    const SAVE_FORMAT = 'trikono-save';
+    const SAVE_VERSION = 1;
+    const AUTOSAVE_KEY = 'trikono_autosave';
+
+    const PHASES = ['waiting', 'playing', 'finished'];
+    const BOT_LEVELS = ['easy', 'medium', 'hard'];
+
+    /**
+     * Build a save object.
+     * @param {object} opts
+     * @param {'local'|'host'} opts.mode
+     * @param {Game}   opts.game
+     * @param {Match}  [opts.match]
+     * @param {Clock}  [opts.clock]
+     * @param {object} [opts.daily] – daily deal only: {date, bots}
+     * @param {object} [opts.host] – online host only: {gameId, direct, tokens, botCount, myIndex}
+     *                                 (myIndex is -1 in server/authority.js rooms, where the host has no seat)
+     */
+    function createSave({ mode, game, match, clock, daily, host }) {
+        return {
+            format: SAVE_FORMAT,
+            version: SAVE_VERSION,
+            savedAt: new Date().toISOString(),
+            mode,
+            game: game.serializeFull(),
+            match: match ? match.serialize() : null,
+            clock: clock ? clock.serialize() : null,
+            daily: daily || null,
+            host: host || null,
+        };
+    }
+
+    /* ---- validation ---- */
+
+    const isInt = v => Number.isInteger(v);
+    const isObj = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+    // A seat number, or -1 for none (no winner yet, no seat of one's own)
+    const isSeat = (v, playerCount) => isInt(v) && v >= -1 && v < playerCount;
+
+    /** Canonical values per tile id, for checking tiles were not altered. */
+    let _canonical = null;
+    function canonical() {
+        if (!_canonical) _canonical = new Map(Tiles.generateAll().map(t => [t.id, t.values]));
+        return _canonical;
+    }
+
+    function sameMultiset(a, b) {
+        const x = [...a].sort(), y = [...b].sort();
+        return x[0] === y[0] && x[1] === y[1] && x[2] === y[2];
+    }
+
+    function checkTile(t, where, errors, seen) {
+        if (!isObj(t) || !isInt(t.id) || !canonical().has(t.id)) {
+            errors.push(`${where}: not a valid tile.`);
+            return;
+        }
+        const v = canonical().get(t.id);
+        if (!Array.isArray(t.values) || t.values.length !== 3 || !t.values.every((n, i) => n === v[i])) {
+            errors.push(`${where}: values do not match tile #${t.id}.`);
+        }
+        if (seen.has(t.id)) errors.push(`${where}: tile #${t.id} appears twice.`);
+        seen.add(t.id);
+    }
+
+    const MOVE_TYPES = ['place', 'draw', 'pass', 'skip'];
+
+    const isScores = (v, playerCount) => Array.isArray(v) && v.length === playerCount && v.every(isInt);
+
+    /** What `Game.undoLast` restores from: scores and draw count, and for a placement the hand position. */
+    function validUndoPoint(before, type, playerCount) {
+        return isObj(before) && isScores(before.scores, playerCount) &&
+            isInt(before.drawsThisTurn) && before.drawsThisTurn >= 0 &&
+            (type !== 'place' || (isInt(before.tileIdx) && before.tileIdx >= 0));
+    }
+
+    function validHistoryEntry(h, playerCount) {
+        if (!isObj(h) || !MOVE_TYPES.includes(h.type)) return false;
+        if (!isInt(h.player) || h.player < 0 || h.player >= playerCount) return false;
+        if (!isScores(h.scores, playerCount)) return false;
+        if (!validUndoPoint(h.before, h.type, playerCount)) return false;
+        if (h.type === 'place') {
+            const v = canonical().get(h.tileId);
+            return isInt(h.row) && isInt(h.col) && [0, 1, 2].includes(h.rotation) && v !== undefined &&
+                Array.isArray(h.values) && h.values.length === 3 && h.values.every((n, i) => n === v[i]) &&
+                Array.isArray(h.placed) && sameMultiset(h.placed, v);
+        }
+        if (h.type === 'draw') return canonical().has(h.tileId);
+        return true;
+    }
+
+    /**
+     * Check a serialised game (the `serializeFull` format).
+     * Returns a list of problems; empty when the state is safe to load.
+     */
+    function validateGame(g) {
+        const errors = [];
+        if (!isObj(g)) return ['Game state is missing.'];
+
+        const seen = new Set();
+
+        if (!isObj(g.board)) {
+            errors.push('Board is missing.');
+        } else {
+            for (const [key, cell] of Object.entries(g.board)) {
+                const where = `Board cell ${key}`;
+                if (!/^-?\d+,-?\d+$/.test(key)) { errors.push(`${where}: bad position.`); continue; }
+                if (!isObj(cell) || !Array.isArray(cell.values) || cell.values.length !== 3 ||
+                    !cell.values.every(n => isInt(n) && n >= 0 && n <= 5)) {
+                    errors.push(`${where}: bad corner values.`);
+                    continue;
+                }
+                if (!isInt(cell.tileId) || !canonical().has(cell.tileId)) {
+                    errors.push(`${where}: unknown tile.`);
+                    continue;
+                }
+                if (!sameMultiset(cell.values, canonical().get(cell.tileId))) {
+                    errors.push(`${where}: values do not match tile #${cell.tileId}.`);
+                }
+                if (!isInt(cell.playerId)) errors.push(`${where}: bad owner.`);
+                if (seen.has(cell.tileId)) errors.push(`${where}: tile #${cell.tileId} appears twice.`);
+                seen.add(cell.tileId);
+            }
+        }
+
+        if (!Array.isArray(g.players) || g.players.length < 1 || g.players.length > 4) {
+            errors.push('Players must be a list of 1–4 entries.');
+            return errors;
+        }
+        g.players.forEach((p, i) => {
+            const where = `Player ${i + 1}`;
+            if (!isObj(p)) { errors.push(`${where}: missing.`); return; }
+            if (typeof p.id !== 'string') errors.push(`${where}: bad id.`);
+            if (typeof p.name !== 'string' || p.name.length > 40) errors.push(`${where}: bad name.`);
+            if (typeof p.score !== 'number' || !Number.isFinite(p.score)) errors.push(`${where}: bad score.`);
+            if (p.bot != null && !BOT_LEVELS.includes(p.bot)) errors.push(`${where}: unknown bot level.`);
+            if (p.hints !== undefined && (!isInt(p.hints) || p.hints < 0)) errors.push(`${where}: bad hint count.`);
+            if (!Array.isArray(p.tiles)) errors.push(`${where}: hand is missing.`);
+            else p.tiles.forEach((t, j) => checkTile(t, `${where}, tile ${j + 1}`, errors, seen));
+        });
+
+        if (!Array.isArray(g.pool)) errors.push('Pool is missing.');
+        else g.pool.forEach((t, j) => checkTile(t, `Pool tile ${j + 1}`, errors, seen));
+
+        if (errors.length === 0 && seen.size !== canonical().size) {
+            errors.push(`Tiles are missing: found ${seen.size} of ${canonical().size}.`);
+        }
+
+        if (!isInt(g.currentPlayerIndex) || g.currentPlayerIndex < 0 || g.currentPlayerIndex >= g.players.length)
+            errors.push('Current player is out of range.');
+        if (!PHASES.includes(g.phase)) errors.push('Unknown game phase.');
+        if (!isInt(g.winner) || g.winner < -1 || g.winner >= g.players.length) errors.push('Winner is out of range.');
+        if (g.drawsThisTurn !== undefined && (!isInt(g.drawsThisTurn) || g.drawsThisTurn < 0))
+            errors.push('Bad draw count.');
+        if (g.history !== undefined) {
+            if (!Array.isArray(g.history)) errors.push('Move history must be a list.');
+            else {
+                const bad = g.history.findIndex(h => !validHistoryEntry(h, g.players.length));
+                if (bad !== -1) errors.push(`Move ${bad + 1} in the history is malformed.`);
+            }
+        }
+        if (g.seed !== undefined && !Tiles.isSeed(g.seed)) errors.push('Bad shuffle seed.');
+        if (g.rngState !== undefined && (!isInt(g.rngState) || g.rngState < 0 || g.rngState > 0xFFFFFFFF))
+            errors.push('Bad shuffle state.');
+        if (g.rules !== undefined) {
+            if (!isObj(g.rules)) errors.push('Rules must be an object.');
+            else {
+                for (const k of ['maxDraws', 'drawPenalty', 'passPenalty', 'handSize']) {
+                    if (g.rules[k] !== undefined && (!isInt(g.rules[k]) || g.rules[k] < 0))
+                        errors.push(`Rule "${k}" must be a whole number.`);
+                }
+                for (const k of ['cornerMatch', 'hints']) {
+                    if (g.rules[k] !== undefined && typeof g.rules[k] !== 'boolean')
+                        errors.push(`Rule "${k}" must be true or false.`);
+                }
+            }
+        }
+        return errors;
+    }
+
+    function validateMatch(m, playerCount) {
+        const errors = [];
+        if (!isObj(m)) return ['Match summary is malformed.'];
+        if (!isInt(m.targetScore) || m.targetScore < 1) errors.push('Match target score is invalid.');
+        if (!isInt(m.round) || m.round < 0) errors.push('Match round is invalid.');
+        if (!Array.isArray(m.rounds) || m.rounds.some(r => !isObj(r) || !Array.isArray(r.scores) ||
+            r.scores.length !== playerCount || !r.scores.every(Number.isFinite) || !isSeat(r.winner, playerCount) ||
+            // Saves from before hints were tallied per match have no counts
+            (r.hints !== undefined && (!Array.isArray(r.hints) || !r.hints.every(h => isInt(h) && h >= 0))))) {
+            errors.push('Match round history is invalid.');
+        }
+        if (!['playing', 'finished'].includes(m.phase)) errors.push('Unknown match phase.');
+        if (!isSeat(m.starter, playerCount)) errors.push('Match starter is invalid.');
+        if (!isSeat(m.winner, playerCount) || (m.phase === 'finished' && m.winner < 0)) {
+            errors.push('Match winner is invalid.');
+        }
+        return errors;
+    }
+
+    function validateClock(c, playerCount) {
+        if (!isObj(c) || !Clock.MODES.includes(c.mode) || !isInt(c.seconds) || c.seconds < 1 ||
+            !Array.isArray(c.remaining) || c.remaining.length !== playerCount ||
+            !c.remaining.every(ms => Number.isFinite(ms) && ms >= 0) || !isInt(c.current)) {
+            return ['Time control is invalid.'];
+        }
+        return [];
+    }
+
+    /** Check a whole save object. Returns a list of problems (empty = valid). */
+    function validateSave(data) {
+        if (!isObj(data) || data.format !== SAVE_FORMAT) return ['Not a Trikono save file.'];
+        if (!isInt(data.version) || data.version < 1) return ['Save file has no version.'];
+        if (data.version > SAVE_VERSION) return ['Save file is from a newer version of Trikono.'];
+        if (!['local', 'host'].includes(data.mode)) return ['Unknown game mode in save.'];
+
+        const errors = validateGame(data.game);
+        if (errors.length === 0 && data.match) {
+            errors.push(...validateMatch(data.match, data.game.players.length));
+        }
+        if (errors.length === 0 && data.clock) {
+            errors.push(...validateClock(data.clock, data.game.players.length));
+        }
+        if (data.daily) {
+            const d = data.daily;
+            if (!isObj(d) || typeof d.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(d.date) ||
+                !isInt(d.bots) || d.bots < 0 || d.bots >= data.game.players.length) {
+                errors.push('Daily deal details are invalid.');
+            }
+        }
+        if (data.mode === 'host' && errors.length === 0) {
+            const h = data.host;
+            const n = data.game.players.length;
+            if (!isObj(h) || !Array.isArray(h.tokens)) {
+                errors.push('Online host details are missing.');
+            } else if (!isSeat(h.myIndex, n)) {
+                errors.push('Host seat is invalid.');
+            } else if (!h.tokens.every(t => Array.isArray(t) && t.length === 2 &&
+                typeof t[0] === 'string' && isInt(t[1]) && t[1] >= 0 && t[1] < n)) {
+                errors.push('Reconnect tokens are invalid.');
+            }
+        }
+        return errors;
+    }
+
+    /* ---- local storage ---- */
+
+    function autosave(save) {
+        try {
+            localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(save));
+        } catch (e) {
+            console.warn('[Trikono] Autosave failed:', e.message);
+        }
+    }
+
+    /** The autosaved game if there is a valid one, else null. */
+    function loadAutosave() {
+        let data;
+        try {
+            data = JSON.parse(localStorage.getItem(AUTOSAVE_KEY));
+        } catch (e) {
+            return null;
+        }
+        if (!data) return null;
+        const errors = validateSave(data);
+        if (errors.length) {
+            console.warn('[Trikono] Ignoring invalid autosave:', errors);
+            return null;
+        }
+        return data;
+    }
+
+    function clearAutosave() {
+        localStorage.removeItem(AUTOSAVE_KEY);
+    }
+
+    /* ---- files ---- */
+
+    /** Offer the save as a JSON download. */
+    function exportFile(save) {
+        const blob = new Blob([JSON.stringify(save, null, 1)], { type: 'application/json' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = `trikono-${save.savedAt.slice(0, 19).replace(/[:T]/g, '-')}.json`;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    }
+
+    /** Read and validate a save file chosen by the user. Rejects with a readable message. */
+    async function importFile(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (e) {
+            throw new Error('File is not valid JSON.');
+        }
+        const errors = validateSave(data);
+        if (errors.length) throw new Error(errors.slice(0, 3).join(' '));
+        return data;
+    }
+
+    window.Trikono.Storage = {
+        SAVE_VERSION,
+        createSave,
+        validateGame,
+        validateSave,
+        autosave,
+        loadAutosave,
+        clearAutosave,
+        exportFile,
+        importFile,
+    };
+})();
@@ -42,11 +42,56 @@
     return [b, c, a]; // rotation === 2
   }
 
-  /** Fisher-Yates shuffle (returns new array). */
-  function shuffleArray(arr) {
+  /** Seeds are short and URL-safe so they can be typed, shared and put in links. */
+  const SEED_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+  function isSeed(seed) {
+    return typeof seed === 'string' && SEED_PATTERN.test(seed);
+  }
+
+  /** A fresh seed: 8 base-36 characters. */
+  function randomSeed() {
+    const c = globalThis.crypto;
+    const n = c && c.getRandomValues
+      ? c.getRandomValues(new Uint32Array(2))
+      : [Math.random() * 2 ** 32, Math.random() * 2 ** 32];
+    return Array.from(n, x => (x >>> 0).toString(36).padStart(7, '0').slice(-4)).join('');
+  }
+
+  /** Starting PRNG state for a seed string (32-bit FNV-1a). */
+  function hashSeed(seed) {
+    let h = 0x811C9DC5;
+    for (let i = 0; i < seed.length; i++) {
+      h ^= seed.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  /**
+   * Seeded stand-in for Math.random (mulberry32). The generator's position
+   * is `rng.state`, which can be saved and assigned back to resume it.
+   *
+   * @param {number} state – 32-bit starting state, e.g. from hashSeed
+   * @returns {function(): number} values in [0, 1)
+   */
+  function createRng(state) {
+    const rng = function () {
+      rng.state = (rng.state + 0x6D2B79F5) >>> 0;
+      let t = rng.state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    rng.state = state >>> 0;
+    return rng;
+  }
+
+  /** Fisher-Yates shuffle (returns new array). Pass `random` for a repeatable order. */
+  function shuffleArray(arr, random = Math.random) {
     const a = [...arr];
     for (let i = a.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(random() * (i + 1));
       [a[i], a[j]] = [a[j], a[i]];
     }
     return a;
@@ -66,6 +111,10 @@
     generateAll,
     getPlacedValues,
     shuffleArray,
+    isSeed,
+    randomSeed,
+    hashSeed,
+    createRng,
     tileSum,
     isTriple,
   };
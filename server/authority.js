@@ -0,0 +1,636 @@
+#!/usr/bin/env node
+/* ============================================================
+   authority.js – Headless authoritative host: the server deals,
+                  keeps every hand and runs the rules, so no
+                  player's browser sees more than its own tiles
+   ============================================================
+
+   Loads the same rule code as the game (js/game.js, board.js, tiles.js …)
+   and plays the host's side of the protocol for any number of rooms.
+   Every human joins as a player, through the relay transport:
+
+     node server/authority.js --port 8788 --path /play --data ./rooms
+
+   then set the game's "Relay server" to ws://<host>:8788/play and join
+   with a room's code. Rooms are opened, started and closed by typing
+   admin commands on the server's console (type `help`). Each room is
+   saved to <data>/<CODE>.json after every move, with the same
+   `serializeFull` save as the browser's, and picked up again on restart.
+
+   Wire format: the guest side of server/relay.js. Connect to
+   <path>?room=CODE&role=guest; the server answers {type:'joined', id} and
+   then carries protocol messages (js/protocol.js) as {type:'data', data}.
+*/
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const readline = require('readline');
+const ws = require('./ws');
+const { normalizePath } = require('./relay');
+const { loadRules } = require('./rules');
+
+// The rule modules the host needs, in index.html order
+const { Game, Match, Storage, AI, Protocol, Host } = loadRules(['config', 'tiles', 'board', 'game', 'match', 'clock', 'storage', 'ai', 'protocol', 'host']);
+
+const DEFAULTS = {
+    port: 8788,
+    host: '0.0.0.0',
+    path: '/',
+    data: null,             // directory rooms are saved in; null keeps them in memory only
+    maxGuests: 16,          // players and spectators in one room
+    aliveTimeout: 60000,    // ms of silence before a socket is dropped (clients ping every 20 s)
+    botDelay: 700,          // ms before a computer player moves
+    awayGrace: Host.AWAY_GRACE, // ms an absent player's turn waits before it is skipped
+    roundDelay: 10000,      // ms between the end of a hand and the next deal
+};
+
+const ROOM_FORMAT = 'trikono-room';
+
+/**
+ * Check and fill in a room's settings: {seats, bots, level, target}.
+ * Throws with a message fit for the admin console.
+ */
+function roomSettings({ seats = 4, bots = 0, level = 'medium', target = Match.DEFAULT_TARGET } = {}) {
+    seats = Number(seats);
+    bots = Number(bots);
+    target = Number(target);
+    if (!Number.isInteger(seats) || seats < 2 || seats > 4) throw new Error('A room has 2 to 4 seats.');
+    if (!Number.isInteger(bots) || bots < 0 || bots >= seats) throw new Error('Bots must leave at least one seat for a player.');
+    if (!AI.LEVELS[level]) throw new Error(`Bot level is one of ${Object.keys(AI.LEVELS).join(', ')}.`);
+    if (!Number.isInteger(target) || target < 1) throw new Error('The target score must be a whole number above 0.');
+    return { seats, bots, level, target };
+}
+
+/**
+ * One game on the server: the host's half of js/app.js without a seat of
+ * its own. Peers are the room's sockets; `onChange(room)` runs whenever
+ * there is something new to save.
+ */
+class Room {
+    constructor(code, settings, opts, onChange) {
+        this.code = code;
+        this.settings = roomSettings(settings);
+        this.opts = opts;
+        this.onChange = onChange;
+        this.created = new Date().toISOString();
+        this.game = new Game();
+        this.match = null;
+        this.peers = new Map();        // peerId -> socket
+        this.peerToPlayer = new Map(); // peerId -> seat
+        this.spectators = new Map();   // peerId -> name
+        this.seatTokens = new Map();   // token -> seat
+        this.awaySeats = new Set();
+        this.chatTimes = new Map();    // peerId -> [ms]
+        this.guard = new Protocol.Guard();
+        this.timer = null;             // the bot move, away skip or next deal due
+        for (let i = 1; i <= this.settings.bots; i++) {
+            this.game.addPlayer('bot-' + i, `Bot ${i}`, this.settings.level);
+        }
+    }
+
+    /* ---- saving ---- */
+
+    /** The room file. A lobby is saved without its players, who have to join again anyway. */
+    toJSON() {
+        const started = this.game.phase !== 'waiting';
+        return {
+            format: ROOM_FORMAT,
+            code: this.code,
+            settings: this.settings,
+            created: this.created,
+            save: started ? Storage.createSave({
+                mode: 'host',
+                game: this.game,
+                match: this.match,
+                host: { gameId: this.code, tokens: [...this.seatTokens], botCount: this.settings.bots, myIndex: -1 },
+            }) : null,
+        };
+    }
+
+    /** Rebuild a room from its file. Every player is away until they rejoin with their token. */
+    static fromJSON(data, opts, onChange) {
+        if (!data || data.format !== ROOM_FORMAT || typeof data.code !== 'string') {
+            throw new Error('Not a Trikono room file.');
+        }
+        const room = new Room(data.code, data.settings, opts, onChange);
+        room.created = data.created || room.created;
+        if (data.save) {
+            const errors = Storage.validateSave(data.save);
+            if (errors.length) throw new Error(errors[0]);
+            room.game.loadFull(data.save.game);
+            if (data.save.match) {
+                room.match = new Match(room.game, data.save.match.targetScore);
+                room.match.load(data.save.match);
+            }
+            room.seatTokens = new Map(data.save.host.tokens);
+            room.game.players.forEach((p, i) => {
+                if (!p.bot) room.awaySeats.add(i);
+            });
+        }
+        return room;
+    }
+
+    /* ---- connections ---- */
+
+    /** A guest's socket has joined the room; its messages arrive through `receive`. */
+    connect(peerId, socket) {
+        this.peers.set(peerId, socket);
+        socket.send(JSON.stringify({ type: 'joined', id: peerId }));
+    }
+
+    send(peerId, data) {
+        const socket = this.peers.get(peerId);
+        if (socket) socket.send(JSON.stringify({ type: 'data', data }));
+    }
+
+    broadcast(data) {
+        for (const peerId of this.peers.keys()) this.send(peerId, data);
+    }
+
+    /** Send a peer a last error and close its connection. */
+    kick(peerId, message, code) {
+        this.send(peerId, code ? { type: 'error', message, code } : { type: 'error', message });
+        setTimeout(() => {
+            const socket = this.peers.get(peerId);
+            if (socket) socket.close(4001, 'Disconnected by the host');
+        }, Host.KICK_DELAY);
+    }
+
+    /** Protocol messages from a player or spectator, as `_hostOnMessage` in js/app.js. */
+    receive(from, data) {
+        const verdict = this.guard.check(from, data);
+        if (!verdict.ok) {
+            if (verdict.kick) this.kick(from, verdict.error, verdict.code);
+            else this.send(from, { type: 'error', message: verdict.error });
+            return;
+        }
+        const pIdx = this.peerToPlayer.get(from);
+        switch (data.type) {
+            case 'join': {
+                // One join per connection
+                if (pIdx !== undefined || this.spectators.has(from)) return;
+                if (data.token && this.seatTokens.has(data.token)) {
+                    this._reclaimSeat(from, data.token);
+                    return;
+                }
+                // Full or already under way: watch instead
+                if (this.game.players.length >= this.settings.seats || this.game.phase !== 'waiting') {
+                    this._addSpectator(from, data.name || 'Spectator');
+                    return;
+                }
+                this.peerToPlayer.set(from, this.game.addPlayer(from, data.name || 'Player'));
+                this._broadcastLobby();
+                if (this.game.players.length === this.settings.seats) this.start();
+                break;
+            }
+            case 'place': {
+                if (pIdx === undefined) return;
+                const res = this.game.placeTile(pIdx, data.tileIndex, data.row, data.col, data.rotation);
+                if (!res.success) this.send(from, { type: 'error', message: res.error });
+                this._sync();
+                break;
+            }
+            case 'draw': {
+                if (pIdx === undefined) return;
+                this.game.drawTile(pIdx);
+                this._sync();
+                break;
+            }
+            case 'pass': {
+                if (pIdx === undefined) return;
+                this.game.passTurn(pIdx);
+                this._sync();
+                break;
+            }
+            case 'hint': {
+                if (pIdx === undefined) return;
+                if (this.game.useHint(pIdx).success) this._sync();
+                break;
+            }
+            case 'chat': {
+                this._relayChat(from, data);
+                break;
+            }
+            case 'undo-request': {
+                if (pIdx === undefined) return;
+                this.send(from, { type: 'error', message: 'Take-backs are not available on this server.' });
+                break;
+            }
+            // Fair-deal shares are not asked for: the server is the only one who sees the deal
+        }
+    }
+
+    /** A guest's socket has closed. */
+    leave(peerId) {
+        if (!this.peers.delete(peerId)) return;
+        this.guard.forget(peerId);
+        this.chatTimes.delete(peerId);
+        if (this.spectators.delete(peerId)) {
+            if (this.game.phase === 'waiting') this._broadcastLobby();
+            return;
+        }
+        const idx = this.peerToPlayer.get(peerId);
+        if (idx === undefined) return;
+        if (this.game.phase === 'waiting') {
+            // Nobody is left to remove a lobby seat by hand, so it goes with its player
+            this.game.removePlayer(peerId);
+            this.peerToPlayer.delete(peerId);
+            for (const id of this.peerToPlayer.keys()) {
+                this.peerToPlayer.set(id, this.game.players.findIndex(p => p.id === id));
+            }
+            this._broadcastLobby();
+            return;
+        }
+        // Hold the seat for a reconnect
+        this.awaySeats.add(idx);
+        this._sync();
+    }
+
+    /** Deal the first hand, before every seat is taken if need be. Returns an error message, or null. */
+    start() {
+        if (this.game.phase !== 'waiting') return `Game ${this.code} has already started.`;
+        if (this.game.players.length < 2) return `Game ${this.code} needs at least two players to start.`;
+        this.match = new Match(this.game, this.settings.target);
+        this._issueSeatTokens();
+        this.match.startRound();
+        this._sync();
+        return null;
+    }
+
+    /** Tell everyone the game is over and close their connections. */
+    close(message) {
+        clearTimeout(this.timer);
+        this.timer = null;
+        for (const [peerId, socket] of this.peers) {
+            this.send(peerId, { type: 'error', message });
+            socket.close(4002, 'Game closed');
+        }
+        this.peers.clear();
+    }
+
+    /* ---- seats ---- */
+
+    _reclaimSeat(peerId, token) {
+        Host.reclaimSeat(this, peerId, token);
+        this.send(peerId, { type: 'welcome', token, gameId: this.code });
+        this._sync();
+    }
+
+    /** Hand each player a token they can use to reclaim the seat later. */
+    _issueSeatTokens() {
+        for (const [peerId, token] of Host.issueSeatTokens(this)) {
+            this.send(peerId, { type: 'welcome', token, gameId: this.code });
+        }
+    }
+
+    _addSpectator(peerId, name) {
+        this.spectators.set(peerId, String(name).slice(0, Protocol.NAME_MAX));
+        this.send(peerId, { type: 'spectate', delay: 0 });
+        if (this.game.phase === 'waiting') this._broadcastLobby();
+        else this.send(peerId, { type: 'state', state: this._withTableInfo(this.game.serializeForSpectator()) });
+    }
+
+    /* ---- state ---- */
+
+    /** After any game action: close the round if it ended, push state, plan what comes next and save. */
+    _sync() {
+        if (this.match) this.match.recordRound();
+        this._broadcastState();
+        this._schedule();
+        this.onChange(this);
+    }
+
+    _broadcastLobby() {
+        this.broadcast(Host.lobbyMessage(this, Protocol.VERSION));
+    }
+
+    _broadcastState() {
+        for (const [peerId, pIdx] of this.peerToPlayer) {
+            this.send(peerId, { type: 'state', state: this._withTableInfo(this.game.serializeForPlayer(pIdx)) });
+        }
+        if (!this.spectators.size) return;
+        const state = this._withTableInfo(this.game.serializeForSpectator());
+        for (const peerId of this.spectators.keys()) this.send(peerId, { type: 'state', state });
+    }
+
+    _withTableInfo(state) {
+        return Host.withTableInfo(this, state);
+    }
+
+    /** Whether any human is at the table. An empty room waits rather than playing on by itself. */
+    _occupied() {
+        return this.game.players.some((p, i) => !p.bot && !this.awaySeats.has(i));
+    }
+
+    /** Queue the next thing the host does by itself: a bot's move, an away player's skip, or the next deal. */
+    _schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        const game = this.game;
+        if (!this.match || !this._occupied()) return;
+        if (game.phase === 'finished') {
+            if (this.match.phase === 'finished') return;
+            this.timer = setTimeout(() => {
+                this.match.startRound();
+                this._sync();
+            }, this.opts.roundDelay);
+            return;
+        }
+        const idx = game.currentPlayerIndex;
+        if (game.players[idx].bot) {
+            this.timer = setTimeout(() => this._runBotTurn(), this.opts.botDelay);
+        } else if (this.awaySeats.has(idx)) {
+            this.timer = setTimeout(() => {
+                if (game.skipTurn(idx).success) this._sync();
+            }, this.opts.awayGrace);
+        }
+    }
+
+    _runBotTurn() {
+        const game = this.game;
+        const pIdx = game.currentPlayerIndex;
+        const move = AI.chooseMove(game, pIdx, game.players[pIdx].bot);
+        let res;
+        if (move.type === 'place') {
+            res = game.placeTile(pIdx, move.tileIdx, move.row, move.col, move.rotation);
+        } else if (move.type === 'draw') {
+            res = game.drawTile(pIdx);
+        } else {
+            res = game.passTurn(pIdx);
+        }
+        if (!res.success) {
+            console.warn(`[Trikono] ${this.code}: bot move rejected:`, res.error);
+            return;
+        }
+        this._sync();
+    }
+
+    /* ---- chat ---- */
+
+    /** Check a chat message, stamp the sender's name on it and pass it to everyone. */
+    _relayChat(peerId, data) {
+        const res = Host.relayChat(this, peerId, data);
+        if (!res) return;
+        if (res.error) this.send(peerId, { type: 'error', message: res.error });
+        else this.broadcast(res.message);
+    }
+
+    /* ---- admin ---- */
+
+    /** One line for `list`. */
+    summary() {
+        const g = this.game;
+        const state = g.phase === 'waiting' ? 'lobby'
+            : this.match.phase === 'finished' ? 'finished'
+                : `round ${this.match.round}${g.phase === 'finished' ? ' (over)' : ''}`;
+        const here = g.players.filter((p, i) => !p.bot && !this.awaySeats.has(i)).length;
+        return `${this.code}  ${state}  ${g.players.length}/${this.settings.seats} seats, ` +
+            `${here} player(s) connected, ${this.spectators.size} watching`;
+    }
+
+    /** Several lines for `inspect`: the table as the players see it, hands as counts only. */
+    describe() {
+        const g = this.game;
+        const s = this.settings;
+        const lines = [
+            this.summary(),
+            `  created ${this.created}; ${s.bots} bot(s) at ${s.level}; playing to ${s.target}`,
+        ];
+        const totals = this.match ? this.match.totals() : [];
+        g.players.forEach((p, i) => {
+            const status = p.bot ? `bot (${p.bot})` : this.awaySeats.has(i) ? 'away' : 'connected';
+            const turn = g.phase === 'playing' && i === g.currentPlayerIndex ? '  <- to play' : '';
+            lines.push(`  ${i + 1}. ${p.name} – ${status}, ${p.tiles.length} tile(s), ` +
+                `hand ${p.score}, total ${totals[i] || 0}${turn}`);
+        });
+        if (g.phase !== 'waiting') lines.push(`  pool ${g.pool.length}, board ${g.board.cells.size} tile(s)`);
+        if (this.spectators.size) lines.push(`  watching: ${[...this.spectators.values()].join(', ')}`);
+        return lines.join('\n');
+    }
+}
+
+const HELP = [
+    'create [seats] [bots] [level] [target]   open a room (defaults: 4 seats, no bots, medium, 400)',
+    'list                                     every room',
+    'inspect CODE                             one room in detail',
+    'start CODE                               deal before every seat is taken',
+    'close CODE                               end a room and delete its save',
+].join('\n');
+
+/**
+ * Build (but do not start) an authoritative server. Saved rooms in
+ * `options.data` are loaded straight away. Returns {server, rooms,
+ * createRoom, closeRoom, command(line) → text, listen(port?, host?) → Promise<port>,
+ * close() → Promise}.
+ */
+function createAuthorityServer(options = {}) {
+    const opts = { ...DEFAULTS, ...options, path: normalizePath(options.path || DEFAULTS.path) };
+    const rooms = new Map(); // code -> Room
+    const sockets = new Set();
+
+    const refuse = (socket, code, message) => {
+        socket.send(JSON.stringify({ type: 'error', code, message }));
+        socket.close(4000, code);
+    };
+
+    /* ---- saving ---- */
+
+    const roomFile = code => path.join(opts.data, code + '.json');
+
+    function save(room) {
+        if (!opts.data || rooms.get(room.code) !== room) return;
+        // Write beside the old file and swap, so a crash never leaves half a save
+        const file = roomFile(room.code);
+        try {
+            fs.writeFileSync(file + '.tmp', JSON.stringify(room));
+            fs.renameSync(file + '.tmp', file);
+        } catch (e) {
+            // A full disk or a vanished directory must not take every room down with it
+            console.warn(`[Trikono] Could not save room ${room.code}:`, e.message);
+        }
+    }
+
+    function loadRooms() {
+        if (!opts.data) return;
+        fs.mkdirSync(opts.data, { recursive: true });
+        for (const name of fs.readdirSync(opts.data)) {
+            if (!name.endsWith('.json')) continue;
+            try {
+                const room = Room.fromJSON(JSON.parse(fs.readFileSync(path.join(opts.data, name), 'utf8')), opts, save);
+                rooms.set(room.code, room);
+            } catch (e) {
+                console.warn(`[Trikono] Skipping saved room ${name}:`, e.message);
+            }
+        }
+    }
+
+    /* ---- rooms ---- */
+
+    function createRoom(settings) {
+        let code;
+        do {
+            code = Host.newGameId();
+        } while (rooms.has(code));
+        const room = new Room(code, settings, opts, save);
+        rooms.set(code, room);
+        save(room);
+        return room;
+    }
+
+    function closeRoom(code) {
+        const room = rooms.get(code);
+        if (!room) return false;
+        rooms.delete(code);
+        room.close('The server has closed this game.');
+        if (opts.data) fs.rmSync(roomFile(code), { force: true });
+        return true;
+    }
+
+    /** Run one admin command line and return what to print. */
+    function command(line) {
+        const [name = '', ...args] = line.trim().split(/\s+/);
+        const code = String(args[0] || '').toUpperCase();
+        const room = rooms.get(code);
+        const noRoom = `No room ${code || '(none given)'}.`;
+        switch (name.toLowerCase()) {
+            case 'create': {
+                let created;
+                try {
+                    const [seats, bots, level, target] = args;
+                    created = createRoom({ seats, bots, level, target });
+                } catch (e) {
+                    return e.message;
+                }
+                return `Opened room ${created.code}.`;
+            }
+            case 'list':
+                return rooms.size ? [...rooms.values()].map(r => r.summary()).join('\n') : 'No rooms.';
+            case 'inspect':
+                return room ? room.describe() : noRoom;
+            case 'start':
+                return room ? room.start() || `Started room ${code}.` : noRoom;
+            case 'close':
+                return closeRoom(code) ? `Closed room ${code}.` : noRoom;
+            case '':
+            case 'help':
+                return HELP;
+            default:
+                return `Unknown command "${name}".\n${HELP}`;
+        }
+    }
+
+    /* ---- sockets ---- */
+
+    const server = http.createServer((req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        const url = new URL(req.url, 'http://localhost');
+        if (req.method === 'GET' && url.pathname === opts.path) {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ name: 'Trikono authority', rooms: rooms.size }));
+        } else {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+        }
+    });
+
+    server.on('upgrade', (req, raw, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== opts.path) {
+            raw.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+            return;
+        }
+        const socket = ws.accept(req, raw, head);
+        if (!socket) return;
+        socket.lastSeen = Date.now();
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+
+        const code = String(url.searchParams.get('room') || '').toUpperCase();
+        const role = url.searchParams.get('role');
+        const room = rooms.get(code);
+        if (role !== 'guest') {
+            // There is no hosting here: the server is the host of every room
+            refuse(socket, 'bad-request', 'This server hosts its own games – join one with ?room=<code>&role=guest.');
+        } else if (!room) {
+            refuse(socket, 'room-not-found', `No game ${code} on this server.`);
+        } else if (room.peers.size >= opts.maxGuests) {
+            refuse(socket, 'room-full', `Game ${code} has no room for more players.`);
+        } else {
+            const id = 'relay-' + crypto.randomBytes(6).toString('hex');
+            room.connect(id, socket);
+            socket.on('message', text => {
+                socket.lastSeen = Date.now();
+                let message;
+                try {
+                    message = JSON.parse(text);
+                } catch (e) {
+                    return;
+                }
+                if (message && message.type === 'data') room.receive(id, message.data);
+            });
+            socket.on('close', () => room.leave(id));
+        }
+    });
+
+    // Drop sockets that have gone quiet (a sleeping laptop, a dead NAT mapping)
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const socket of sockets) {
+            if (now - socket.lastSeen > opts.aliveTimeout) socket.close(1001, 'Timed out');
+        }
+    }, Math.min(10000, opts.aliveTimeout));
+    sweep.unref();
+
+    loadRooms();
+
+    return {
+        server,
+        rooms,
+        createRoom,
+        closeRoom,
+        command,
+        listen(port = opts.port, host = opts.host) {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => resolve(server.address().port));
+            });
+        },
+        /** Stop serving. Rooms stay saved, to carry on when the server is started again. */
+        close() {
+            clearInterval(sweep);
+            for (const room of rooms.values()) room.close('The server is shutting down – rejoin when it is back.');
+            rooms.clear();
+            for (const socket of sockets) socket.close(1001, 'Server shutting down');
+            return new Promise(resolve => server.close(() => resolve()));
+        },
+    };
+}
+
+if (require.main === module) {
+    const { parseArgs } = require('./signaling');
+    const args = parseArgs(process.argv.slice(2));
+    const port = parseInt(args.port || process.env.PORT) || DEFAULTS.port;
+    const data = args.data || 'trikono-rooms';
+    const authority = createAuthorityServer({ path: args.path, data });
+    authority.listen(port, args.host || DEFAULTS.host).then(p => {
+        const path = normalizePath(args.path);
+        console.log(`[Trikono] Authoritative server on port ${p}, path ${path}; rooms saved in ${data}`);
+        console.log(`[Trikono] Set the game's relay server to ws://<this host>:${p}${path === '/' ? '' : path}`);
+        console.log(authority.command('list'));
+        const admin = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: '> ' });
+        admin.prompt();
+        admin.on('line', line => {
+            console.log(authority.command(line));
+            admin.prompt();
+        });
+    }, err => {
+        console.error('[Trikono] Could not start the authoritative server:', err.message);
+        process.exit(1);
+    });
+    process.on('SIGINT', () => authority.close().then(() => process.exit(0)));
+}
+
+module.exports = { createAuthorityServer, roomSettings };
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+/* ============================================================
+   relay.js – WebSocket relay: game traffic through a server,
+              for networks that block WebRTC
+   ============================================================
+
+   One room per game, keyed by its 6-character code. The host opens the
+   room, players join it, and the relay passes messages between the host
+   and each player. It never reads the game messages themselves.
+
+     node server/relay.js --port 8787 --path /relay
+
+   and set the game's "Relay server" to ws://<host>:8787/relay
+   (wss:// behind a TLS proxy).
+
+   Wire format, JSON text frames. Connect to <path>?room=CODE&role=host|guest.
+     relay → host    {type:'hosted', room}
+                     {type:'join', peer}  {type:'data', from, data}  {type:'leave', peer}
+     host → relay    {type:'data', to, data}  {type:'kick', peer}  {type:'ping'}
+     relay → guest   {type:'joined', id}  {type:'data', data}
+     guest → relay   {type:'data', data}  {type:'ping'}
+     relay → either  {type:'error', code, message}, then the socket closes;
+                     code is 'room-taken', 'room-not-found', 'room-full' or 'bad-request'
+   When the host leaves, the room closes and so do its players' sockets.
+*/
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const ws = require('./ws');
+
+const DEFAULTS = {
+    port: 8787,
+    host: '0.0.0.0',
+    path: '/',
+    maxGuests: 16,          // players and spectators in one room
+    aliveTimeout: 60000,    // ms of silence before a socket is dropped (clients ping every 20 s)
+};
+
+const ROOM_CODE = /^[A-Z0-9]{6}$/;
+
+function normalizePath(path) {
+    let p = String(path || '/');
+    if (!p.startsWith('/')) p = '/' + p;
+    return p.length > 1 ? p.replace(/\/+$/, '') : p;
+}
+
+/**
+ * Build (but do not start) a relay server. Returns
+ * {server, rooms, listen(port?, host?) → Promise<port>, close() → Promise}.
+ */
+function createRelayServer(options = {}) {
+    const opts = { ...DEFAULTS, ...options, path: normalizePath(options.path || DEFAULTS.path) };
+    const rooms = new Map(); // code -> {host: Socket, guests: Map<id, Socket>}
+    const sockets = new Set();
+
+    const send = (socket, message) => socket.send(JSON.stringify(message));
+    const refuse = (socket, code, message) => {
+        send(socket, { type: 'error', code, message });
+        socket.close(4000, code);
+    };
+
+    const server = http.createServer((req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        const url = new URL(req.url, 'http://localhost');
+        if (req.method === 'GET' && url.pathname === opts.path) {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ name: 'Trikono relay', rooms: rooms.size }));
+        } else {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+        }
+    });
+
+    server.on('upgrade', (req, raw, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== opts.path) {
+            raw.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+            return;
+        }
+        const socket = ws.accept(req, raw, head);
+        if (!socket) return;
+        socket.lastSeen = Date.now();
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+
+        const code = String(url.searchParams.get('room') || '').toUpperCase();
+        const role = url.searchParams.get('role');
+        if (!ROOM_CODE.test(code) || (role !== 'host' && role !== 'guest')) {
+            refuse(socket, 'bad-request', 'Connect with ?room=<6-character code>&role=host or guest.');
+        } else if (role === 'host') {
+            openRoom(socket, code);
+        } else {
+            joinRoom(socket, code);
+        }
+    });
+
+    /** Read one client message; anything that is not an object is ignored. */
+    function parse(socket, text) {
+        socket.lastSeen = Date.now();
+        try {
+            const message = JSON.parse(text);
+            return message && typeof message === 'object' ? message : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function openRoom(socket, code) {
+        if (rooms.has(code)) {
+            refuse(socket, 'room-taken', `Game ${code} is already hosted here.`);
+            return;
+        }
+        const room = { host: socket, guests: new Map() };
+        rooms.set(code, room);
+        send(socket, { type: 'hosted', room: code });
+
+        socket.on('message', text => {
+            const message = parse(socket, text);
+            if (!message) return;
+            if (message.type === 'data') {
+                const guest = room.guests.get(message.to);
+                if (guest) send(guest, { type: 'data', data: message.data });
+            } else if (message.type === 'kick') {
+                const guest = room.guests.get(message.peer);
+                if (guest) guest.close(4001, 'Disconnected by the host');
+            }
+        });
+        socket.on('close', () => {
+            if (rooms.get(code) !== room) return;
+            rooms.delete(code);
+            for (const guest of room.guests.values()) guest.close(4002, 'Host left');
+        });
+    }
+
+    function joinRoom(socket, code) {
+        const room = rooms.get(code);
+        if (!room) {
+            refuse(socket, 'room-not-found', `No game ${code} on this relay.`);
+            return;
+        }
+        if (room.guests.size >= opts.maxGuests) {
+            refuse(socket, 'room-full', `Game ${code} has no room for more players.`);
+            return;
+        }
+        const id = 'relay-' + crypto.randomBytes(6).toString('hex');
+        room.guests.set(id, socket);
+        send(socket, { type: 'joined', id });
+        send(room.host, { type: 'join', peer: id });
+
+        socket.on('message', text => {
+            const message = parse(socket, text);
+            if (message && message.type === 'data') send(room.host, { type: 'data', from: id, data: message.data });
+        });
+        socket.on('close', () => {
+            if (room.guests.delete(id)) send(room.host, { type: 'leave', peer: id });
+        });
+    }
+
+    // Drop sockets that have gone quiet (a sleeping laptop, a dead NAT mapping)
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const socket of sockets) {
+            if (now - socket.lastSeen > opts.aliveTimeout) socket.close(1001, 'Timed out');
+        }
+    }, Math.min(10000, opts.aliveTimeout));
+    sweep.unref();
+
+    return {
+        server,
+        rooms,
+        listen(port = opts.port, host = opts.host) {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => resolve(server.address().port));
+            });
+        },
+        close() {
+            clearInterval(sweep);
+            for (const socket of sockets) socket.close(1001, 'Server shutting down');
+            rooms.clear();
+            return new Promise(resolve => server.close(() => resolve()));
+        },
+    };
+}
+
+if (require.main === module) {
+    const { parseArgs } = require('./signaling');
+    const args = parseArgs(process.argv.slice(2));
+    const port = parseInt(args.port || process.env.PORT) || DEFAULTS.port;
+    const relay = createRelayServer({ path: args.path });
+    relay.listen(port, args.host || DEFAULTS.host).then(p => {
+        const path = normalizePath(args.path);
+        console.log(`[Trikono] Relay server on port ${p}, path ${path}`);
+        console.log(`[Trikono] Set the game's relay server to ws://<this host>:${p}${path === '/' ? '' : path}`);
+    }, err => {
+        console.error('[Trikono] Could not start the relay server:', err.message);
+        process.exit(1);
+    });
+    process.on('SIGINT', () => relay.close().then(() => process.exit(0)));
+}
+
+module.exports = { createRelayServer, normalizePath };
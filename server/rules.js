@@ -0,0 +1,36 @@
+/* ============================================================
+   rules.js – Load the browser's rule modules into Node
+   ============================================================
+
+   The modules in js/ are plain browser scripts that add themselves to
+   `window.Trikono`. Used by server/authority.js and the tests.
+*/
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+/**
+ * Run the given modules (names in js/, in index.html order) against a
+ * fresh `window` and return its `Trikono` namespace. The code runs in this
+ * realm (not a separate vm context) so its arrays and objects compare
+ * with assert.deepStrictEqual.
+ */
+function loadRules(modules) {
+    const saved = global.window;
+    global.window = {};
+    try {
+        for (const name of modules) {
+            const file = path.join(JS_DIR, name + '.js');
+            vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+        }
+        return global.window.Trikono;
+    } finally {
+        global.window = saved;
+    }
+}
+
+module.exports = { loadRules };
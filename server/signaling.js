@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+/* ============================================================
+   signaling.js – Self-hosted PeerJS-compatible signaling server
+   ============================================================
+
+   Only brokers the WebRTC handshake (offers, answers, ICE candidates);
+   game traffic still flows peer to peer. No dependencies:
+
+     node server/signaling.js --port 9000 --path /trikono
+
+   and set the game's "Signaling server" to http://<host>:9000/trikono
+   (https:// when it runs behind a TLS proxy).
+*/
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const ws = require('./ws');
+
+const DEFAULTS = {
+    port: 9000,
+    host: '0.0.0.0',
+    path: '/',
+    key: 'peerjs',          // PeerJS API key; the game uses the default
+    expireTimeout: 5000,    // ms a message waits for a peer that is not connected yet
+    aliveTimeout: 60000,    // ms of silence before a client is dropped (PeerJS pings every 5 s)
+};
+
+// Messages relayed from one peer to another
+const RELAYED = new Set(['OFFER', 'ANSWER', 'CANDIDATE', 'LEAVE', 'EXPIRE']);
+
+function normalizePath(path) {
+    let p = String(path || '/');
+    if (!p.startsWith('/')) p = '/' + p;
+    if (!p.endsWith('/')) p += '/';
+    return p;
+}
+
+/**
+ * Build (but do not start) a signaling server. Returns
+ * {server, clients, listen(port?, host?) → Promise<port>, close() → Promise}.
+ */
+function createSignalingServer(options = {}) {
+    const opts = { ...DEFAULTS, ...options, path: normalizePath(options.path || DEFAULTS.path) };
+    const clients = new Map(); // peer id -> {token, socket, lastSeen}
+    const queued = [];         // {message, at} for peers not connected yet
+
+    const send = (socket, message) => socket.send(JSON.stringify(message));
+
+    const server = http.createServer((req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+        if (req.method === 'OPTIONS') { res.writeHead(204); res.end(); return; }
+
+        const url = new URL(req.url, 'http://localhost');
+        if (req.method === 'GET' && url.pathname === `${opts.path}${opts.key}/id`) {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end(crypto.randomUUID());
+        } else if (req.method === 'GET' && url.pathname === opts.path) {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ name: 'Trikono signaling server', peers: clients.size }));
+        } else {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+        }
+    });
+
+    server.on('upgrade', (req, raw, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== `${opts.path}peerjs`) {
+            raw.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+            return;
+        }
+        const socket = ws.accept(req, raw, head);
+        if (!socket) return;
+
+        const id = url.searchParams.get('id');
+        const token = url.searchParams.get('token');
+        if (url.searchParams.get('key') !== opts.key) {
+            send(socket, { type: 'INVALID-KEY', payload: { msg: 'Invalid key provided' } });
+            socket.close();
+            return;
+        }
+        if (!id || !token || id.length > 64) {
+            send(socket, { type: 'ERROR', payload: { msg: 'No id, token, or key supplied to websocket server' } });
+            socket.close();
+            return;
+        }
+        const existing = clients.get(id);
+        if (existing && existing.token !== token) {
+            send(socket, { type: 'ID-TAKEN', payload: { msg: 'ID is taken' } });
+            socket.close();
+            return;
+        }
+        if (existing) existing.socket.close(); // the same peer reconnecting
+
+        const client = { token, socket, lastSeen: Date.now() };
+        clients.set(id, client);
+        send(socket, { type: 'OPEN' });
+        // Deliver what arrived for this peer before it connected
+        for (let i = 0; i < queued.length; i++) {
+            if (queued[i].message.dst === id) {
+                send(socket, queued[i].message);
+                queued.splice(i--, 1);
+            }
+        }
+
+        socket.on('message', text => {
+            client.lastSeen = Date.now();
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (e) {
+                return;
+            }
+            if (!message || !RELAYED.has(message.type)) return; // HEARTBEAT and anything unknown
+            const out = { type: message.type, src: id, dst: message.dst, payload: message.payload };
+            const target = clients.get(out.dst);
+            if (target) send(target.socket, out);
+            else if (out.type !== 'LEAVE' && out.type !== 'EXPIRE' && typeof out.dst === 'string') {
+                queued.push({ message: out, at: Date.now() });
+            }
+        });
+        socket.on('close', () => {
+            if (clients.get(id) === client) clients.delete(id);
+        });
+    });
+
+    // Expire undeliverable messages and silent clients
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (let i = 0; i < queued.length; i++) {
+            const { message, at } = queued[i];
+            if (now - at < opts.expireTimeout) continue;
+            queued.splice(i--, 1);
+            const sender = clients.get(message.src);
+            if (sender) send(sender.socket, { type: 'EXPIRE', src: message.dst, dst: message.src });
+        }
+        for (const [id, c] of clients) {
+            if (now - c.lastSeen > opts.aliveTimeout) {
+                clients.delete(id);
+                c.socket.close(1001, 'Timed out');
+            }
+        }
+    }, Math.min(1000, opts.expireTimeout));
+    sweep.unref();
+
+    return {
+        server,
+        clients,
+        listen(port = opts.port, host = opts.host) {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => resolve(server.address().port));
+            });
+        },
+        close() {
+            clearInterval(sweep);
+            for (const c of clients.values()) c.socket.close(1001, 'Server shutting down');
+            clients.clear();
+            return new Promise(resolve => server.close(() => resolve()));
+        },
+    };
+}
+
+/** --name value pairs from the command line. */
+function parseArgs(argv) {
+    const out = {};
+    for (let i = 0; i < argv.length; i++) {
+        const m = /^--([a-z-]+)$/.exec(argv[i]);
+        if (m && argv[i + 1] !== undefined) out[m[1]] = argv[++i];
+    }
+    return out;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const port = parseInt(args.port || process.env.PORT) || DEFAULTS.port;
+    const signaling = createSignalingServer({ path: args.path, key: args.key });
+    signaling.listen(port, args.host || DEFAULTS.host).then(p => {
+        const path = normalizePath(args.path);
+        console.log(`[Trikono] Signaling server on port ${p}, path ${path}`);
+        console.log(`[Trikono] Set the game's signaling server to http://<this host>:${p}${path.replace(/\/$/, '')}`);
+    }, err => {
+        console.error('[Trikono] Could not start the signaling server:', err.message);
+        process.exit(1);
+    });
+    process.on('SIGINT', () => signaling.close().then(() => process.exit(0)));
+}
+
+module.exports = { createSignalingServer, parseArgs, normalizePath };
@@ -0,0 +1,194 @@
+/* ============================================================
+   ws.js – Minimal WebSocket (RFC 6455) for the bundled servers:
+           text messages, ping/pong and close, no extensions
+   ============================================================ */
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const { EventEmitter } = require('events');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 1 << 20; // bytes in one message; larger ones close the connection
+
+const OP = { CONT: 0x0, TEXT: 0x1, BINARY: 0x2, CLOSE: 0x8, PING: 0x9, PONG: 0xA };
+
+/** One frame; clients must mask what they send, servers must not. */
+function encodeFrame(opcode, payload, mask) {
+    const len = payload.length;
+    const head = len < 126 ? 2 : len < 65536 ? 4 : 10;
+    const frame = Buffer.alloc(head + (mask ? 4 : 0) + len);
+    frame[0] = 0x80 | opcode;
+    if (len < 126) {
+        frame[1] = len;
+    } else if (len < 65536) {
+        frame[1] = 126;
+        frame.writeUInt16BE(len, 2);
+    } else {
+        frame[1] = 127;
+        frame.writeBigUInt64BE(BigInt(len), 2);
+    }
+    if (mask) {
+        const key = crypto.randomBytes(4);
+        frame[1] |= 0x80;
+        key.copy(frame, head);
+        for (let i = 0; i < len; i++) frame[head + 4 + i] = payload[i] ^ key[i & 3];
+    } else {
+        payload.copy(frame, head);
+    }
+    return frame;
+}
+
+/**
+ * A WebSocket over an upgraded TCP socket. Emits 'message' (string)
+ * and 'close' (code); `send` and `close` mirror the browser API.
+ */
+class Socket extends EventEmitter {
+    constructor(raw, { mask = false, head } = {}) {
+        super();
+        this.raw = raw;
+        this.mask = mask;
+        this.open = true;
+        this._buffer = Buffer.alloc(0);
+        this._fragments = [];
+        this._closeSent = false;
+
+        raw.setNoDelay(true);
+        raw.on('data', data => this._onData(data));
+        raw.on('close', () => this._onClosed(1006));
+        raw.on('error', () => raw.destroy());
+        // Bytes that arrived with the handshake, once the caller has had a chance to listen
+        if (head && head.length) setImmediate(() => this._onData(head));
+    }
+
+    send(text) {
+        if (!this.open || this._closeSent) return;
+        this.raw.write(encodeFrame(OP.TEXT, Buffer.from(String(text), 'utf8'), this.mask));
+    }
+
+    close(code = 1000, reason = '') {
+        if (!this.open || this._closeSent) return;
+        this._closeSent = true;
+        const body = Buffer.alloc(2 + Buffer.byteLength(reason));
+        body.writeUInt16BE(code, 0);
+        body.write(reason, 2);
+        this.raw.write(encodeFrame(OP.CLOSE, body, this.mask));
+        this.raw.end();
+        // A peer that never answers the close is cut off
+        setTimeout(() => this.raw.destroy(), 2000).unref();
+    }
+
+    _onClosed(code) {
+        if (!this.open) return;
+        this.open = false;
+        this.emit('close', code);
+    }
+
+    _onData(data) {
+        this._buffer = this._buffer.length ? Buffer.concat([this._buffer, data]) : data;
+        while (this.open) {
+            const buf = this._buffer;
+            if (buf.length < 2) return;
+            const fin = (buf[0] & 0x80) !== 0;
+            const opcode = buf[0] & 0x0f;
+            const masked = (buf[1] & 0x80) !== 0;
+            let len = buf[1] & 0x7f;
+            let offset = 2;
+            if (len === 126) {
+                if (buf.length < 4) return;
+                len = buf.readUInt16BE(2);
+                offset = 4;
+            } else if (len === 127) {
+                if (buf.length < 10) return;
+                len = Number(buf.readBigUInt64BE(2));
+                offset = 10;
+            }
+            if (len > MAX_PAYLOAD) {
+                this.close(1009, 'Message too big');
+                return;
+            }
+            const keyAt = offset;
+            if (masked) offset += 4;
+            if (buf.length < offset + len) return;
+
+            const payload = Buffer.from(buf.subarray(offset, offset + len));
+            if (masked) {
+                for (let i = 0; i < len; i++) payload[i] ^= buf[keyAt + (i & 3)];
+            }
+            this._buffer = buf.subarray(offset + len);
+            this._onFrame(fin, opcode, payload);
+        }
+    }
+
+    _onFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case OP.TEXT:
+            case OP.BINARY:
+            case OP.CONT:
+                this._fragments.push(payload);
+                if (this._fragments.reduce((n, f) => n + f.length, 0) > MAX_PAYLOAD) {
+                    this.close(1009, 'Message too big');
+                    return;
+                }
+                if (fin) {
+                    const text = Buffer.concat(this._fragments).toString('utf8');
+                    this._fragments = [];
+                    this.emit('message', text);
+                }
+                break;
+            case OP.PING:
+                this.raw.write(encodeFrame(OP.PONG, payload, this.mask));
+                break;
+            case OP.CLOSE: {
+                const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+                this.close(code >= 1000 && code < 5000 && code !== 1005 && code !== 1006 ? code : 1000);
+                this._onClosed(code);
+                break;
+            }
+        }
+    }
+}
+
+/**
+ * Server side: answer an HTTP 'upgrade' request. Returns the Socket, or
+ * null (with the connection refused) when it is not a WebSocket handshake.
+ */
+function accept(req, raw, head) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+        raw.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return null;
+    }
+    const digest = crypto.createHash('sha1').update(key + GUID).digest('base64');
+    raw.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${digest}\r\n\r\n`
+    );
+    return new Socket(raw, { mask: false, head });
+}
+
+/** Client side, for tests and tools: open a ws:// URL. Resolves to a Socket. */
+function connect(url) {
+    return new Promise((resolve, reject) => {
+        const key = crypto.randomBytes(16).toString('base64');
+        const req = http.request(url.replace(/^ws/, 'http'), {
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Key': key,
+                'Sec-WebSocket-Version': '13',
+            },
+        });
+        req.on('upgrade', (res, raw, head) => resolve(new Socket(raw, { mask: true, head })));
+        req.on('response', res => {
+            res.resume();
+            reject(new Error(`WebSocket upgrade refused: HTTP ${res.statusCode}`));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+module.exports = { accept, connect, Socket, MAX_PAYLOAD };
@@ -0,0 +1,173 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ws = require('../server/ws');
+const { createAuthorityServer } = require('../server/authority');
+
+const VERSION = 3; // js/protocol.js
+
+const tick = (ms = 20) => new Promise(resolve => setTimeout(resolve, ms));
+
+/** Wait until `check()` returns something, polling briefly. */
+async function until(check) {
+    for (let i = 0; i < 100; i++) {
+        const found = check();
+        if (found) return found;
+        await tick(10);
+    }
+    assert.fail('timed out');
+}
+
+/** A raw player socket speaking the relay's guest side, with everything it receives. */
+async function guest(url, code) {
+    const socket = await ws.connect(`${url}?room=${code}&role=guest`);
+    const inbox = [];
+    socket.on('message', text => {
+        const message = JSON.parse(text);
+        inbox.push(message.type === 'data' ? message.data : message);
+    });
+    return {
+        socket,
+        inbox,
+        send: data => socket.send(JSON.stringify({ type: 'data', data })),
+        join: (name, token) => socket.send(JSON.stringify({ type: 'data', data: { type: 'join', name, token, version: VERSION } })),
+        /** The latest message of `type`, once one has arrived. */
+        last: type => until(() => inbox.filter(m => m.type === type).pop()),
+        close: () => socket.close(),
+    };
+}
+
+test.describe('Authority', () => {
+    let dir;
+    let authority;
+    let url;
+    const players = [];
+
+    const start = async () => {
+        authority = createAuthorityServer({ path: '/play', data: dir, botDelay: 10, roundDelay: 50 });
+        url = `ws://127.0.0.1:${await authority.listen(0, '127.0.0.1')}/play`;
+    };
+    const join = async (code, name, token) => {
+        const p = await guest(url, code);
+        players.push(p);
+        await p.last('joined');
+        p.join(name, token);
+        return p;
+    };
+
+    test.beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trikono-rooms-'));
+        await start();
+    });
+    test.afterEach(async () => {
+        for (const p of players.splice(0)) p.close();
+        await authority.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test.it('opens, lists, inspects and closes rooms from admin commands', () => {
+        assert.strictEqual(authority.command('list'), 'No rooms.');
+        assert.match(authority.command('create 5'), /2 to 4 seats/);
+        assert.match(authority.command('create 2 2'), /at least one seat/);
+        assert.match(authority.command('create 3 1 genius'), /easy, medium, hard/);
+
+        const code = /Opened room ([A-Z0-9]{6})/.exec(authority.command('create 3 1 hard 150'))[1];
+        assert.ok(fs.existsSync(path.join(dir, code + '.json')));
+        assert.match(authority.command('list'), new RegExp(`^${code}  lobby  1/3 seats`));
+        const detail = authority.command(`inspect ${code.toLowerCase()}`);
+        assert.match(detail, /1 bot\(s\) at hard; playing to 150/);
+        assert.match(detail, /1\. Bot 1 – bot \(hard\)/);
+        assert.match(authority.command(`start ${code}`), /at least two players/);
+
+        assert.strictEqual(authority.command(`close ${code}`), `Closed room ${code}.`);
+        assert.ok(!fs.existsSync(path.join(dir, code + '.json')));
+        assert.strictEqual(authority.command(`close ${code}`), `No room ${code}.`);
+        assert.match(authority.command('frobnicate'), /Unknown command "frobnicate"[^]*inspect CODE/);
+    });
+
+    test.it('keeps a room going when its save cannot be written', (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        fs.rmSync(dir, { recursive: true, force: true });
+        const code = /Opened room ([A-Z0-9]{6})/.exec(authority.command('create 2 1'))[1];
+        assert.ok(authority.rooms.has(code));
+        assert.strictEqual(warn.mock.callCount(), 1);
+        assert.match(warn.mock.calls[0].arguments[0], new RegExp(`Could not save room ${code}`));
+    });
+
+    test.it('refuses hosts and unknown rooms', async () => {
+        const first = socket => new Promise(resolve => socket.once('message', t => resolve(JSON.parse(t))));
+        const code = authority.createRoom({ seats: 2 }).code;
+        assert.strictEqual((await first(await ws.connect(`${url}?room=${code}&role=host`))).code, 'bad-request');
+        assert.strictEqual((await first(await ws.connect(`${url}?room=ZZZZZZ&role=guest`))).code, 'room-not-found');
+    });
+
+    test.it('deals once the seats fill and shows each player only their own hand', async () => {
+        const room = authority.createRoom({ seats: 2 });
+        const ann = await join(room.code, 'Ann');
+        assert.deepStrictEqual((await ann.last('lobby')).players.map(p => p.name), ['Ann']);
+        const bob = await join(room.code, 'Bob');
+
+        const [annState, bobState] = [(await ann.last('state')).state, (await bob.last('state')).state];
+        await ann.last('welcome');
+        assert.strictEqual(annState.phase, 'playing');
+        assert.deepStrictEqual([annState.yourIndex, bobState.yourIndex], [0, 1]);
+        assert.deepStrictEqual(annState.yourTiles, room.game.players[0].tiles);
+        // Nothing in Ann's view names a tile in Bob's hand
+        const bobIds = room.game.players[1].tiles.map(t => t.id);
+        assert.ok(!JSON.stringify(annState.players).includes('"tiles"'));
+        assert.ok(!annState.yourTiles.some(t => bobIds.includes(t.id)));
+        assert.strictEqual(annState.match.round, 1);
+
+        // A late arrival watches without a hand
+        const cat = await join(room.code, 'Cat');
+        assert.strictEqual((await cat.last('spectate')).delay, 0);
+        const watched = (await cat.last('state')).state;
+        assert.ok(watched.spectator && !watched.yourTiles);
+
+        // Moves are checked against the mover's seat
+        const [mover, other] = annState.currentPlayerIndex === 0 ? [ann, bob] : [bob, ann];
+        other.send({ type: 'draw' });
+        mover.send({ type: 'draw' });
+        await until(() => room.game.drawsThisTurn === 1);
+        // The draw's state may still be on its way
+        await until(() => other.inbox.some(m => m.type === 'state' && m.state.drawsThisTurn === 1));
+
+        mover.send({ type: 'chat', text: '  hi all ' });
+        const chat = await cat.last('chat');
+        assert.deepStrictEqual([chat.from, chat.seat, chat.text], [mover === ann ? 'Ann' : 'Bob', mover === ann ? 0 : 1, 'hi all']);
+    });
+
+    test.it('saves every room and picks it up again after a restart', async () => {
+        const room = authority.createRoom({ seats: 2, bots: 1 });
+        const ann = await join(room.code, 'Ann');
+        const { token } = await ann.last('welcome');
+        const seat = (await ann.last('state')).state.yourIndex;
+        // The bot moves by itself until it is Ann's turn
+        await until(() => room.game.currentPlayerIndex === seat);
+        const hand = room.game.players[seat].tiles.map(t => t.id);
+
+        ann.close();
+        await until(() => room.awaySeats.has(seat));
+        const moves = room.game.history.length;
+        await tick(60);
+        assert.strictEqual(room.game.history.length, moves, 'an empty room waits for its players');
+        const saved = JSON.parse(fs.readFileSync(path.join(dir, room.code + '.json'), 'utf8'));
+        assert.strictEqual(saved.save.game.players[seat].name, 'Ann');
+
+        await authority.close();
+        await start();
+        const again = authority.rooms.get(room.code);
+        assert.match(authority.command(`inspect ${room.code}`), /Ann – away, \d+ tile\(s\)[^]*<- to play/);
+
+        const back = await join(room.code, 'Ann', token);
+        assert.strictEqual((await back.last('welcome')).gameId, room.code);
+        const state = (await back.last('state')).state;
+        assert.strictEqual(state.yourIndex, seat);
+        assert.deepStrictEqual(state.yourTiles.map(t => t.id), hand);
+        assert.ok(!again.awaySeats.has(seat));
+    });
+});
@@ -0,0 +1,305 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, fill, cornerValues } = require('./harness');
+
+const { Board } = load();
+
+const same = (a, b) => a.vx === b.vx && a.vy === b.vy;
+
+/** Cells within `radius` of the origin, both orientations. */
+function area(radius) {
+    const cells = [];
+    for (let r = -radius; r <= radius; r++)
+        for (let c = -radius; c <= radius; c++) cells.push([r, c]);
+    return cells;
+}
+
+/** The six cells of the hexagon around a vertex, as [r, c]. */
+function ring(board, vx, vy) {
+    return board._surroundingCells(vx, vy).map(cell => [cell.r, cell.c]);
+}
+
+test.describe('orientation', () => {
+    test.it('alternates along rows and columns, including negative coordinates', () => {
+        assert.strictEqual(Board.isUp(0, 0), true);
+        assert.strictEqual(Board.isUp(0, 1), false);
+        assert.strictEqual(Board.isUp(1, 0), false);
+        assert.strictEqual(Board.isUp(-1, 0), false);
+        assert.strictEqual(Board.isUp(-1, -1), true);
+        assert.strictEqual(Board.isUp(-3, 2), false);
+    });
+});
+
+test.describe('adjacency tables', () => {
+    const board = new Board();
+
+    test.it('neighbours always have the opposite orientation', () => {
+        for (const [r, c] of area(4)) {
+            for (const n of board.neighbors(r, c)) {
+                assert.notStrictEqual(Board.isUp(n.row, n.col), Board.isUp(r, c), `${r},${c} -> ${n.row},${n.col}`);
+            }
+        }
+    });
+
+    test.it('every neighbour lists the cell back with the corner pairs swapped', () => {
+        for (const [r, c] of area(4)) {
+            for (const n of board.neighbors(r, c)) {
+                const back = board.neighbors(n.row, n.col).find(m => m.row === r && m.col === c);
+                assert.ok(back, `${n.row},${n.col} does not list ${r},${c}`);
+                assert.deepStrictEqual(back.my, n.their);
+                assert.deepStrictEqual(back.their, n.my);
+            }
+        }
+    });
+
+    test.it('matched corners sit on the same lattice vertex', () => {
+        for (const [r, c] of area(4)) {
+            const mine = board._vertexCoords(r, c);
+            for (const n of board.neighbors(r, c)) {
+                const theirs = board._vertexCoords(n.row, n.col);
+                for (let i = 0; i < n.my.length; i++) {
+                    assert.ok(same(mine[n.my[i]], theirs[n.their[i]]),
+                        `${r},${c} corner ${n.my[i]} vs ${n.row},${n.col} corner ${n.their[i]}`);
+                }
+            }
+        }
+    });
+});
+
+test.describe('vertex lattice', () => {
+    const board = new Board();
+
+    test.it('each vertex is surrounded by six distinct cells, three of each orientation', () => {
+        for (const v of board._vertexCoords(0, 0).concat(board._vertexCoords(3, -2))) {
+            const cells = board._surroundingCells(v.vx, v.vy);
+            assert.strictEqual(new Set(cells.map(x => Board.key(x.r, x.c))).size, 6);
+            assert.strictEqual(cells.filter(x => Board.isUp(x.r, x.c)).length, 3);
+        }
+    });
+
+    test.it('every surrounding cell has a corner on that vertex', () => {
+        for (const [r, c] of area(3)) {
+            for (const v of board._vertexCoords(r, c)) {
+                const cells = board._surroundingCells(v.vx, v.vy);
+                assert.ok(cells.some(x => x.r === r && x.c === c), `${r},${c} missing around ${v.vx},${v.vy}`);
+                for (const x of cells) {
+                    assert.ok(board._vertexCoords(x.r, x.c).some(w => same(w, v)),
+                        `${x.r},${x.c} has no corner at ${v.vx},${v.vy}`);
+                }
+            }
+        }
+    });
+});
+
+test.describe('placement validation', () => {
+    test.it('accepts any tile on an empty board and nothing on an occupied cell', () => {
+        const board = new Board();
+        assert.ok(board.isValid(0, 0, [1, 2, 3]));
+        board.place(0, 0, [1, 2, 3], 0, 0);
+        assert.ok(!board.isValid(0, 0, [1, 2, 3]));
+    });
+
+    test.it('requires an edge neighbour and matching corners', () => {
+        const board = new Board();
+        board.place(0, 0, [1, 2, 3], 0, 0); // UP: top 1, bottom-right 2, bottom-left 3
+        // DOWN to the right shares the top (1) and bottom-right (2) corners
+        assert.ok(board.isValid(0, 1, [2, 1, 4]));
+        assert.ok(!board.isValid(0, 1, [1, 2, 4]));
+        // DOWN below shares bottom-left (3) and bottom-right (2)
+        assert.ok(board.isValid(1, 0, [5, 3, 2]));
+        assert.ok(!board.isValid(1, 0, [5, 2, 3]));
+        // Not touching anything
+        assert.ok(!board.isValid(2, 2, [1, 2, 3]));
+    });
+
+    test.it('lists the three rotations at the origin on an empty board', () => {
+        const moves = new Board().getValidPlacements([1, 2, 3]);
+        assert.deepStrictEqual(moves.map(m => m.values), [[1, 2, 3], [3, 1, 2], [2, 3, 1]]);
+    });
+
+    test.it('only lists placements that validate', () => {
+        const board = new Board();
+        fill(board, [[0, 0], [0, 1], [1, 1]]);
+        const moves = board.getValidPlacements([0, 2, 4]);
+        assert.ok(moves.length > 0);
+        for (const m of moves) assert.ok(board.isValid(m.row, m.col, m.values));
+    });
+});
+
+test.describe('corner matching', () => {
+    // (0,-1) shares an edge with (0,0) and only its top-left corner with (0,-3)
+    function layout(cornerMatch) {
+        const board = new Board({ cornerMatch });
+        fill(board, [[0, 0], [0, -3]]);
+        const values = cornerValues(board, 0, -1);
+        const clash = [values[0], (values[1] + 1) % 6, values[2]];
+        return { board, values, clash };
+    }
+
+    test.it('is off unless asked for, so corner-only contact is not checked', () => {
+        const { board, clash } = layout(false);
+        assert.ok(board.isValid(0, -1, clash));
+    });
+
+    test.it('rejects a number that differs from a tile touching only at that corner', () => {
+        const { board, values, clash } = layout(true);
+        assert.ok(board.isValid(0, -1, values));
+        assert.ok(!board.isValid(0, -1, clash));
+        assert.ok(!board.getValidPlacements([...clash].sort()).some(m =>
+            m.row === 0 && m.col === -1 && m.values.join() === clash.join()));
+    });
+
+    test.it('checks every tile around a vertex, not only edge neighbours', () => {
+        const board = new Board({ cornerMatch: true });
+        const cells = board._surroundingCells(1, 0).map(x => [x.r, x.c]);
+        fill(board, cells.slice(0, 5));
+        const [r, c] = cells[5];
+        const values = cornerValues(board, r, c);
+        assert.ok(board.isValid(r, c, values));
+        // Any change on the shared vertex is now caught
+        const at = board._vertexCoords(r, c).findIndex(v => v.vx === 1 && v.vy === 0);
+        const wrong = values.slice();
+        wrong[at] = (wrong[at] + 1) % 6;
+        assert.ok(!board.isValid(r, c, wrong));
+    });
+
+    test.it('carries over to clones', () => {
+        assert.strictEqual(new Board({ cornerMatch: true }).clone().cornerMatch, true);
+    });
+});
+
+test.describe('hexagons', () => {
+    test.it('completing one hexagon scores +50', () => {
+        const board = new Board();
+        const [last, ...rest] = ring(board, 1, 0);
+        fill(board, rest);
+        const values = cornerValues(board, ...last);
+        assert.ok(board.isValid(...last, values));
+        board.place(...last, values, -1, 0);
+        assert.strictEqual(board._countCompletedHexagons(...last), 1);
+        assert.strictEqual(board.scoreBreakdown(...last, values).hexagon, 50);
+    });
+
+    test.it('a move that will close a hexagon is scored as such before it is made', () => {
+        const board = new Board();
+        const [last, ...rest] = ring(board, 1, 0);
+        fill(board, rest);
+        const values = cornerValues(board, ...last);
+        const before = board.scoreBreakdown(...last, values);
+        assert.strictEqual(before.hexagon, 50);
+        board.place(...last, values, -1, 0);
+        assert.deepStrictEqual(board.scoreBreakdown(...last, values), before);
+    });
+
+    test.it('a tile closing two hexagons at once scores +60', () => {
+        const board = new Board();
+        // (0,0) has corners on both vertices (1,0) and (2,1)
+        const cells = new Map();
+        for (const [r, c] of ring(board, 1, 0).concat(ring(board, 2, 1))) cells.set(Board.key(r, c), [r, c]);
+        cells.delete('0,0');
+        fill(board, cells.values());
+        const values = cornerValues(board, 0, 0);
+        board.place(0, 0, values, -1, 0);
+        assert.strictEqual(board._countCompletedHexagons(0, 0), 2);
+        assert.strictEqual(board.scoreBreakdown(0, 0, values).hexagon, 60);
+    });
+
+    test.it('a tile closing three hexagons scores +70', () => {
+        const board = new Board();
+        const cells = new Map();
+        for (const v of board._vertexCoords(0, 0)) {
+            for (const [r, c] of ring(board, v.vx, v.vy)) cells.set(Board.key(r, c), [r, c]);
+        }
+        cells.delete('0,0');
+        assert.strictEqual(cells.size, 12);
+        fill(board, cells.values());
+        const values = cornerValues(board, 0, 0);
+        board.place(0, 0, values, -1, 0);
+        const b = board.scoreBreakdown(0, 0, values);
+        assert.strictEqual(b.hexagons, 3);
+        assert.strictEqual(b.hexagon, 70);
+        assert.strictEqual(b.bridge, 0);
+    });
+
+    test.it('an incomplete ring does not count', () => {
+        const board = new Board();
+        const cells = ring(board, 1, 0);
+        fill(board, cells.slice(0, 4));
+        fill(board, [cells[5]]);
+        assert.strictEqual(board._countCompletedHexagons(...cells[5]), 0);
+    });
+});
+
+test.describe('bridges', () => {
+    // A DOWN tile left of the origin touches (0,0) by its right edge; the
+    // opposite corner is its top-left, the lattice vertex (-1, 0).
+    test.it('one edge neighbour plus a tile on the opposite corner is a bridge', () => {
+        const board = new Board();
+        fill(board, [[0, 0], [0, -3]]); // (0,-3) only meets (0,-1) at that corner
+        fill(board, [[0, -1]]);
+        assert.strictEqual(board._isBridge(0, -1), true);
+        assert.strictEqual(board.scoreBreakdown(0, -1, board.get(0, -1).values).bridge, 40);
+    });
+
+    test.it('without a tile on the opposite corner it is not', () => {
+        const board = new Board();
+        fill(board, [[0, 0], [0, -1]]);
+        assert.strictEqual(board._isBridge(0, -1), false);
+    });
+
+    test.it('a tile on a different corner does not count', () => {
+        const board = new Board();
+        // (1,-2) touches (0,-1) only at its bottom corner, not the opposite one
+        fill(board, [[0, 0], [1, -2], [0, -1]]);
+        assert.ok(!board.has(0, -2) && !board.has(-1, -1));
+        assert.strictEqual(board._isBridge(0, -1), false);
+    });
+
+    test.it('two edge neighbours are never a bridge', () => {
+        const board = new Board();
+        fill(board, [[0, 0], [0, -2], [0, -3], [0, -1]]);
+        assert.strictEqual(board._isBridge(0, -1), false);
+    });
+});
+
+test.describe('scoring', () => {
+    test.it('a plain tile scores the sum of its corners', () => {
+        const board = new Board();
+        board.place(0, 0, [1, 2, 3], 0, 0);
+        assert.deepStrictEqual(board.scoreBreakdown(0, 0, [1, 2, 3]),
+            { base: 6, triple: 0, bridge: 0, hexagons: 0, hexagon: 0, total: 6 });
+        assert.strictEqual(board.calcScore(0, 0, [1, 2, 3]), 6);
+    });
+
+    test.it('triples add 10, and 0-0-0 scores a flat 40', () => {
+        const board = new Board();
+        assert.strictEqual(board.calcScore(0, 0, [4, 4, 4]), 22);
+        assert.strictEqual(board.calcScore(0, 0, [0, 0, 0]), 40);
+        assert.strictEqual(board.scoreBreakdown(0, 0, [0, 0, 0]).triple, 40);
+    });
+
+    test.it('the total is the sum of the parts', () => {
+        const board = new Board();
+        const [last, ...rest] = ring(board, 1, 0);
+        fill(board, rest);
+        const b = board.scoreBreakdown(...last, cornerValues(board, ...last));
+        assert.strictEqual(b.total, b.base + b.triple + b.bridge + b.hexagon);
+    });
+});
+
+test.describe('serialisation', () => {
+    test.it('round-trips cells, and clones are independent', () => {
+        const board = new Board();
+        fill(board, [[0, 0], [0, 1], [1, 1], [1, 2]], 1);
+        const copy = new Board();
+        copy.deserialize(JSON.parse(JSON.stringify(board.serialize())));
+        assert.deepStrictEqual(copy.serialize(), board.serialize());
+
+        const clone = board.clone();
+        clone.place(0, -1, [0, 0, 0], 5, 0);
+        assert.ok(!board.has(0, -1));
+        assert.strictEqual(clone.size, board.size + 1);
+    });
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./harness');
+
+const { Clock } = load();
+
+const at = (player, turn, round = 1) => ({ player, players: 2, round, turn });
+
+test.describe('Clock', () => {
+    test.it('reads lobby settings, with anything unrecognised meaning no clock', () => {
+        const clock = Clock.fromSetting('bank:600');
+        assert.strictEqual(clock.mode, 'bank');
+        assert.strictEqual(clock.seconds, 600);
+        assert.strictEqual(Clock.fromSetting('off'), null);
+        assert.strictEqual(Clock.fromSetting('turn:0'), null);
+        assert.strictEqual(Clock.fromSetting('blitz:60'), null);
+    });
+
+    test.it('a per-turn limit starts afresh every turn', () => {
+        const clock = new Clock('turn', 30);
+        clock.sync(at(0, 0), 0);
+        assert.strictEqual(clock.left(0, 12000), 18000);
+        clock.sync(at(1, 1), 12000);
+        clock.sync(at(0, 2), 20000);
+        assert.strictEqual(clock.left(0, 20000), 30000);
+        assert.strictEqual(clock.left(0, 60000), 0);
+    });
+
+    test.it('a bank only runs on its owner\'s turns and lasts the hand', () => {
+        const clock = new Clock('bank', 60);
+        clock.sync(at(0, 0), 0);
+        clock.sync(at(1, 1), 10000);      // player 0 used 10 s
+        clock.sync(at(0, 2), 15000);      // player 1 used 5 s
+        assert.strictEqual(clock.left(0, 25000), 40000);
+        assert.strictEqual(clock.left(1, 25000), 55000);
+
+        clock.sync(at(1, 0, 2), 30000);   // next hand: banks refill
+        assert.strictEqual(clock.left(0, 30000), 60000);
+        assert.strictEqual(clock.left(1, 30000), 60000);
+    });
+
+    test.it('draws within a turn do not restart it', () => {
+        const clock = new Clock('turn', 30);
+        assert.strictEqual(clock.sync(at(0, 0), 0), true);
+        assert.strictEqual(clock.sync(at(0, 0), 5000), false);
+        assert.strictEqual(clock.left(0, 5000), 25000);
+    });
+
+    test.it('survives serialisation with the time used so far', () => {
+        const clock = new Clock('bank', 60);
+        clock.sync(at(0, 0), 0);
+        const copy = Clock.fromData(JSON.parse(JSON.stringify(clock.serialize(20000))));
+        assert.strictEqual(copy.left(0, copy.startedAt), 40000);
+        assert.strictEqual(copy.current, 0);
+        assert.strictEqual(copy.sync(at(0, 0)), false, 'still the same turn');
+    });
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./harness');
+
+const { Game, AI, Daily } = load();
+
+/** Play the daily hand out, seat 0 greedily and the bots at their level. */
+function playDaily(date, bots) {
+    const game = new Game();
+    Daily.setup(game, { date, name: 'Me', bots });
+    for (let n = 0; n < 1000 && game.phase === 'playing'; n++) {
+        const i = game.currentPlayerIndex;
+        const m = AI.chooseMove(game, i, game.players[i].bot || 'medium');
+        if (m.type === 'place') game.placeTile(i, m.tileIdx, m.row, m.col, m.rotation);
+        else if (m.type === 'draw') game.drawTile(i);
+        else game.passTurn(i);
+    }
+    return game;
+}
+
+/** Minimal localStorage for the history, reset per test. */
+function withStorage(t) {
+    const items = new Map();
+    global.localStorage = {
+        getItem: k => (items.has(k) ? items.get(k) : null),
+        setItem: (k, v) => items.set(k, String(v)),
+    };
+    t.after(() => { delete global.localStorage; });
+}
+
+test.describe('Daily', () => {
+    test.it('dates are local calendar days', () => {
+        assert.strictEqual(Daily.dateKey(new Date(2026, 0, 5, 23, 59)), '2026-01-05');
+        assert.strictEqual(Daily.seedFor('2026-01-05'), 'daily-2026-01-05');
+    });
+
+    test.it('everyone gets the same deal on the same day, and a new one the next', () => {
+        const a = new Game(), b = new Game(), c = new Game();
+        Daily.setup(a, { date: '2026-03-01', name: 'Ann', bots: 1 });
+        Daily.setup(b, { date: '2026-03-01', name: 'Bob', bots: 1 });
+        Daily.setup(c, { date: '2026-03-02', name: 'Ann', bots: 1 });
+        assert.deepStrictEqual(b.pool, a.pool);
+        assert.deepStrictEqual(b.players[0].tiles, a.players[0].tiles);
+        assert.notDeepStrictEqual(c.pool, a.pool);
+        assert.strictEqual(a.players[1].bot, Daily.BOT_LEVEL);
+    });
+
+    test.it('a solo hand plays out against the pool alone', () => {
+        const game = playDaily('2026-03-01', 0);
+        assert.strictEqual(game.players.length, 1);
+        assert.strictEqual(game.phase, 'finished');
+        assert.ok(game.history.every(h => h.player === 0));
+    });
+
+    test.it('sums up the hand and shares it as three lines', () => {
+        const game = playDaily('2026-03-01', 2);
+        const r = Daily.summarize(game, { date: '2026-03-01', bots: 2 });
+        const mine = game.history.filter(h => h.player === 0);
+        assert.strictEqual(r.score, game.players[0].score);
+        assert.strictEqual([...r.moves].length, mine.length);
+        assert.strictEqual(r.placed + r.draws + r.passes, mine.length);
+
+        const lines = Daily.shareText(r).split('\n');
+        assert.strictEqual(lines.length, 3);
+        assert.ok(lines[0].startsWith(`Trikono daily 2026-03-01 · ${r.score} pts · vs 2 medium bots`));
+        assert.match(lines[2], new RegExp(`^${r.placed} tiles?`));
+    });
+
+    test.it('keeps a history where only the first game of the day counts', (t) => {
+        withStorage(t);
+        const result = { date: '2026-03-01', bots: 0, score: 120 };
+        assert.strictEqual(Daily.record(result).first, true);
+        assert.strictEqual(Daily.record({ ...result, score: 150 }).first, false);
+        assert.strictEqual(Daily.record({ ...result, bots: 1 }).first, true);
+        assert.deepStrictEqual(Daily.loadHistory().map(r => r.bots), [1, 0, 0], 'newest first');
+    });
+});
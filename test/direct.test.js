@@ -0,0 +1,164 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./harness');
+
+const { Direct } = load();
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+/*
+ * Just enough of RTCPeerConnection for two DirectNetworks in one process:
+ * an offer's SDP names the connection that made it, so the answering side
+ * can be wired to it, and the channel opens once the host takes the answer.
+ */
+const offers = new Map();
+let offerCount = 0;
+
+class FakeChannel extends EventTarget {
+    constructor() {
+        super();
+        this.readyState = 'connecting';
+        this.other = null;
+    }
+
+    send(text) {
+        const other = this.other;
+        setImmediate(() => other.dispatchEvent(Object.assign(new Event('message'), { data: text })));
+    }
+
+    close() {
+        if (this.readyState === 'closed') return;
+        this.readyState = 'closed';
+        this.dispatchEvent(new Event('close'));
+        if (this.other) this.other.close();
+    }
+
+    _open() {
+        this.readyState = 'open';
+        this.dispatchEvent(new Event('open'));
+    }
+}
+
+class FakePeerConnection extends EventTarget {
+    constructor() {
+        super();
+        this.iceGatheringState = 'complete';
+        this.connectionState = 'new';
+        this.localDescription = null;
+        this.channel = null;
+    }
+
+    createDataChannel() {
+        this.channel = new FakeChannel();
+        return this.channel;
+    }
+
+    async createOffer() {
+        return { type: 'offer', sdp: 'v=0 offer ' + ++offerCount };
+    }
+
+    async createAnswer() {
+        return { type: 'answer', sdp: 'v=0 answer to ' + this.remote.sdp };
+    }
+
+    async setLocalDescription(desc) {
+        this.localDescription = desc;
+        if (desc.type === 'offer') offers.set(desc.sdp, this);
+    }
+
+    async setRemoteDescription(desc) {
+        this.remote = desc;
+        if (desc.type === 'offer') {
+            const host = offers.get(desc.sdp);
+            this.channel = new FakeChannel();
+            this.channel.other = host.channel;
+            host.channel.other = this.channel;
+            setImmediate(() => this.dispatchEvent(Object.assign(new Event('datachannel'), { channel: this.channel })));
+        } else {
+            setImmediate(() => {
+                this.channel._open();
+                this.channel.other._open();
+            });
+        }
+    }
+
+    close() {
+        this.connectionState = 'closed';
+    }
+}
+
+test.describe('Direct', () => {
+    test.before(() => { global.RTCPeerConnection = FakePeerConnection; });
+    test.after(() => { delete global.RTCPeerConnection; });
+
+    /** A host and one connected guest. */
+    async function connectPair() {
+        const host = new Direct.DirectNetwork();
+        const joined = [];
+        host.onPeerConnected = id => joined.push(id);
+        await host.createGame();
+        const invite = await host.createInvite();
+
+        const guest = new Direct.DirectNetwork();
+        const { reply, connected } = await guest.joinGame(invite);
+        await host.acceptReply(reply);
+        await connected;
+        return { host, guest, peerId: joined[0], invite, reply };
+    }
+
+    test.it('round-trips codes and names the wrong one', () => {
+        const code = Direct.encode({ kind: 'offer', gameId: 'ABC234', peerId: 'direct-X', sdp: 'v=0\r\na=x' });
+        assert.match(code, /^TRK1\.[A-Za-z0-9_-]+$/);
+        // Pasting through a chat app may wrap the code or add spaces
+        const wrapped = code.slice(0, 20) + '\n  ' + code.slice(20);
+        assert.deepStrictEqual(Direct.decode(wrapped, 'offer'),
+            { kind: 'offer', gameId: 'ABC234', peerId: 'direct-X', sdp: 'v=0\r\na=x' });
+        assert.throws(() => Direct.decode(code, 'answer'), /invite code/);
+        assert.throws(() => Direct.decode('hello', 'offer'), /not a Trikono invite/);
+        assert.throws(() => Direct.decode(code.slice(0, 30), 'offer'), /incomplete/);
+    });
+
+    test.it('connects a guest through an invite and its reply, then carries messages both ways', async () => {
+        const { host, guest, peerId } = await connectPair();
+        assert.match(peerId, /^direct-/);
+        assert.ok(host.connections.has(peerId));
+        assert.strictEqual(guest.gameId, host.gameId);
+
+        const atHost = [];
+        const atGuest = [];
+        host.onMessage = (data, from) => atHost.push({ data, from });
+        guest.onMessage = (data, from) => atGuest.push({ data, from });
+        guest.sendToHost({ type: 'join', name: 'Ann' });
+        host.broadcast({ type: 'lobby', players: [] });
+        await tick();
+        assert.deepStrictEqual(atHost, [{ data: { type: 'join', name: 'Ann' }, from: peerId }]);
+        assert.deepStrictEqual(atGuest, [{ data: { type: 'lobby', players: [] }, from: 'host' }]);
+    });
+
+    test.it('refuses a reply to a retired invite, or an invite in place of a reply', async () => {
+        const host = new Direct.DirectNetwork();
+        await host.createGame();
+        const first = await host.createInvite();
+        const guest = new Direct.DirectNetwork();
+        const { reply, connected } = await guest.joinGame(first);
+        await host.createInvite(); // retires the first
+        await assert.rejects(host.acceptReply(reply), /older invite/);
+        await assert.rejects(host.acceptReply(first), /invite code/);
+
+        await tick(); // the guest's channel arrives, never to open
+        guest.destroy();
+        await assert.rejects(connected, /closed before it opened/);
+    });
+
+    test.it('reports a guest that leaves as a disconnect, and cannot change host', async () => {
+        const { host, guest, peerId } = await connectPair();
+        const left = [];
+        host.onPeerDisconnected = id => left.push(id);
+        guest.destroy();
+        assert.deepStrictEqual(left, [peerId]);
+        assert.strictEqual(host.connections.size, 0);
+        await assert.rejects(guest.reconnectToHost('ABC234'), /new invite/);
+    });
+});
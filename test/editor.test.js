@@ -0,0 +1,120 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./harness');
+
+const { Tiles, Game, Storage, Puzzles, Editor } = load();
+
+/** A tile id and rotation that fit at (r, c) on the editor's board, or that do not. */
+function findTile(ed, r, c, fits) {
+    for (const t of ed.tiles) {
+        if (ed.where(t.id).at === 'board') continue;
+        for (let rot = 0; rot < 3; rot++) {
+            if (ed.board.isValid(r, c, Tiles.getPlacedValues(t.values, rot)) === fits) return { id: t.id, rot };
+        }
+    }
+    return null;
+}
+
+/** Two matching tiles on the board, a hand each and one queued pool tile. */
+function position() {
+    const ed = new Editor();
+    ed.place(0, 0, 20, 0, 0);
+    const next = findTile(ed, 0, 1, true);
+    ed.place(0, 1, next.id, next.rot, 1);
+    const free = ed.box().slice(0, 5);
+    ed.toHand(free[0], 0);
+    ed.toHand(free[1], 0);
+    ed.toHand(free[2], 1);
+    ed.toPool(free[3]);
+    ed.toPool(free[4]);
+    return { ed, free };
+}
+
+test.describe('Editor', () => {
+    test.it('keeps every tile in exactly one place', () => {
+        const ed = new Editor();
+        assert.strictEqual(ed.players.length, 2);
+        assert.strictEqual(ed.box().length, 56);
+
+        ed.place(0, 0, 7, 1, 1);
+        assert.deepStrictEqual(ed.where(7), { at: 'board', row: 0, col: 0 });
+        assert.deepStrictEqual(ed.board.get(0, 0).values, Tiles.getPlacedValues(ed.tiles[7].values, 1));
+        assert.strictEqual(ed.board.get(0, 0).playerId, 1);
+
+        ed.toHand(7, 0);
+        assert.deepStrictEqual(ed.where(7), { at: 'hand', player: 0 });
+        assert.strictEqual(ed.board.size, 0);
+        ed.toPool(7);
+        assert.deepStrictEqual(ed.where(7), { at: 'pool' });
+        assert.deepStrictEqual(ed.players[0].tiles, []);
+
+        ed.place(0, 0, 7);
+        ed.place(0, 0, 8); // replaces: 7 goes back to the box
+        assert.strictEqual(ed.where(7).at, 'box');
+        assert.deepStrictEqual(ed.pool, []);
+    });
+
+    test.it('rotates and reassigns tiles in place', () => {
+        const ed = new Editor();
+        ed.place(0, 0, 30, 0, 0);
+        const base = ed.tiles[30].values;
+        ed.rotate(0, 0);
+        assert.deepStrictEqual(ed.board.get(0, 0).values, Tiles.getPlacedValues(base, 1));
+        ed.rotate(0, 0);
+        ed.rotate(0, 0);
+        assert.deepStrictEqual(ed.board.get(0, 0).values, base);
+        ed.setOwner(0, 0, 1);
+        assert.strictEqual(ed.board.get(0, 0).playerId, 1);
+        assert.strictEqual(ed.board.get(0, 0).tileId, 30);
+    });
+
+    test.it('flags tiles that do not match or touch nothing', () => {
+        const { ed } = position();
+        assert.deepStrictEqual(ed.conflicts(), []);
+
+        const bad = findTile(ed, 0, -1, false);
+        ed.place(0, -1, bad.id, bad.rot);
+        const far = ed.box()[0];
+        ed.place(6, 6, far);
+        const found = ed.conflicts();
+        assert.deepStrictEqual(found.find(c => c.col === -1), { row: 0, col: -1, reason: 'mismatch' });
+        assert.deepStrictEqual(found.find(c => c.row === 6), { row: 6, col: 6, reason: 'detached' });
+        assert.strictEqual(ed.board.size, 4, 'checking leaves the board as it was');
+    });
+
+    test.it('exports all 56 tiles with queued tiles drawn first', () => {
+        const { ed, free } = position();
+        ed.players[1].score = 42;
+        ed.currentPlayerIndex = 1;
+        const full = ed.toFull(Tiles.createRng(3));
+        assert.deepStrictEqual(Storage.validateGame(full), []);
+        assert.strictEqual(full.pool.length, 56 - 2 - 3);
+        assert.deepStrictEqual(full.pool.slice(-2).map(t => t.id), [free[3], free[4]]);
+
+        const game = ed.toGame(Tiles.createRng(3));
+        assert.strictEqual(game.currentPlayerIndex, 1);
+        assert.strictEqual(game.players[1].score, 42);
+        assert.ok(game.drawTile(1));
+        assert.strictEqual(game.players[1].tiles.pop().id, free[4]);
+    });
+
+    test.it('round-trips a saved game', () => {
+        const game = new Game();
+        game.addPlayer('a', 'Ann');
+        game.addPlayer('b', 'Bob');
+        game.start();
+        const ed = new Editor(game.serializeFull());
+        assert.deepStrictEqual(ed.players.map(p => p.name), ['Ann', 'Bob']);
+        assert.strictEqual(ed.box().length, 0);
+        assert.deepStrictEqual(ed.toFull().pool, game.serializeFull().pool);
+    });
+
+    test.it('turns the board and the hand to move into a puzzle', () => {
+        const { ed } = position();
+        const data = ed.toPuzzle('custom-1', 'Custom');
+        assert.deepStrictEqual(Puzzles.validate(data), []);
+        assert.strictEqual(data.hand.length, 2);
+    });
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./harness');
+
+const { Game, AI, Fair } = load();
+
+/** Commit–reveal for two seats; returns what the host would publish. */
+async function agree() {
+    const shares = [0, 1].map(seat => ({ seat, share: Fair.newShare() }));
+    const commits = await Promise.all(shares.map(async s => ({ seat: s.seat, commit: await Fair.commit(s.share) })));
+    return { shares, commits, seed: await Fair.seedFrom(shares) };
+}
+
+/** Deal from `seed` and let two medium bots play the hand out; `tamper` runs after the deal. */
+function playHand(seed, tamper) {
+    const game = new Game();
+    game.addPlayer('a', 'Ann');
+    game.addPlayer('b', 'Bob');
+    game.setSeed(seed);
+    game.start();
+    const dealt = game.players[0].tiles.map(t => ({ ...t }));
+    if (tamper) tamper(game);
+    for (let n = 0; n < 1000 && game.phase === 'playing'; n++) {
+        const i = game.currentPlayerIndex;
+        const m = AI.chooseMove(game, i, 'medium');
+        if (m.type === 'place') game.placeTile(i, m.tileIdx, m.row, m.col, m.rotation);
+        else if (m.type === 'draw') game.drawTile(i);
+        else game.passTurn(i);
+    }
+    return { game, dealt };
+}
+
+const check = (deal, game, extra = {}) => Fair.verify({
+    commits: deal.commits,
+    shares: deal.shares,
+    starter: null,
+    rules: game.rules,
+    seats: game.players.length,
+    history: game.historyFor(0),
+    ...extra,
+});
+
+test.describe('Fair', () => {
+    test.it('derives one seed from every share, whatever order they arrive in', async () => {
+        const { shares, seed } = await agree();
+        assert.match(seed, /^[0-9a-f]{32}$/);
+        assert.strictEqual(await Fair.seedFrom(shares.slice().reverse()), seed);
+        assert.notStrictEqual(await Fair.seedFrom([shares[0]]), seed);
+        assert.notStrictEqual(await Fair.commit(shares[0].share), shares[0].share);
+    });
+
+    test.it('an honest hand checks out, including the checker\'s own hand', async () => {
+        const deal = await agree();
+        const { game, dealt } = playHand(deal.seed);
+        const report = await check(deal, game, { mine: { commit: deal.commits[0].commit, seat: 0, tiles: dealt } });
+        assert.deepStrictEqual(report.problems, []);
+        assert.ok(report.ok);
+        assert.strictEqual(report.seed, deal.seed);
+    });
+
+    test.it('catches a stacked pool', async () => {
+        const deal = await agree();
+        // Swap the hands after the deal: the moves no longer fit the revealed seed
+        const { game } = playHand(deal.seed, g => {
+            [g.players[0].tiles, g.players[1].tiles] = [g.players[1].tiles, g.players[0].tiles];
+        });
+        const report = await check(deal, game);
+        assert.strictEqual(report.ok, false);
+        assert.match(report.problems[0], /never dealt|not possible/);
+    });
+
+    test.it('catches a share that differs from its commitment, or a missing one', async () => {
+        const deal = await agree();
+        const { game } = playHand(deal.seed);
+        const swapped = { ...deal, shares: [deal.shares[0], { seat: 1, share: Fair.newShare() }] };
+        assert.match((await check(swapped, game)).problems[0], /Seat 2's revealed share/);
+
+        const dropped = { ...deal, shares: [deal.shares[0]] };
+        const report = await check(dropped, game, { mine: { commit: deal.commits[1].commit } });
+        assert.match(report.problems[0], /left out/);
+    });
+
+    test.it('catches a hand that is not the one the seed deals', async () => {
+        const deal = await agree();
+        const { game, dealt } = playHand(deal.seed);
+        const wrong = dealt.map(t => ({ ...t, id: (t.id + 1) % 56 }));
+        const report = await check(deal, game, { mine: { commit: deal.commits[0].commit, seat: 0, tiles: wrong } });
+        assert.match(report.problems[0], /Your hand/);
+    });
+});
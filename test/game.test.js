@@ -0,0 +1,587 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./harness');
+
+const { Tiles, Game, Match, AI, Storage, Replay, Host } = load();
+
+const tile = values => Tiles.generateAll().find(t => t.values.join() === values.join());
+
+function newGame(n = 2, rules) {
+    const game = new Game(rules);
+    for (let i = 0; i < n; i++) game.addPlayer('p' + i, 'Player ' + i);
+    return game;
+}
+
+/** Deal specific hands by loading a crafted state. */
+function withHands(game, hands, { pool = [], board = {}, current = 0 } = {}) {
+    const full = game.serializeFull();
+    full.players.forEach((p, i) => { p.tiles = hands[i].map(tile); });
+    full.pool = pool.map(tile);
+    full.board = board;
+    full.currentPlayerIndex = current;
+    full.phase = 'playing';
+    game.loadFull(full);
+    return game;
+}
+
+/** One move by a medium bot for the player on turn. */
+function botMove(game) {
+    const i = game.currentPlayerIndex;
+    const m = AI.chooseMove(game, i, 'medium');
+    let res;
+    if (m.type === 'place') res = game.placeTile(i, m.tileIdx, m.row, m.col, m.rotation);
+    else if (m.type === 'draw') res = game.drawTile(i);
+    else res = game.passTurn(i);
+    assert.ok(res.success, res.error);
+}
+
+/** Let medium bots play the hand out. */
+function playOut(game, limit = 1000) {
+    for (let n = 0; n < limit && game.phase === 'playing'; n++) botMove(game);
+}
+
+/** What a take-back has to restore; the pool as a set, since a drawn tile goes back at random depth. */
+function position(game) {
+    return {
+        board: game.board.serialize(),
+        hands: game.players.map(p => p.tiles.map(t => t.id)),
+        scores: game.players.map(p => p.score),
+        pool: game.pool.map(t => t.id).sort((a, b) => a - b),
+        current: game.currentPlayerIndex,
+        draws: game.drawsThisTurn,
+        moves: game.history.length,
+    };
+}
+
+test.describe('dealing', () => {
+    test.it('deals 9 tiles each to two players and 7 to three or four', () => {
+        for (const [n, size] of [[2, 9], [3, 7], [4, 7]]) {
+            const game = newGame(n);
+            game.start();
+            for (const p of game.players) assert.strictEqual(p.tiles.length, size);
+            assert.strictEqual(game.pool.length, 56 - n * size);
+        }
+    });
+
+    test.it('honours a custom hand size but never over-deals', () => {
+        const game = newGame(4, { handSize: 20 });
+        game.start();
+        assert.strictEqual(game.players[0].tiles.length, 14);
+        assert.strictEqual(game.pool.length, 0);
+    });
+});
+
+test.describe('seeding', () => {
+    test.it('the same seed deals the same hands, another seed does not', () => {
+        const deal = seed => {
+            const game = newGame(3);
+            game.setSeed(seed);
+            game.start();
+            return game.serializeFull();
+        };
+        assert.deepStrictEqual(deal('table-7'), deal('table-7'));
+        assert.notDeepStrictEqual(deal('table-7').pool, deal('table-8').pool);
+    });
+
+    test.it('the same seed and moves give the same game, bots included', () => {
+        const play = () => {
+            const game = newGame(2);
+            game.players.forEach(p => { p.bot = 'easy'; });
+            game.setSeed('repro');
+            game.start();
+            for (let n = 0; n < 500 && game.phase === 'playing'; n++) {
+                const i = game.currentPlayerIndex;
+                const m = AI.chooseMove(game, i, 'easy');
+                if (m.type === 'place') game.placeTile(i, m.tileIdx, m.row, m.col, m.rotation);
+                else if (m.type === 'draw') game.drawTile(i);
+                else game.passTurn(i);
+                if (n === 20) game.undoLast(); // puts a drawn tile back at a seeded depth
+            }
+            game.start(); // the stream runs on into the next hand
+            return JSON.stringify(game.serializeFull());
+        };
+        assert.strictEqual(play(), play());
+    });
+
+    test.it('a save resumes the shuffle where it left off', () => {
+        const game = newGame(2);
+        game.setSeed('resume');
+        game.start();
+        const copy = new Game();
+        copy.loadFull(JSON.parse(JSON.stringify(game.serializeFull())));
+        assert.strictEqual(copy.seed, 'resume');
+        game.start();
+        copy.start();
+        assert.deepStrictEqual(copy.serializeFull(), game.serializeFull());
+    });
+
+    test.it('save files only accept short URL-safe seeds', () => {
+        const game = newGame(2);
+        game.start();
+        const save = () => Storage.createSave({ mode: 'local', game });
+        assert.deepStrictEqual(Storage.validateSave(save()), []);
+        game.seed = 'no spaces';
+        assert.deepStrictEqual(Storage.validateSave(save()), ['Bad shuffle seed.']);
+    });
+
+    test.it('save files only accept seats that exist', () => {
+        const game = newGame(2);
+        const match = new Match(game, 100);
+        match.startRound();
+        const host = { gameId: 'ABC234', tokens: [['t0', 1]], botCount: 0, myIndex: 0 };
+        const save = (m = {}, h = {}) => {
+            const data = JSON.parse(JSON.stringify(Storage.createSave({ mode: 'host', game, match, host: { ...host, ...h } })));
+            Object.assign(data.match, m);
+            return Storage.validateSave(data);
+        };
+        assert.deepStrictEqual(save(), []);
+        assert.deepStrictEqual(save({}, { myIndex: -1 }), [], 'a server room has no host seat');
+        assert.deepStrictEqual(save({ starter: undefined }), ['Match starter is invalid.']);
+        assert.deepStrictEqual(save({ winner: 2 }), ['Match winner is invalid.']);
+        assert.deepStrictEqual(save({ phase: 'finished' }), ['Match winner is invalid.']);
+        assert.deepStrictEqual(save({}, { myIndex: 2 }), ['Host seat is invalid.']);
+        assert.deepStrictEqual(save({}, { tokens: ['t0'] }), ['Reconnect tokens are invalid.']);
+        assert.deepStrictEqual(save({}, { tokens: [['t0', 5]] }), ['Reconnect tokens are invalid.']);
+    });
+
+    test.it('save files only accept moves that can be taken back', () => {
+        const game = newGame(2);
+        game.setSeed('undo-save');
+        game.start();
+        assert.ok(game.placeTile(game.currentPlayerIndex, 0, 0, 0, 0).success);
+        assert.ok(game.drawTile(game.currentPlayerIndex).success);
+        const damaged = change => {
+            const full = JSON.parse(JSON.stringify(game.serializeFull()));
+            change(full.history);
+            return Storage.validateGame(full);
+        };
+        assert.deepStrictEqual(damaged(() => {}), []);
+        const bad = [
+            [1, ([place]) => { delete place.before; }],
+            [1, ([place]) => { place.before.scores = [0]; }],
+            [1, ([place]) => { delete place.before.tileIdx; }],
+            [1, ([place]) => { place.values = [0, 0]; }],
+            [1, ([place]) => { place.values = [1, 1, 1]; }],
+            [2, ([, draw]) => { draw.before.drawsThisTurn = -1; }],
+            [2, ([, draw]) => { draw.tileId = 9999; }],
+        ];
+        for (const [move, change] of bad) {
+            assert.deepStrictEqual(damaged(change), [`Move ${move} in the history is malformed.`], change.toString());
+        }
+    });
+});
+
+test.describe('_findStarter', () => {
+    test.it('the highest triple opens, even over a bigger plain tile', () => {
+        const game = withHands(newGame(3), [[[4, 5, 5]], [[2, 2, 2]], [[1, 1, 1]]]);
+        assert.strictEqual(game._findStarter(), 1);
+    });
+
+    test.it('without triples the highest sum opens', () => {
+        const game = withHands(newGame(2), [[[0, 1, 2]], [[3, 4, 5]]]);
+        assert.strictEqual(game._findStarter(), 1);
+    });
+
+    test.it('an equal sum goes to the earlier seat', () => {
+        const game = withHands(newGame(2), [[[1, 4, 5]], [[2, 3, 5]]]);
+        assert.strictEqual(game._findStarter(), 0);
+        withHands(game, [[[2, 3, 5]], [[1, 4, 5]]]);
+        assert.strictEqual(game._findStarter(), 0);
+    });
+
+    test.it('0-0-0 still beats every plain tile', () => {
+        const game = withHands(newGame(2), [[[4, 5, 5]], [[0, 0, 0]]]);
+        assert.strictEqual(game._findStarter(), 1);
+    });
+});
+
+test.describe('turns', () => {
+    test.it('rejects moves out of turn and unknown tiles', () => {
+        const game = withHands(newGame(2), [[[1, 2, 3]], [[3, 4, 5]]]);
+        assert.strictEqual(game.placeTile(1, 0, 0, 0, 0).error, 'Not your turn.');
+        assert.strictEqual(game.placeTile(0, 3, 0, 0, 0).error, 'Invalid tile.');
+    });
+
+    test.it('limits draws per turn and charges the draw penalty', () => {
+        const game = withHands(newGame(2, { maxDraws: 2 }), [[[1, 2, 3]], [[3, 4, 5]]],
+            { pool: [[0, 0, 1], [0, 0, 2], [0, 0, 3]] });
+        game.players[0].score = 20;
+        assert.ok(game.drawTile(0).success);
+        assert.ok(game.drawTile(0).success);
+        assert.strictEqual(game.drawTile(0).error, 'No more draws this turn.');
+        assert.strictEqual(game.players[0].score, 10);
+        assert.strictEqual(game.players[0].tiles.length, 3);
+    });
+
+    test.it('will not let a player pass while they can still draw or play', () => {
+        const game = withHands(newGame(2), [[[1, 2, 3]], [[3, 4, 5]]], { pool: [[0, 0, 1]] });
+        assert.strictEqual(game.passTurn(0).error, 'Draw a tile first.');
+        game.drawTile(0);
+        assert.match(game.passTurn(0).error, /valid placements/);
+    });
+
+    test.it('a forced pass ends the turn even when the player could still move', () => {
+        const game = withHands(newGame(2), [[[1, 2, 3]], [[3, 4, 5]]], { pool: [[0, 0, 1]] });
+        const res = game.passTurn(0, { forced: true });
+        assert.ok(res.success);
+        assert.strictEqual(game.currentPlayerIndex, 1);
+        assert.strictEqual(game.history[0].forced, true);
+    });
+});
+
+test.describe('hints', () => {
+    test.it('are counted for the player on turn only when the rule is on', () => {
+        const off = withHands(newGame(2), [[[1, 2, 3]], [[3, 4, 5]]]);
+        assert.strictEqual(off.useHint(0).error, 'Hints are off in this game.');
+
+        const game = withHands(newGame(2, { hints: true }), [[[1, 2, 3]], [[3, 4, 5]]]);
+        assert.strictEqual(game.useHint(1).error, 'Not your turn.');
+        assert.ok(game.useHint(0).success);
+        assert.ok(game.useHint(0).success);
+        assert.strictEqual(game.players[0].hints, 2);
+        assert.strictEqual(game.serializeForPlayer(1).players[0].hints, 2);
+    });
+
+    test.it('are tallied over the whole match, though each deal starts the count again', () => {
+        const game = newGame(2, { hints: true });
+        const match = new Match(game, 1000);
+        for (const used of [2, 1]) {
+            match.startRound();
+            for (let i = 0; i < used; i++) game.useHint(game.currentPlayerIndex);
+            const user = game.currentPlayerIndex;
+            game.phase = 'finished';
+            match.recordRound();
+            assert.strictEqual(game.players[user].hints, used);
+        }
+        assert.strictEqual(match.hintTotals().reduce((a, b) => a + b), 3);
+        assert.deepStrictEqual(match.serialize().hintTotals, match.hintTotals());
+        game.start();
+        assert.ok(game.players.every(p => p.hints === 0));
+    });
+
+    test.it('suggest the highest-scoring move and say what it earns', () => {
+        const board = { '0,0': { values: [3, 4, 5], tileId: tile([3, 4, 5]).id, playerId: 1 } };
+        const game = withHands(newGame(2), [[[0, 0, 1], [3, 4, 4], [4, 5, 5]], [[1, 1, 1]]], { board });
+        const hand = game.players[0].tiles;
+        const best = AI.suggest(game.board, hand);
+        const top = Math.max(...AI.listMoves(game.board, hand).map(m => game.board.calcScore(m.row, m.col, m.values)));
+        assert.strictEqual(best.breakdown.total, top);
+        assert.strictEqual(best.breakdown.total, game.board.calcScore(best.row, best.col, best.values));
+        assert.strictEqual(AI.suggest(game.board, [tile([0, 0, 0])]), null);
+    });
+});
+
+test.describe('end of hand', () => {
+    test.it('going out earns 25 plus what is left in the other hands', () => {
+        const game = withHands(newGame(3), [[[1, 2, 3]], [[3, 4, 5]], [[0, 0, 1], [2, 2, 5]]]);
+        const res = game.placeTile(0, 0, 0, 0, 0);
+        assert.ok(res.gameOver);
+        assert.strictEqual(res.winner, 0);
+        assert.deepStrictEqual(res.endBonus, {
+            emptyHand: 25,
+            opponents: [{ player: 1, sum: 12 }, { player: 2, sum: 10 }],
+            total: 47,
+        });
+        assert.strictEqual(game.players[0].score, 6 + 47);
+        assert.strictEqual(game.phase, 'finished');
+    });
+
+    test.it('a blocked hand costs everyone the tiles they hold', () => {
+        // Nothing can be laid against 0-0-0 without two zeros
+        const board = { '0,0': { values: [0, 0, 0], tileId: tile([0, 0, 0]).id, playerId: 0 } };
+        const game = withHands(newGame(2), [[[1, 2, 3]], [[3, 4, 5], [1, 1, 1]]], { board });
+        game.players[0].score = 50;
+        game.players[1].score = 30;
+
+        // The pool is empty and no one can play, so the first pass ends the hand
+        const res = game.passTurn(0);
+        assert.ok(res.gameOver);
+        assert.deepStrictEqual(res.endPenalties, [6, 15]);
+        assert.strictEqual(game.players[0].score, 50 - 10 - 6);
+        assert.strictEqual(game.players[1].score, 30 - 15);
+        assert.strictEqual(res.winner, 0);
+    });
+
+    test.it('with no draws allowed, a hand where nobody can place ends with the pool still full', () => {
+        const game = newGame(2, { maxDraws: 0, handSize: 3 });
+        game.setSeed('q1');
+        game.start();
+        playOut(game);
+        assert.strictEqual(game.phase, 'finished');
+        assert.ok(game.pool.length > 0);
+        assert.ok(game.history.length < 100, `${game.history.length} moves`);
+    });
+
+    test.it('scores never go below zero from penalties alone', () => {
+        const game = withHands(newGame(2), [[[1, 2, 3]], [[3, 4, 5]]], { pool: [[0, 0, 1]] });
+        game.drawTile(0);
+        assert.strictEqual(game.players[0].score, 0);
+    });
+});
+
+test.describe('serialisation', () => {
+    test.it('a full state survives JSON and reloads identically', () => {
+        const game = newGame(3, { drawPenalty: 3 });
+        game.setSeed('serialise-7');
+        game.start();
+        playOut(game, 25);
+
+        const json = JSON.parse(JSON.stringify(game.serializeFull()));
+        const copy = new Game();
+        copy.loadFull(json);
+        assert.deepStrictEqual(copy.serializeFull(), game.serializeFull());
+        assert.strictEqual(copy.rules.drawPenalty, 3);
+    });
+
+    test.it('a reloaded game plays on exactly like the original', () => {
+        const game = newGame(2);
+        game.setSeed('reload-11');
+        game.start();
+        playOut(game, 10);
+
+        const copy = new Game();
+        copy.loadFull(JSON.parse(JSON.stringify(game.serializeFull())));
+        playOut(game);
+        playOut(copy);
+        assert.deepStrictEqual(copy.players.map(p => p.score), game.players.map(p => p.score));
+        assert.strictEqual(copy.winner, game.winner);
+    });
+
+    test.it('new games match corners, saves from before the rule keep edge-only matching', () => {
+        const game = newGame(2);
+        assert.strictEqual(game.board.cornerMatch, true);
+
+        const old = game.serializeFull();
+        delete old.rules.cornerMatch;
+        const copy = new Game();
+        copy.loadFull(JSON.parse(JSON.stringify(old)));
+        assert.strictEqual(copy.rules.cornerMatch, false);
+        assert.strictEqual(copy.board.cornerMatch, false);
+        copy.start();
+        assert.strictEqual(copy.board.cornerMatch, false, 'the next round keeps the rule');
+    });
+
+    test.it('a player view hides other hands and other players\' draws', () => {
+        const game = withHands(newGame(2), [[[1, 2, 3]], [[0, 0, 4]]], { pool: [[5, 5, 5], [0, 1, 1]] });
+        game.drawTile(0); // draws come off the end of the pool
+
+        const mine = game.serializeForPlayer(0);
+        const theirs = game.serializeForPlayer(1);
+        assert.strictEqual(mine.yourTiles.length, 2);
+        assert.ok(!('tiles' in theirs.players[0]));
+        assert.strictEqual(theirs.players[0].tileCount, 2);
+        assert.strictEqual(mine.history[0].tileId, tile([0, 1, 1]).id);
+        assert.ok(!('tileId' in theirs.history[0]));
+        assert.ok(!('before' in theirs.history[0]));
+    });
+
+    test.it('spectators get no hand, and see the others only when revealed', () => {
+        const game = withHands(newGame(2), [[[1, 2, 3]], [[0, 0, 4]]], { pool: [[0, 1, 1]] });
+        game.drawTile(0);
+
+        const hidden = game.serializeForSpectator();
+        assert.ok(hidden.spectator);
+        assert.ok(!('yourTiles' in hidden));
+        assert.ok(hidden.players.every(p => !('tiles' in p)));
+        assert.ok(!('tileId' in hidden.history[0]));
+
+        const shown = game.serializeForSpectator(true);
+        assert.deepStrictEqual(shown.players[1].tiles, [tile([0, 0, 4])]);
+        assert.strictEqual(shown.history[0].tileId, tile([0, 1, 1]).id);
+        assert.ok(!('before' in shown.history[0]));
+    });
+});
+
+test.describe('take-backs', () => {
+    test.it('undoing a placement, a draw or a pass restores board, hands, pool, scores and turn', () => {
+        const game = withHands(newGame(2), [[[1, 2, 3], [0, 0, 0]], [[5, 5, 5], [0, 0, 4]]],
+            { pool: [[0, 1, 1], [2, 2, 4], [1, 1, 3]] });
+        const undone = (act, type) => {
+            const was = position(game);
+            assert.ok(act().success);
+            const res = game.undoLast();
+            assert.ok(res.success);
+            assert.strictEqual(res.undone.type, type);
+            assert.deepStrictEqual(position(game), was);
+            assert.ok(act().success, 'the move can be made again');
+        };
+
+        undone(() => game.placeTile(0, 0, 0, 0, 0), 'place');
+        assert.strictEqual(game.currentPlayerIndex, 1);
+        game.rules.maxDraws = 1;
+        undone(() => game.drawTile(1), 'draw');
+        undone(() => game.passTurn(1, { forced: true }), 'pass');
+        assert.strictEqual(game.lastAction.type, 'pass');
+        assert.strictEqual(game.undoLast().undone.type, 'pass');
+        assert.deepStrictEqual(game.lastAction, { type: 'draw', player: 1 });
+    });
+
+    test.it('stop at the start of the hand and once it is over', () => {
+        const game = newGame(2);
+        game.setSeed('undo-end');
+        game.start();
+        assert.strictEqual(game.undoLast().success, false);
+        playOut(game);
+        assert.strictEqual(game.phase, 'finished');
+        assert.strictEqual(game.canUndo(), false);
+        assert.strictEqual(game.undoLast().error, 'Nothing to take back.');
+    });
+});
+
+test.describe('take-back votes', () => {
+    /** A host's view of four seats: 0 asks, 1 votes, 2 is away and 3 is a bot. */
+    function table() {
+        const game = newGame(4);
+        game.players[3].bot = 'easy';
+        game.setSeed('vote');
+        const match = new Match(game, 1000);
+        match.startRound();
+        botMove(game);
+        return { game, match, awaySeats: new Set([2]) };
+    }
+
+    test.it('needs every present human but the requester, and one no ends it', () => {
+        const h = table();
+        const vote = new Host.UndoVote(h, 0);
+        assert.deepStrictEqual(vote.voters, [1]);
+        assert.strictEqual(vote.answer(0, true), null, 'the requester does not vote');
+        assert.strictEqual(vote.answer(1, true), 'approved');
+
+        h.awaySeats.clear();
+        const two = new Host.UndoVote(h, 0);
+        assert.deepStrictEqual(two.voters, [1, 2]);
+        assert.strictEqual(two.answer(1, true), null);
+        assert.strictEqual(two.answer(1, true), null, 'one answer each');
+        assert.strictEqual(two.answer(2, false), 'declined');
+    });
+
+    test.it('is overtaken by a move or a new round', () => {
+        const h = table();
+        const vote = new Host.UndoVote(h, 0);
+        assert.ok(!vote.stale(h));
+        botMove(h.game);
+        assert.ok(vote.stale(h), 'a move was made');
+
+        const next = new Host.UndoVote(h, 0);
+        playOut(h.game);
+        h.match.recordRound();
+        h.match.startRound();
+        assert.strictEqual(h.game.history.length, 0);
+        assert.ok(next.stale(h), 'a new round was dealt');
+    });
+
+    test.it('is lost with the requester or anyone yet to answer', () => {
+        const h = table();
+        h.awaySeats.clear();
+        const vote = new Host.UndoVote(h, 0);
+        vote.answer(1, true);
+        assert.ok(vote.involves(0), 'the requester');
+        assert.ok(vote.involves(2), 'still to answer');
+        assert.ok(!vote.involves(1), 'already agreed');
+        assert.ok(!vote.involves(3), 'the bot has no say');
+    });
+
+    test.it('expires when the answers stall, unless it is settled first', async () => {
+        const h = table();
+        let expired = 0;
+        new Host.UndoVote(h, 0, { timeout: 5, onExpire: () => expired++ });
+        const settled = new Host.UndoVote(h, 0, { timeout: 5, onExpire: () => expired++ });
+        settled.answer(1, true);
+        settled.end();
+        await new Promise(resolve => setTimeout(resolve, 30));
+        assert.strictEqual(expired, 1);
+
+        h.awaySeats.add(1);
+        const alone = new Host.UndoVote(h, 0, { timeout: 5, onExpire: () => expired++ });
+        assert.strictEqual(alone.timer, null, 'nobody to wait for');
+    });
+});
+
+test.describe('matches', () => {
+    test.it('the starter moves one seat on each round after the first', () => {
+        const game = newGame(3);
+        game.setSeed('rotation');
+        const match = new Match(game, 10000);
+        match.startRound();
+        const first = match.starter;
+        for (let round = 2; round <= 4; round++) {
+            playOut(game);
+            assert.ok(match.recordRound());
+            assert.strictEqual(match.recordRound(), false, 'a round is recorded once');
+            match.startRound();
+            assert.strictEqual(match.round, round);
+            assert.strictEqual(match.starter, (first + round - 1) % 3);
+            assert.strictEqual(game.currentPlayerIndex, match.starter);
+        }
+    });
+
+    test.it('ends once a total reaches the target, won by the highest total', () => {
+        const game = newGame(2);
+        game.setSeed('match-end');
+        const match = new Match(game, 150);
+        while (match.phase === 'playing') {
+            match.startRound();
+            playOut(game);
+            match.recordRound();
+        }
+        const totals = match.totals();
+        const before = totals.map((t, i) => t - match.rounds[match.rounds.length - 1].scores[i]);
+        assert.ok(Math.max(...totals) >= 150);
+        assert.ok(Math.max(...before) < 150, 'the round before did not reach it');
+        assert.strictEqual(match.winner, totals.indexOf(Math.max(...totals)));
+
+        const rounds = match.round;
+        match.startRound();
+        assert.strictEqual(match.round, rounds, 'a finished match deals no more');
+        assert.deepStrictEqual(match.serialize().totals, totals);
+    });
+});
+
+test.describe('replay', () => {
+    test.it('stepping and seeking show the board and scores as they were after each move', () => {
+        const game = newGame(3);
+        game.setSeed('replay');
+        game.start();
+        const boards = [game.board.serialize()];
+        const scores = [[0, 0, 0]];
+        while (game.phase === 'playing') {
+            botMove(game);
+            boards.push(game.board.serialize());
+            scores.push(game.players.map(p => p.score));
+        }
+
+        const replay = new Replay(game.history, game.players);
+        assert.strictEqual(replay.length, game.history.length);
+        assert.ok(replay.length > 20, 'long enough to use the cache');
+        for (let n = 0; n <= replay.length; n++) {
+            assert.deepStrictEqual(replay.boardAt(n).serialize(), boards[n], `board after ${n} moves`);
+        }
+        // Seek back and forth across cached positions
+        for (const n of [replay.length, 3, 17, 10, 0, replay.length - 1, 21]) {
+            assert.deepStrictEqual(replay.boardAt(n).serialize(), boards[n], `seek to ${n}`);
+            assert.deepStrictEqual(replay.scoresAt(n), scores[n], `scores after ${n} moves`);
+        }
+        assert.deepStrictEqual(replay.boardAt(replay.length + 5).serialize(), boards[replay.length]);
+        assert.strictEqual(replay.moveAt(0), game.history[0]);
+        assert.strictEqual(replay.moveAt(replay.length), null);
+    });
+
+    test.it('writes a move log as notation, one token per move and the final scores', () => {
+        const game = withHands(newGame(2), [[[1, 2, 3], [0, 0, 0]], [[5, 5, 5]]], { pool: [[0, 1, 1], [2, 2, 4]] });
+        game.players[1].name = 'Bob Smith';
+        game.players[0].score = 20;
+        game.players[1].score = 20;
+        assert.ok(game.placeTile(0, 0, 0, 0, 0).success);
+        assert.ok(game.drawTile(1).success);
+        assert.ok(game.passTurn(1, { forced: true }).success);
+        const notation = Replay.toNotation(game.history, game.players);
+        assert.strictEqual(notation, [
+            'TRK1 Player_0|Bob_Smith',
+            `a123@0,0r0+${game.history[0].score} bD-5 bP-10`,
+            `=${game.players.map(p => p.score).join(',')}`,
+        ].join('\n'));
+        assert.strictEqual(Replay.toNotation([], game.players), 'TRK1 Player_0|Bob_Smith');
+    });
+});
@@ -0,0 +1,36 @@
+/* ============================================================
+   harness.js – Load the browser modules into Node for testing
+   ============================================================ */
+'use strict';
+
+const { loadRules } = require('../server/rules');
+
+// The rule modules, in index.html order (renderer, network and app need a DOM)
+const RULE_MODULES = ['config', 'tiles', 'board', 'game', 'match', 'clock', 'storage', 'replay', 'ai', 'daily', 'puzzles', 'puzzle-pack', 'editor', 'protocol', 'host', 'fair', 'servers', 'direct'];
+
+/** The `Trikono` namespace with the given modules loaded (see server/rules.js). */
+function load(modules = RULE_MODULES) {
+    return loadRules(modules);
+}
+
+/**
+ * Corner value shared by every tile touching lattice vertex (vx, vy).
+ * Filling cells from this keeps every edge matching, so any shape can be
+ * laid out without working out rotations by hand.
+ */
+function vertexValue(vx, vy) {
+    return (((vx * 2 + vy * 3) % 6) + 6) % 6;
+}
+
+/** Place a tile at each [row, col] with corner values taken from `vertexValue`. */
+function fill(board, cells, playerId = 0) {
+    for (const [r, c] of cells) {
+        board.place(r, c, cornerValues(board, r, c), -1, playerId);
+    }
+}
+
+function cornerValues(board, r, c) {
+    return board._vertexCoords(r, c).map(v => vertexValue(v.vx, v.vy));
+}
+
+module.exports = { load, fill, cornerValues, RULE_MODULES };
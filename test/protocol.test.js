@@ -0,0 +1,185 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./harness');
+
+const { Protocol, Host, Game, Match } = load();
+
+const join = extra => ({ type: 'join', name: 'Ann', version: Protocol.VERSION, ...extra });
+
+test.describe('Protocol', () => {
+    test.it('accepts the messages clients send', () => {
+        assert.strictEqual(Protocol.validate(join(), 'client'), null);
+        assert.strictEqual(Protocol.validate(join({ token: 'abc' }), 'client'), null);
+        assert.strictEqual(Protocol.validate({ type: 'place', tileIndex: 2, row: -1, col: 3, rotation: 2 }, 'client'), null);
+        assert.strictEqual(Protocol.validate({ type: 'draw' }, 'client'), null);
+        assert.strictEqual(Protocol.validate({ type: 'chat', text: 'gg' }, 'client'), null);
+        assert.strictEqual(Protocol.validate({ type: 'undo-response', approve: false }, 'client'), null);
+    });
+
+    test.it('rejects wrong types, ranges, unknown messages and extra fields', () => {
+        const bad = [
+            null,
+            'place',
+            { type: 'teleport' },
+            { type: 'toString' },
+            join({ name: 'x'.repeat(21) }),
+            join({ version: '3' }),
+            { type: 'place', tileIndex: '0', row: 0, col: 0, rotation: 0 },
+            { type: 'place', tileIndex: 0, row: 0.5, col: 0, rotation: 0 },
+            { type: 'place', tileIndex: 0, row: 0, col: 1e9, rotation: 0 },
+            { type: 'place', tileIndex: 0, row: 0, col: 0, rotation: 3 },
+            { type: 'draw', tiles: 5 },
+            { type: 'undo-response', approve: 'yes' },
+            { type: 'state', state: {} }, // host-only
+        ];
+        for (const msg of bad) assert.ok(Protocol.validate(msg, 'client'), JSON.stringify(msg));
+        assert.match(Protocol.validate({ type: 'place', row: 0, col: 0, rotation: 0 }, 'client'), /missing "tileIndex"/);
+    });
+
+    test.it('checks what the host sends too', () => {
+        assert.strictEqual(Protocol.validate({ type: 'lobby', players: [], version: Protocol.VERSION }, 'host'), null);
+        assert.strictEqual(Protocol.validate({ type: 'error', message: 'No.' }, 'host'), null);
+        assert.strictEqual(Protocol.validate({ type: 'resumed', gameId: 'ABC234' }, 'host'), null);
+        assert.ok(Protocol.validate({ type: 'state', state: null }, 'host'));
+        assert.ok(Protocol.validate({ type: 'join', name: 'x', version: 1 }, 'host'));
+    });
+
+    test.it('only takes game state that is safe to render', () => {
+        const game = new Game();
+        game.addPlayer('host', 'Ann');
+        game.addPlayer('p1', 'Bot 1', 'hard');
+        game.setSeed('protocol');
+        const match = new Match(game, 100);
+        match.startRound();
+        game.drawTile(game.currentPlayerIndex);
+        const state = () => ({ ...game.serializeForPlayer(0), match: match.serialize() });
+        const message = s => ({ type: 'state', state: s });
+        assert.strictEqual(Protocol.validate(message(state()), 'host'), null);
+        assert.strictEqual(Protocol.validate(message(game.serializeForSpectator(true)), 'host'), null);
+
+        const tampered = [
+            s => { s.players[1].bot = '<img src=x onerror=alert(1)>'; },
+            s => { s.players[0].score = '<b>9</b>'; },
+            s => { s.players[0].tileCount = '7 tiles'; },
+            s => { s.yourTiles[0].values = ['<i>', 1, 2]; },
+            s => { s.history.push({ type: 'place', player: 0, row: 0, col: 0, values: [1, 2, 3], placed: [1, 2, 3], score: '<b>', scores: [0, 0] }); },
+            s => { s.match.rounds.push({ scores: ['<b>', 0], winner: 0 }); },
+            s => { s.match.targetScore = '<b>'; },
+            s => { s.players = null; },
+        ];
+        for (const change of tampered) {
+            const s = state();
+            change(s);
+            assert.match(Protocol.validate(message(s), 'host'), /invalid "state"/, change.toString());
+        }
+    });
+
+    test.it('names the side that has to update', () => {
+        assert.strictEqual(Protocol.versionError(Protocol.VERSION), null);
+        assert.match(Protocol.versionError(undefined), /newer version.*yours 0/);
+        assert.match(Protocol.versionError(Protocol.VERSION + 1), /older version/);
+    });
+
+    test.it('settles the version before the schema, so older peers hear why', () => {
+        // What a client from before the handshake sends
+        const verdict = new Protocol.Guard().check('old', { type: 'join', name: 'Ann' });
+        assert.deepStrictEqual([verdict.kick, verdict.code], [true, 'version']);
+        assert.match(verdict.error, /newer version.*yours 0/);
+        assert.ok(new Protocol.Guard().check('new', join()).ok);
+
+        assert.match(Protocol.handshakeError({ type: 'lobby', players: [], host: 'x' }, 'host'), /host runs an older version.*protocol 0/);
+        assert.strictEqual(Protocol.handshakeError({ type: 'lobby', players: [], version: Protocol.VERSION }, 'host'), null);
+        assert.strictEqual(Protocol.handshakeError({ type: 'state', state: {} }, 'host'), null);
+    });
+
+    test.it('disconnects peers that flood or keep sending bad messages', () => {
+        const guard = new Protocol.Guard({ limit: 5, window: 1000, strikes: 2 });
+        for (let i = 0; i < 5; i++) assert.ok(guard.check('a', { type: 'draw' }, i).ok);
+        assert.strictEqual(guard.check('a', { type: 'draw' }, 5).kick, true);
+        assert.ok(guard.check('a', { type: 'draw' }, 2000).ok, 'the window moves on');
+
+        const first = guard.check('b', { type: 'nope' }, 0);
+        assert.strictEqual(first.ok, false);
+        assert.strictEqual(first.kick, false);
+        assert.ok(guard.check('b', { type: 'pass' }, 1).ok);
+        assert.strictEqual(guard.check('b', { type: 'chat', text: 'x'.repeat(5000) }, 2).kick, true);
+
+        guard.forget('b');
+        assert.strictEqual(guard.check('b', { type: 'nope' }, 3).kick, false);
+    });
+});
+
+test.describe('Host rules', () => {
+    /** The fields app.js and server/authority.js both keep. */
+    function table() {
+        const game = new Game();
+        game.addPlayer('host', 'Ann');
+        game.addPlayer('p1', 'Bob');
+        game.addPlayer('bot-1', 'Bot 1', 'easy');
+        return {
+            game,
+            match: null,
+            peerToPlayer: new Map([['host', 0], ['p1', 1]]),
+            spectators: new Map([['s1', 'Cat']]),
+            seatTokens: new Map(),
+            awaySeats: new Set(),
+            chatTimes: new Map(),
+        };
+    }
+
+    test.it('makes readable game codes and long tokens', () => {
+        for (let i = 0; i < 50; i++) assert.match(Host.newGameId(), /^[A-HJ-NP-Z2-9]{6}$/);
+        assert.match(Host.newToken(), /^[0-9a-f]{32}$/);
+        assert.notStrictEqual(Host.newToken(), Host.newToken());
+    });
+
+    test.it('stamps chat with the seat, never the claimed name, and limits the rate', () => {
+        const h = table();
+        assert.deepStrictEqual(Host.relayChat(h, 'p1', { text: '  hi  ', from: 'Ann' }, 0).message,
+            { type: 'chat', from: 'Bob', seat: 1, text: 'hi' });
+        assert.deepStrictEqual(Host.relayChat(h, 's1', { reaction: '🎉' }, 0).message,
+            { type: 'chat', from: 'Cat', seat: -1, reaction: '🎉' });
+        assert.strictEqual(Host.relayChat(h, 'p1', { reaction: '💩' }, 0), null);
+        assert.strictEqual(Host.relayChat(h, 'p1', { text: 'x'.repeat(500) }, 0).message.text.length, 200);
+
+        for (let i = 2; i < Host.CHAT_LIMIT; i++) assert.ok(Host.relayChat(h, 'p1', { text: 'again' }, i).message);
+        assert.match(Host.relayChat(h, 'p1', { text: 'one more' }, 10).error, /Slow down/);
+        assert.ok(Host.relayChat(h, 'host', { text: 'not me' }, 10).message, 'the limit is per peer');
+        assert.ok(Host.relayChat(h, 'p1', { text: 'later' }, Host.CHAT_WINDOW + 10).message);
+    });
+
+    test.it('hands out seat tokens and gives a seat back for one', () => {
+        const h = table();
+        const issued = Host.issueSeatTokens(h);
+        assert.deepStrictEqual(issued.map(([peer]) => peer), ['p1'], 'the host keeps its own seat');
+        const [[, token]] = issued;
+        assert.strictEqual(h.seatTokens.get(token), 1);
+
+        h.awaySeats.add(1);
+        assert.strictEqual(Host.reclaimSeat(h, 'p1-again', token), 1);
+        assert.deepStrictEqual([...h.peerToPlayer], [['host', 0], ['p1-again', 1]]);
+        assert.strictEqual(h.game.players[1].id, 'p1-again');
+        assert.ok(!h.awaySeats.has(1));
+    });
+
+    test.it('builds the lobby and the shared table info', () => {
+        const h = table();
+        const lobby = Host.lobbyMessage(h, Protocol.VERSION);
+        assert.strictEqual(Protocol.validate(lobby, 'host'), null);
+        assert.deepStrictEqual(lobby.players.map(p => p.bot), [null, null, 'easy']);
+        assert.deepStrictEqual(lobby.spectators, ['Cat']);
+
+        h.game.setSeed('table');
+        h.match = new Match(h.game, 1);
+        h.match.startRound();
+        h.awaySeats.add(1);
+        const state = Host.withTableInfo(h, h.game.serializeForPlayer(0));
+        assert.deepStrictEqual(state.players.map(p => p.away), [false, true, false]);
+        assert.strictEqual(state.match.targetScore, 1);
+        assert.ok(!('seed' in state), 'the seed stays hidden until the match is over');
+        h.match.phase = 'finished';
+        assert.strictEqual(Host.withTableInfo(h, h.game.serializeForPlayer(0)).seed, 'table');
+    });
+});
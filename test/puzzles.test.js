@@ -0,0 +1,76 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./harness');
+
+const { Puzzles } = load();
+
+const copy = data => JSON.parse(JSON.stringify(data));
+const byId = id => Puzzles.pack().find(p => p.id === id);
+
+test.describe('puzzle pack', () => {
+    test.it('every bundled puzzle is valid and its best move earns the bonus it is named for', () => {
+        const ids = new Set();
+        for (const data of Puzzles.pack()) {
+            assert.deepStrictEqual(Puzzles.validate(data), [], data.id);
+            assert.ok(!ids.has(data.id), `${data.id} is unique`);
+            ids.add(data.id);
+
+            const puzzle = Puzzles.load(data);
+            const m = puzzle.best.moves[0];
+            const b = puzzle.board.scoreBreakdown(m.row, m.col, m.values);
+            const kind = data.id.split('-')[0];
+            if (kind === 'bridge') assert.ok(b.bridge, data.id);
+            if (kind === 'hexagon') assert.strictEqual(b.hexagons, 1, data.id);
+            if (kind === 'double') assert.strictEqual(b.hexagons, 2, data.id);
+        }
+    });
+});
+
+test.describe('Puzzles', () => {
+    test.it('only the highest-scoring move solves it', () => {
+        const puzzle = Puzzles.load(byId('double-1'));
+        const best = puzzle.best.moves[0];
+        const right = Puzzles.check(puzzle, best);
+        assert.ok(right.solved);
+        assert.strictEqual(right.score, puzzle.best.score);
+
+        const other = puzzle.hand.flatMap((t, tileIdx) => puzzle.board.getValidPlacements(t.values)
+            .map(p => ({ tileIdx, ...p })))
+            .find(m => puzzle.board.calcScore(m.row, m.col, m.values) < puzzle.best.score);
+        const wrong = Puzzles.check(puzzle, other);
+        assert.ok(wrong.valid);
+        assert.ok(!wrong.solved);
+
+        assert.ok(!Puzzles.check(puzzle, { tileIdx: 0, row: 40, col: 40, rotation: 0 }).valid);
+    });
+
+    test.it('rejects boards that could not have been played and hands that reuse tiles', () => {
+        const data = copy(byId('hexagon-1'));
+        const [key, cell] = Object.entries(data.board)[1];
+        const shuffled = copy(data);
+        shuffled.board[key].values = [cell.values[1], cell.values[2], cell.values[0]];
+        assert.match(Puzzles.validate(shuffled).join(), /does not match its neighbours/);
+
+        const reused = copy(data);
+        reused.hand.push([...reused.hand[0]]);
+        assert.match(Puzzles.validate(reused).join(), /used twice/);
+
+        const unsorted = copy(data);
+        unsorted.hand[0] = [5, 0, 2];
+        assert.match(Puzzles.validate(unsorted).join(), /lowest first/);
+
+        assert.throws(() => Puzzles.load({ ...data, title: '' }), /title is missing/);
+    });
+
+    test.it('opens as a one-seat game with the puzzle hand', () => {
+        const puzzle = Puzzles.load(byId('bridge-1'));
+        const game = Puzzles.toGame(puzzle, 'Ann');
+        assert.strictEqual(game.players.length, 1);
+        assert.deepStrictEqual(game.players[0].tiles, puzzle.hand);
+        assert.strictEqual(game.board.size, puzzle.board.size);
+        assert.strictEqual(game.phase, 'playing');
+        assert.ok(!game.canDraw());
+    });
+});
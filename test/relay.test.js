@@ -0,0 +1,163 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ws = require('../server/ws');
+const { createRelayServer } = require('../server/relay');
+const { load } = require('./harness');
+
+const { Network } = load(['config', 'host', 'servers', 'relay', 'network']);
+
+/** The browser's WebSocket, as far as relay.js uses it, over server/ws.js. */
+class NodeWebSocket extends EventTarget {
+    constructor(url) {
+        super();
+        this.readyState = 0;
+        ws.connect(url).then(socket => {
+            this.socket = socket;
+            this.readyState = 1;
+            socket.on('message', data => this.dispatchEvent(Object.assign(new Event('message'), { data })));
+            socket.on('close', () => this._closed());
+            this.dispatchEvent(new Event('open'));
+            if (this.closing) socket.close();
+        }, () => this._closed());
+    }
+
+    send(text) {
+        this.socket.send(text);
+    }
+
+    close() {
+        if (this.socket) this.socket.close();
+        else this.closing = true;
+    }
+
+    _closed() {
+        if (this.readyState === 3) return;
+        this.readyState = 3;
+        this.dispatchEvent(new Event('close'));
+    }
+}
+
+const tick = (ms = 20) => new Promise(resolve => setTimeout(resolve, ms));
+
+/** Wait until `check()` holds, polling briefly. */
+async function until(check) {
+    for (let i = 0; i < 100 && !check(); i++) await tick(10);
+    assert.ok(check());
+}
+
+test.describe('Relay', () => {
+    let relay;
+    let url;
+    const networks = [];
+
+    test.before(async () => {
+        global.WebSocket = NodeWebSocket;
+        relay = createRelayServer({ path: '/relay' });
+        url = `ws://127.0.0.1:${await relay.listen(0, '127.0.0.1')}/relay`;
+    });
+    test.after(async () => {
+        for (const n of networks) n.destroy();
+        await relay.close();
+        delete global.WebSocket;
+    });
+
+    const network = () => {
+        const n = new Network({ relay: url });
+        networks.push(n);
+        return n;
+    };
+
+    /** A host and `count` players, with every message each one receives. */
+    async function table(count) {
+        const host = network();
+        const got = { host: [], players: [] };
+        const joined = [];
+        host.onPeerConnected = id => joined.push(id);
+        host.onMessage = (data, from) => got.host.push({ data, from });
+        const code = await host.createGame();
+        const players = [];
+        for (let i = 0; i < count; i++) {
+            const p = network();
+            await p.joinGame(code.toLowerCase());
+            const inbox = [];
+            p.onMessage = (data, from) => inbox.push({ data, from });
+            got.players.push(inbox);
+            players.push(p);
+        }
+        await until(() => joined.length === count);
+        return { host, players, got, joined, code };
+    }
+
+    test.it('refuses bad rooms, missing games and taken codes', async () => {
+        const first = socket => new Promise(resolve => socket.once('message', t => resolve(JSON.parse(t))));
+        const bad = await ws.connect(`${url}?room=nope&role=host`);
+        assert.strictEqual((await first(bad)).code, 'bad-request');
+
+        const player = network();
+        await assert.rejects(player.joinGame('ZZZZZZ'), err => err.type === 'peer-unavailable' && /No game ZZZZZZ/.test(err.message));
+
+        const { code } = await table(0);
+        await assert.rejects(network().createGame(undefined, code), err => err.type === 'unavailable-id');
+        // A fresh game whose random code is taken simply draws another
+        const again = network();
+        const codes = [code, 'QQQQQQ'];
+        again.newGameId = () => codes.shift();
+        assert.strictEqual(await again.createGame(), 'QQQQQQ');
+    });
+
+    test.it('carries host and player messages without the app knowing the transport', async () => {
+        const { host, players, got, joined } = await table(2);
+        assert.ok(joined.every(id => id.startsWith('relay-')));
+        assert.strictEqual(players[0].peer.id, joined[0]);
+
+        players[0].sendToHost({ type: 'join', name: 'Ann' });
+        players[1].sendToHost({ type: 'join', name: 'Bob' });
+        host.sendToPeer(joined[1], { type: 'welcome', token: 't', gameId: 'g' });
+        host.broadcast({ type: 'lobby', players: [] });
+        await until(() => got.host.length === 2 && got.players[1].length === 2);
+
+        const from = name => got.host.find(m => m.data.name === name).from;
+        assert.deepStrictEqual([from('Ann'), from('Bob')], joined);
+        assert.deepStrictEqual(got.players[0], [{ data: { type: 'lobby', players: [] }, from: 'host' }]);
+        assert.deepStrictEqual(got.players[1].map(m => m.data.type), ['welcome', 'lobby']);
+    });
+
+    test.it('reports players who leave or are disconnected, on both sides', async () => {
+        const { host, players, joined } = await table(2);
+        const left = [];
+        host.onPeerDisconnected = id => left.push(id);
+        let kicked = false;
+        players[1].onPeerDisconnected = () => { kicked = true; };
+
+        players[0].destroy();
+        host.disconnect(joined[1]);
+        await until(() => left.length === 2 && kicked);
+        assert.deepStrictEqual(left.sort(), joined.slice().sort());
+        assert.strictEqual(host.connections.size, 0);
+    });
+
+    test.it('lets a player take over as host and the others follow', async () => {
+        const { host, players } = await table(2);
+        const [successor, other] = players;
+        let lost = 0;
+        successor.onPeerDisconnected = () => lost++;
+        other.onPeerDisconnected = () => lost++;
+        host.destroy();
+        await until(() => lost === 2);
+
+        const arrived = [];
+        const newCode = 'NEWHST';
+        await successor.becomeHost(newCode);
+        successor.onPeerConnected = id => arrived.push(id);
+        await other.reconnectToHost(newCode);
+        await until(() => arrived.length === 1);
+        assert.strictEqual(arrived[0], other.peer.id);
+
+        const inbox = [];
+        other.onMessage = data => inbox.push(data);
+        successor.broadcast({ type: 'state', state: {} });
+        await until(() => inbox.length === 1);
+    });
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const ws = require('../server/ws');
+const { createSignalingServer, normalizePath } = require('../server/signaling');
+const { load } = require('./harness');
+
+const { Servers } = load();
+
+/**
+ * Resolve with the next message `socket` receives, parsed. Messages are
+ * buffered from the first call on, as several can arrive in one chunk.
+ */
+function next(socket) {
+    if (!socket.inbox) {
+        socket.inbox = [];
+        socket.waiting = [];
+        socket.on('message', text => {
+            const msg = JSON.parse(text);
+            if (socket.waiting.length) socket.waiting.shift()(msg);
+            else socket.inbox.push(msg);
+        });
+    }
+    if (socket.inbox.length) return Promise.resolve(socket.inbox.shift());
+    return new Promise(resolve => socket.waiting.push(resolve));
+}
+
+const get = url => new Promise((resolve, reject) => {
+    http.get(url, res => {
+        let body = '';
+        res.on('data', d => { body += d; });
+        res.on('end', () => resolve({ status: res.statusCode, body }));
+    }).on('error', reject);
+});
+
+test.describe('Signaling server', () => {
+    let signaling;
+    let base;
+
+    test.before(async () => {
+        signaling = createSignalingServer({ path: '/trikono', expireTimeout: 200 });
+        const port = await signaling.listen(0, '127.0.0.1');
+        base = `127.0.0.1:${port}/trikono/`;
+    });
+    test.after(() => signaling.close());
+
+    /** Open a peer's socket and wait for the server's OPEN. */
+    async function peer(id, token = 'tok-' + id) {
+        const socket = await ws.connect(`ws://${base}peerjs?key=peerjs&id=${id}&token=${token}`);
+        return { socket, first: await next(socket) };
+    }
+
+    test.it('normalizes the mount path', () => {
+        assert.strictEqual(normalizePath('trikono'), '/trikono/');
+        assert.strictEqual(normalizePath('/'), '/');
+        assert.strictEqual(normalizePath(''), '/');
+    });
+
+    test.it('hands out ids over HTTP', async () => {
+        const res = await get(`http://${base}peerjs/id`);
+        assert.strictEqual(res.status, 200);
+        assert.match(res.body, /^[0-9a-f-]{36}$/);
+        assert.strictEqual((await get(`http://${base}nope`)).status, 404);
+    });
+
+    test.it('relays an offer from one peer to another, naming the sender', async () => {
+        const a = await peer('host-1');
+        const b = await peer('guest-1');
+        assert.strictEqual(a.first.type, 'OPEN');
+        assert.strictEqual(b.first.type, 'OPEN');
+
+        const received = next(a.socket);
+        b.socket.send(JSON.stringify({ type: 'OFFER', dst: 'host-1', payload: { sdp: 'x' } }));
+        const msg = await received;
+        assert.deepStrictEqual(msg, { type: 'OFFER', src: 'guest-1', dst: 'host-1', payload: { sdp: 'x' } });
+        a.socket.close();
+        b.socket.close();
+    });
+
+    test.it('refuses an id held by someone else, and a wrong key', async () => {
+        const a = await peer('host-2');
+        const thief = await peer('host-2', 'other-token');
+        assert.strictEqual(thief.first.type, 'ID-TAKEN');
+
+        const bad = await ws.connect(`ws://${base}peerjs?key=wrong&id=x&token=y`);
+        assert.strictEqual((await next(bad)).type, 'INVALID-KEY');
+        a.socket.close();
+    });
+
+    test.it('holds a message for a peer that is not there yet, then expires it', async () => {
+        const a = await peer('guest-3');
+        a.socket.send(JSON.stringify({ type: 'OFFER', dst: 'late-3', payload: {} }));
+        const late = await peer('late-3');
+        assert.strictEqual((await next(late.socket)).type, 'OFFER');
+
+        a.socket.send(JSON.stringify({ type: 'CANDIDATE', dst: 'missing-3', payload: {} }));
+        const expired = await next(a.socket);
+        assert.strictEqual(expired.type, 'EXPIRE');
+        assert.strictEqual(expired.src, 'missing-3');
+        a.socket.close();
+        late.socket.close();
+    });
+});
+
+test.describe('Servers', () => {
+    test.it('reads a signaling server address, filling in the defaults', () => {
+        assert.deepStrictEqual(Servers.parsePeerServer('signal.example.com/trikono/'),
+            { host: 'signal.example.com', port: 443, path: '/trikono', secure: true });
+        const local = Servers.parsePeerServer('http://192.168.1.5:9000');
+        assert.deepStrictEqual(local, { host: '192.168.1.5', port: 9000, path: '/', secure: false });
+        assert.strictEqual(Servers.formatPeerServer(local), 'http://192.168.1.5:9000');
+        assert.strictEqual(Servers.parsePeerServer('  '), null);
+        assert.throws(() => Servers.parsePeerServer('ftp://example.com'), /http/);
+    });
+
+    test.it('reads ICE servers as lines or JSON, and wants credentials for TURN', () => {
+        const list = Servers.parseIce('stun:stun.example.com:3478\nturn:turn.example.com:3478 alice s3cret');
+        assert.deepStrictEqual(list, [
+            { urls: 'stun:stun.example.com:3478' },
+            { urls: 'turn:turn.example.com:3478', username: 'alice', credential: 's3cret' },
+        ]);
+        assert.deepStrictEqual(Servers.parseIce(Servers.formatIce(list)), list);
+        assert.deepStrictEqual(Servers.parseIce('[{"urls":"stun:a.example"}]'), [{ urls: 'stun:a.example' }]);
+        assert.throws(() => Servers.parseIce('turn:turn.example.com'), /username and credential/);
+        assert.throws(() => Servers.parseIce('http://nope'), /stun: or turn:/);
+    });
+
+    test.it('reads a relay address as a WebSocket URL', () => {
+        assert.strictEqual(Servers.parseRelay('relay.example.com/relay/'), 'wss://relay.example.com/relay');
+        assert.strictEqual(Servers.parseRelay('http://192.168.1.5:8787'), 'ws://192.168.1.5:8787');
+        assert.strictEqual(Servers.parseRelay(''), null);
+        assert.throws(() => Servers.parseRelay('ftp://example.com'), /ws:/);
+        const relay = Servers.parseRelay('wss://relay.example.com');
+        assert.deepStrictEqual(Servers.fromQuery('?' + Servers.toQuery({ relay })), { relay });
+    });
+
+    test.it('fetches TURN credentials from the configured endpoint, or the default one', () => {
+        const own = Servers.parseTurnCredentialsUrl('https://turn.example.com/credentials?region=eu');
+        assert.strictEqual(Servers.turnCredentialsUrl({ turnCredentialsUrl: own }, 'k&y'),
+            'https://turn.example.com/credentials?region=eu&apiKey=k%26y');
+        assert.match(Servers.turnCredentialsUrl(Servers.resolve({}), 'key'), /^https:\/\/trikono\.metered\.live\/.*\?apiKey=key$/);
+        assert.strictEqual(Servers.parseTurnCredentialsUrl(''), null);
+        assert.throws(() => Servers.parseTurnCredentialsUrl('turn.example.com'), /not a URL/);
+        assert.throws(() => Servers.parseTurnCredentialsUrl('ftp://turn.example.com'), /http/);
+    });
+
+    test.it('lets a link override the saved settings, and share links round-trip', () => {
+        const peer = Servers.parsePeerServer('https://signal.example.com');
+        const linked = Servers.fromQuery('?' + Servers.toQuery({ peer, iceServers: null }));
+        assert.deepStrictEqual(linked, { peer });
+        const saved = { peer: null, iceServers: [{ urls: 'stun:a.example' }] };
+        assert.deepStrictEqual(Servers.resolve({}, saved, linked),
+            { peer, iceServers: saved.iceServers, relay: null, turnCredentialsUrl: null });
+        assert.deepStrictEqual(Servers.fromQuery('?peer=ftp://x'), {});
+    });
+});